@@ -0,0 +1,266 @@
+// Mock Stellar anchor for testing cash-out without network access
+// Serves SEP-1 (stellar.toml), SEP-10 (web authentication), SEP-6 and SEP-24
+// withdrawals from memory. Run it with `node mock-anchor.js` or create one in
+// a test with createMockAnchor().
+
+const StellarSdk = require('stellar-sdk');
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+/**
+ * Create a mock anchor
+ * @param {Object} options - Anchor options
+ * @param {StellarSdk.Keypair} options.signingKeypair - SEP-10 signing key, random by default
+ * @param {string} options.networkPassphrase - Network the anchor runs on, testnet by default
+ * @param {Array} options.assets - Withdrawable assets as { code, issuer }, "native" for XLM
+ * @param {string} options.withdrawAccount - Account withdrawals are paid to, random by default
+ * @returns {Object} The express app, its transactions, and helpers to drive them
+ */
+function createMockAnchor(options = {}) {
+    const signingKeypair = options.signingKeypair || StellarSdk.Keypair.random();
+    const networkPassphrase = options.networkPassphrase || StellarSdk.Networks.TESTNET;
+    const assets = options.assets || [{ code: 'native' }];
+    const withdrawAccount = options.withdrawAccount || StellarSdk.Keypair.random().publicKey();
+    const jwtSecret = crypto.randomBytes(32);
+    const transactions = new Map();
+
+    const app = express();
+    app.use(bodyParser.json());
+    app.use(bodyParser.urlencoded({ extended: false }));
+
+    const baseUrl = req => `${req.protocol}://${req.get('host')}`;
+
+    // SEP-1: stellar.toml
+    app.get('/.well-known/stellar.toml', (req, res) => {
+        const currencies = assets
+            .filter(asset => asset.code !== 'native')
+            .map(asset => `[[CURRENCIES]]\ncode = "${asset.code}"\nissuer = "${asset.issuer}"\n`)
+            .join('\n');
+
+        res.type('text/plain').send([
+            `NETWORK_PASSPHRASE = "${networkPassphrase}"`,
+            `SIGNING_KEY = "${signingKeypair.publicKey()}"`,
+            `WEB_AUTH_ENDPOINT = "${baseUrl(req)}/auth"`,
+            `TRANSFER_SERVER = "${baseUrl(req)}/sep6"`,
+            `TRANSFER_SERVER_SEP0024 = "${baseUrl(req)}/sep24"`,
+            '',
+            currencies
+        ].join('\n'));
+    });
+
+    // SEP-10: challenge
+    app.get('/auth', (req, res) => {
+        try {
+            const challenge = StellarSdk.WebAuth.buildChallengeTx(
+                signingKeypair,
+                req.query.account,
+                req.get('host'),
+                300,
+                networkPassphrase,
+                req.get('host')
+            );
+            res.json({ transaction: challenge, network_passphrase: networkPassphrase });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // SEP-10: token for a signed challenge
+    app.post('/auth', (req, res) => {
+        try {
+            const { clientAccountID } = StellarSdk.WebAuth.readChallengeTx(
+                req.body.transaction,
+                signingKeypair.publicKey(),
+                networkPassphrase,
+                req.get('host'),
+                req.get('host')
+            );
+
+            // The mock only knows about master keys
+            StellarSdk.WebAuth.verifyChallengeTxSigners(
+                req.body.transaction,
+                signingKeypair.publicKey(),
+                networkPassphrase,
+                [clientAccountID],
+                req.get('host'),
+                req.get('host')
+            );
+
+            const now = Math.floor(Date.now() / 1000);
+            res.json({ token: signJwt({ iss: `${baseUrl(req)}/auth`, sub: clientAccountID, iat: now, exp: now + 3600 }) });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    const info = {
+        withdraw: Object.fromEntries(assets.map(asset => [asset.code, {
+            enabled: true,
+            types: { cash: { fields: {} } },
+            min_amount: 1
+        }])),
+        deposit: {}
+    };
+    app.get('/sep6/info', (req, res) => res.json(info));
+    app.get('/sep24/info', (req, res) => res.json({ withdraw: info.withdraw, deposit: {} }));
+
+    // SEP-6: non-interactive withdrawal
+    app.get('/sep6/withdraw', authenticate, (req, res) => {
+        const asset = assets.find(candidate => candidate.code === req.query.asset_code);
+        if (!asset) {
+            return res.status(400).json({ error: `Unsupported asset ${req.query.asset_code}` });
+        }
+
+        const transaction = createTransaction(req, 'pending_user_transfer_start');
+        res.json({
+            account_id: transaction.withdraw_anchor_account,
+            memo_type: transaction.withdraw_memo_type,
+            memo: transaction.withdraw_memo,
+            id: transaction.id,
+            min_amount: 1
+        });
+    });
+
+    // SEP-24: interactive withdrawal
+    app.post('/sep24/transactions/withdraw/interactive', authenticate, (req, res) => {
+        const asset = assets.find(candidate => candidate.code === req.body.asset_code);
+        if (!asset) {
+            return res.status(400).json({ error: `Unsupported asset ${req.body.asset_code}` });
+        }
+
+        const transaction = createTransaction(req, 'incomplete');
+        res.json({
+            type: 'interactive_customer_info_needed',
+            url: `${baseUrl(req)}/sep24/interactive/${transaction.id}`,
+            id: transaction.id
+        });
+    });
+
+    // SEP-24: the page where the beneficiary would fill in their details
+    app.get('/sep24/interactive/:id', (req, res) => {
+        const transaction = transactions.get(req.params.id);
+        if (!transaction) {
+            return res.status(404).send('Transaction not found');
+        }
+
+        if (transaction.status === 'incomplete') {
+            transaction.amount_in = req.query.amount || transaction.amount_in || '10';
+            transaction.status = 'pending_user_transfer_start';
+        }
+        res.type('text/html').send('<p>Details received. You can close this window.</p>');
+    });
+
+    for (const prefix of ['/sep6', '/sep24']) {
+        app.get(`${prefix}/transaction`, authenticate, (req, res) => {
+            const transaction = transactions.get(req.query.id);
+            if (!transaction || transaction.account !== req.account) {
+                return res.status(404).json({ error: 'Transaction not found' });
+            }
+            res.json({ transaction });
+        });
+    }
+
+    // Test hook: the anchor saw the payment on-chain and paid out the cash
+    app.post('/mock/transactions/:id/complete', (req, res) => {
+        try {
+            res.json({ transaction: completeTransaction(req.params.id, req.body.stellar_transaction_id) });
+        } catch (error) {
+            res.status(404).json({ error: error.message });
+        }
+    });
+
+    function createTransaction(req, status) {
+        const id = crypto.randomUUID();
+        const transaction = {
+            id: id,
+            kind: 'withdrawal',
+            status: status,
+            asset_code: req.query.asset_code || req.body.asset_code,
+            amount_in: req.query.amount || req.body.amount || null,
+            account: req.account,
+            withdraw_anchor_account: withdrawAccount,
+            withdraw_memo_type: 'text',
+            withdraw_memo: id.replace(/-/g, '').slice(0, 20),
+            started_at: new Date().toISOString(),
+            stellar_transaction_id: null
+        };
+        transactions.set(id, transaction);
+        return transaction;
+    }
+
+    function completeTransaction(id, stellarTransactionId) {
+        const transaction = transactions.get(id);
+        if (!transaction) {
+            throw new Error(`Transaction ${id} not found`);
+        }
+        transaction.status = 'completed';
+        transaction.stellar_transaction_id = stellarTransactionId || null;
+        transaction.amount_out = transaction.amount_in;
+        transaction.completed_at = new Date().toISOString();
+        return transaction;
+    }
+
+    function authenticate(req, res, next) {
+        const header = req.get('authorization') || '';
+        const claims = verifyJwt(header.replace(/^Bearer /, ''));
+        if (!claims) {
+            return res.status(403).json({ type: 'authentication_required' });
+        }
+        req.account = claims.sub;
+        next();
+    }
+
+    function signJwt(claims) {
+        const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+        const signature = crypto.createHmac('sha256', jwtSecret).update(unsigned).digest('base64url');
+        return `${unsigned}.${signature}`;
+    }
+
+    function verifyJwt(token) {
+        const [header, payload, signature] = (token || '').split('.');
+        if (!signature) {
+            return null;
+        }
+
+        const expected = crypto.createHmac('sha256', jwtSecret).update(`${header}.${payload}`).digest('base64url');
+        if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return null;
+        }
+
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        return claims.exp > Date.now() / 1000 ? claims : null;
+    }
+
+    return {
+        app,
+        signingKey: signingKeypair.publicKey(),
+        withdrawAccount,
+        transactions,
+        completeTransaction,
+
+        /**
+         * Start serving the mock anchor
+         * @param {number} port - Port to listen on, a free one by default
+         * @returns {Promise} Resolves with the HTTP server and the anchor's home domain
+         */
+        listen(port = 0) {
+            return new Promise(resolve => {
+                const httpServer = app.listen(port, '127.0.0.1', () => {
+                    resolve({ server: httpServer, domain: `127.0.0.1:${httpServer.address().port}` });
+                });
+            });
+        }
+    };
+}
+
+if (require.main === module) {
+    createMockAnchor()
+        .listen(process.env.MOCK_ANCHOR_PORT || 8000)
+        .then(({ domain }) => {
+            console.log(`Mock anchor running at http://${domain}`);
+        });
+}
+
+module.exports = { createMockAnchor };
@@ -0,0 +1,441 @@
+// Mock Horizon for testing payments, events and webhooks without network access
+// Keeps a small XLM-only ledger in memory: accounts load, signed transactions
+// with payment and create-account operations are applied or refused with the
+// result codes Horizon would give, and every operation is streamed over
+// server-sent events the way Horizon does. Point a StellarSdk.Horizon.Server at
+// it with allowHttp. Run it with `node mock-horizon.js` or create one in a test
+// with createMockHorizon().
+
+const StellarSdk = require('stellar-sdk');
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+// Every account keeps two base reserves of 0.5 XLM, and each operation costs the base fee
+const MIN_BALANCE = 10000000n;
+const BASE_FEE = BigInt(StellarSdk.BASE_FEE);
+
+/**
+ * Create a mock Horizon
+ * @param {Object} options - Horizon options
+ * @param {string} options.networkPassphrase - Network the ledger runs on, testnet by default
+ * @returns {Object} The express app, its ledger, and helpers to drive it
+ */
+function createMockHorizon(options = {}) {
+    const networkPassphrase = options.networkPassphrase || StellarSdk.Networks.TESTNET;
+    const accounts = new Map();
+    const transactions = new Map();
+    const operations = [];
+    const streams = [];
+    const waiters = [];
+    let ledger = 1;
+
+    const app = express();
+    app.use(bodyParser.json());
+    app.use(bodyParser.urlencoded({ extended: false }));
+
+    const notFound = res => res.status(404).json({
+        type: 'https://stellar.org/horizon-errors/not_found',
+        title: 'Resource Missing',
+        status: 404
+    });
+
+    // Accounts
+    app.get('/accounts/:accountId', (req, res) => {
+        const account = accounts.get(req.params.accountId);
+        if (!account) {
+            return notFound(res);
+        }
+        res.json(describeAccount(req.params.accountId, account));
+    });
+
+    // Operations of an account, streamed from the cursor on
+    app.get('/accounts/:accountId/operations', (req, res) => {
+        const accountId = req.params.accountId;
+        const cursor = req.query.cursor || '0';
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write('retry: 1000\nevent: open\ndata: "hello"\n\n');
+
+        // "now" only streams what happens from here on
+        if (cursor !== 'now') {
+            operations
+                .filter(operation => involves(operation, accountId) && BigInt(operation.record.paging_token) > BigInt(cursor))
+                .forEach(operation => send(res, operation));
+        }
+
+        const stream = { accountId, res };
+        streams.push(stream);
+        req.on('close', () => streams.splice(streams.indexOf(stream), 1));
+
+        waiters
+            .filter(waiter => waiter.accountId === accountId)
+            .forEach(waiter => {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                waiter.resolve();
+            });
+    });
+
+    // Transactions
+    app.post('/transactions', (req, res) => {
+        let transaction;
+        try {
+            transaction = StellarSdk.TransactionBuilder.fromXDR(req.body.tx, networkPassphrase);
+        } catch (error) {
+            return res.status(400).json({
+                type: 'https://stellar.org/horizon-errors/transaction_malformed',
+                title: 'Transaction Malformed',
+                status: 400,
+                extras: { envelope_xdr: req.body.tx }
+            });
+        }
+
+        const result = submitTransaction(transaction);
+        if (result.successful) {
+            return res.json(result.record);
+        }
+        res.status(400).json({
+            type: 'https://stellar.org/horizon-errors/transaction_failed',
+            title: 'Transaction Failed',
+            status: 400,
+            extras: { envelope_xdr: req.body.tx, result_codes: result.resultCodes }
+        });
+    });
+
+    app.get('/transactions/:hash', (req, res) => {
+        const record = transactions.get(req.params.hash);
+        if (!record) {
+            return notFound(res);
+        }
+        res.json(record);
+    });
+
+    // Mock only: create or top up an account
+    app.post('/mock/accounts', (req, res) => {
+        try {
+            res.status(201).json(describeAccount(req.body.publicKey, fundAccount(req.body.publicKey, req.body.balance)));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Mock only: add a payment from outside the ledger
+    app.post('/mock/payments', (req, res) => {
+        try {
+            res.status(201).json(addPayment(req.body));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    /**
+     * Create an account, or set the XLM balance of an existing one
+     * @param {string} publicKey - The account
+     * @param {string} balance - Its XLM balance, 10000 by default
+     * @returns {Object} The account
+     */
+    function fundAccount(publicKey, balance = '10000') {
+        if (!StellarSdk.StrKey.isValidEd25519PublicKey(publicKey || '')) {
+            throw new Error(`Invalid public key ${publicKey}`);
+        }
+
+        const account = accounts.get(publicKey) || { sequence: BigInt(ledger) << 32n };
+        account.balance = toStroops(balance);
+        accounts.set(publicKey, account);
+        return account;
+    }
+
+    /**
+     * Apply a signed transaction to the ledger, as Horizon's submit endpoint does
+     * @param {StellarSdk.Transaction|StellarSdk.FeeBumpTransaction} transaction - The transaction
+     * @returns {Object} Whether it succeeded, its record, and the result codes when it did not
+     */
+    function submitTransaction(transaction) {
+        const inner = transaction.innerTransaction || transaction;
+        const feeSource = transaction.innerTransaction ? transaction.feeSource : inner.source;
+        const fee = BASE_FEE * BigInt(inner.operations.length);
+        const refuse = code => ({ successful: false, resultCodes: { transaction: code } });
+
+        const source = accounts.get(inner.source);
+        if (!source || !accounts.has(feeSource)) {
+            return refuse('tx_no_source_account');
+        }
+        if (inner.timeBounds && Number(inner.timeBounds.maxTime) > 0 && Date.now() / 1000 > Number(inner.timeBounds.maxTime)) {
+            return refuse('tx_too_late');
+        }
+        if (BigInt(inner.sequence) !== source.sequence + 1n) {
+            return refuse('tx_bad_seq');
+        }
+        const signers = new Set([inner.source, ...inner.operations.map(operation => operation.source || inner.source)]);
+        if (![...signers].every(signer => isSignedBy(inner, signer)) ||
+            (transaction.innerTransaction && !isSignedBy(transaction, feeSource))) {
+            return refuse('tx_bad_auth');
+        }
+        if (accounts.get(feeSource).balance - fee < MIN_BALANCE) {
+            return refuse('tx_insufficient_balance');
+        }
+
+        // The sequence number and fee are used up whether or not the operations succeed
+        source.sequence = BigInt(inner.sequence);
+        accounts.get(feeSource).balance -= fee;
+
+        // Operations are applied to a copy of the balances, kept only if all of them succeed
+        const balances = new Map([...accounts].map(([accountId, account]) => [accountId, account.balance]));
+        const codes = inner.operations.map(operation => applyOperation(balances, operation, operation.source || inner.source));
+        const successful = codes.every(code => code === 'op_success');
+
+        const hash = transaction.hash().toString('hex');
+        const record = {
+            id: hash,
+            hash: hash,
+            ledger: ++ledger,
+            successful: successful,
+            created_at: new Date().toISOString(),
+            source_account: inner.source,
+            fee_account: feeSource,
+            fee_charged: fee.toString(),
+            operation_count: inner.operations.length,
+            envelope_xdr: transaction.toXDR(),
+            memo_type: inner.memo.type
+        };
+        transactions.set(hash, record);
+
+        if (!successful) {
+            return { successful, record, resultCodes: { transaction: 'tx_failed', operations: codes } };
+        }
+
+        balances.forEach((balance, accountId) => {
+            const account = accounts.get(accountId) || { sequence: BigInt(ledger) << 32n };
+            account.balance = balance;
+            accounts.set(accountId, account);
+        });
+        inner.operations.forEach(operation => recordOperation(operation, operation.source || inner.source, record));
+
+        return { successful, record };
+    }
+
+    function applyOperation(balances, operation, sourceAccount) {
+        if (operation.type === 'payment') {
+            if (!operation.asset.isNative()) {
+                return 'op_no_trust';
+            }
+            if (!balances.has(operation.destination)) {
+                return 'op_no_destination';
+            }
+            return transfer(balances, sourceAccount, operation.destination, toStroops(operation.amount));
+        }
+
+        if (operation.type === 'createAccount') {
+            if (balances.has(operation.destination)) {
+                return 'op_already_exists';
+            }
+            if (toStroops(operation.startingBalance) < MIN_BALANCE) {
+                return 'op_low_reserve';
+            }
+            balances.set(operation.destination, 0n);
+            return transfer(balances, sourceAccount, operation.destination, toStroops(operation.startingBalance));
+        }
+
+        return 'op_not_supported';
+    }
+
+    function transfer(balances, from, to, amount) {
+        if (balances.get(from) - amount < MIN_BALANCE) {
+            return 'op_underfunded';
+        }
+        balances.set(from, balances.get(from) - amount);
+        balances.set(to, balances.get(to) + amount);
+        return 'op_success';
+    }
+
+    function recordOperation(operation, sourceAccount, transactionRecord) {
+        const base = {
+            transaction_successful: true,
+            source_account: sourceAccount,
+            created_at: transactionRecord.created_at,
+            transaction_hash: transactionRecord.hash
+        };
+
+        if (operation.type === 'payment') {
+            addOperation({
+                ...base,
+                type: 'payment',
+                type_i: 1,
+                asset_type: 'native',
+                from: sourceAccount,
+                to: operation.destination,
+                amount: operation.amount
+            }, [sourceAccount, operation.destination]);
+        } else {
+            addOperation({
+                ...base,
+                type: 'create_account',
+                type_i: 0,
+                funder: sourceAccount,
+                account: operation.destination,
+                starting_balance: operation.startingBalance
+            }, [sourceAccount, operation.destination]);
+        }
+    }
+
+    /**
+     * Add a payment made outside the ledger and stream it to the accounts it involves.
+     * The recipient's balance goes up if the ledger knows the account.
+     * @param {Object} payment - The payment
+     * @param {string} payment.from - Sending account, random by default
+     * @param {string} payment.to - Receiving account
+     * @param {string} payment.amount - Amount paid
+     * @param {string|Object} payment.asset - "native" (the default) or { code, issuer }
+     * @returns {Object} The Horizon operation record
+     */
+    function addPayment({ from, to, amount, asset = 'native' } = {}) {
+        if (!to || !/^\d+(\.\d{1,7})?$/.test(amount || '')) {
+            throw new Error('A payment needs a destination and an amount');
+        }
+
+        const sender = from || StellarSdk.Keypair.random().publicKey();
+        if (asset === 'native' && accounts.has(to)) {
+            accounts.get(to).balance += toStroops(amount);
+        }
+
+        return addOperation({
+            transaction_successful: true,
+            source_account: sender,
+            type: 'payment',
+            type_i: 1,
+            created_at: new Date().toISOString(),
+            transaction_hash: crypto.randomBytes(32).toString('hex'),
+            ...(asset === 'native'
+                ? { asset_type: 'native' }
+                : {
+                    asset_type: asset.code.length <= 4 ? 'credit_alphanum4' : 'credit_alphanum12',
+                    asset_code: asset.code,
+                    asset_issuer: asset.issuer
+                }),
+            from: sender,
+            to: to,
+            amount: fromStroops(toStroops(amount))
+        }, [sender, to]);
+    }
+
+    function addOperation(fields, involved) {
+        const pagingToken = String((operations.length + 1) * 4096);
+        const record = { id: pagingToken, paging_token: pagingToken, ...fields };
+
+        const operation = { record, accounts: involved };
+        operations.push(operation);
+        streams
+            .filter(stream => involves(operation, stream.accountId))
+            .forEach(stream => send(stream.res, operation));
+
+        return record;
+    }
+
+    /**
+     * Wait until an account's operations are being streamed, so that payments
+     * added afterwards reach a stream opened with the "now" cursor
+     * @param {string} accountId - The streamed account
+     * @returns {Promise} Resolves once the stream is open
+     */
+    function waitForStream(accountId) {
+        if (streams.some(stream => stream.accountId === accountId)) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => waiters.push({ accountId, resolve }));
+    }
+
+    function describeAccount(accountId, account) {
+        return {
+            _links: { data: { href: `/accounts/${accountId}/data/{key}`, templated: true } },
+            id: accountId,
+            account_id: accountId,
+            sequence: account.sequence.toString(),
+            subentry_count: 0,
+            num_sponsoring: 0,
+            num_sponsored: 0,
+            thresholds: { low_threshold: 0, med_threshold: 0, high_threshold: 0 },
+            flags: { auth_required: false, auth_revocable: false, auth_immutable: false, auth_clawback_enabled: false },
+            balances: [{
+                asset_type: 'native',
+                balance: fromStroops(account.balance),
+                buying_liabilities: '0.0000000',
+                selling_liabilities: '0.0000000'
+            }],
+            signers: [{ key: accountId, weight: 1, type: 'ed25519_public_key' }],
+            data: {},
+            paging_token: accountId
+        };
+    }
+
+    function isSignedBy(transaction, accountId) {
+        const keypair = StellarSdk.Keypair.fromPublicKey(accountId);
+        return transaction.signatures.some(signature =>
+            signature.hint().equals(keypair.signatureHint()) &&
+            keypair.verify(transaction.hash(), signature.signature())
+        );
+    }
+
+    function involves(operation, accountId) {
+        return operation.accounts.includes(accountId);
+    }
+
+    function send(res, operation) {
+        res.write(`id: ${operation.record.paging_token}\ndata: ${JSON.stringify(operation.record)}\n\n`);
+    }
+
+    return {
+        app,
+        accounts,
+        transactions,
+        operations: () => operations.map(operation => operation.record),
+        fundAccount,
+        submitTransaction,
+        addPayment,
+        waitForStream,
+
+        /**
+         * Get the XLM balance of an account
+         * @param {string} publicKey - The account
+         * @returns {string|null} The balance, or null if the account does not exist
+         */
+        balance(publicKey) {
+            return accounts.has(publicKey) ? fromStroops(accounts.get(publicKey).balance) : null;
+        },
+
+        /**
+         * Start serving the mock Horizon
+         * @param {number} port - Port to listen on, a free one by default
+         * @returns {Promise} Resolves with the HTTP server and the Horizon URL
+         */
+        listen(port = 0) {
+            return new Promise(resolve => {
+                const httpServer = app.listen(port, '127.0.0.1', () => {
+                    resolve({ server: httpServer, url: `http://127.0.0.1:${httpServer.address().port}` });
+                });
+            });
+        }
+    };
+}
+
+function toStroops(amount) {
+    const [whole, fraction = ''] = amount.toString().split('.');
+    return BigInt(whole) * 10000000n + BigInt(fraction.padEnd(7, '0').slice(0, 7));
+}
+
+function fromStroops(stroops) {
+    return `${stroops / 10000000n}.${(stroops % 10000000n).toString().padStart(7, '0')}`;
+}
+
+if (require.main === module) {
+    createMockHorizon()
+        .listen(process.env.MOCK_HORIZON_PORT || 8001)
+        .then(({ url }) => {
+            console.log(`Mock Horizon running at ${url}`);
+        });
+}
+
+module.exports = { createMockHorizon };
@@ -0,0 +1,124 @@
+// Mock webhook receiver for testing event deliveries without a real endpoint
+// Checks the X-NGO-Signature of every delivery and keeps what it received in
+// memory, and can answer the first deliveries with errors to exercise retries.
+// Run it with `node mock-webhook-receiver.js` or create one in a test with
+// createMockWebhookReceiver().
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const { verifyWebhookSignature } = require('./ngo');
+
+/**
+ * Create a mock webhook receiver
+ * @param {Object} options - Receiver options
+ * @param {string} options.secret - Webhook secret to check signatures with, see setSecret
+ * @param {number} options.failures - Genuine deliveries answered with a 500 before the receiver accepts them, none by default
+ * @param {Function} options.onDelivery - Called with each delivery received
+ * @returns {Object} The express app, the deliveries it received, and helpers to drive it
+ */
+function createMockWebhookReceiver(options = {}) {
+    let secret = options.secret || null;
+    let failures = options.failures || 0;
+    const deliveries = [];
+    const waiters = [];
+
+    const app = express();
+
+    // The signature covers the body exactly as sent, so keep it raw
+    app.post('/', bodyParser.raw({ type: '*/*' }), (req, res) => {
+        const body = req.body.toString();
+        const verified = Boolean(secret) && verifyWebhookSignature(secret, req.get('x-ngo-signature'), body);
+
+        let statusCode = 200;
+        if (!verified) {
+            statusCode = 401;
+        } else if (failures > 0) {
+            failures--;
+            statusCode = 500;
+        }
+
+        let event = null;
+        try {
+            event = JSON.parse(body);
+        } catch (error) {
+            // Unparseable bodies are still recorded, with no event
+        }
+
+        const delivery = {
+            deliveryId: req.get('x-ngo-delivery') || null,
+            eventType: req.get('x-ngo-event') || null,
+            signature: req.get('x-ngo-signature') || null,
+            event: event,
+            verified: verified,
+            statusCode: statusCode,
+            receivedAt: new Date().toISOString()
+        };
+        deliveries.push(delivery);
+        res.status(statusCode).json({ received: statusCode === 200 });
+
+        if (options.onDelivery) {
+            options.onDelivery(delivery);
+        }
+
+        waiters
+            .filter(waiter => deliveries.length >= waiter.count)
+            .forEach(waiter => {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                waiter.resolve(deliveries.slice());
+            });
+    });
+
+    /**
+     * Wait until the receiver has been called a number of times
+     * @param {number} count - Deliveries to wait for, accepted or not
+     * @returns {Promise} Resolves with the deliveries received so far
+     */
+    function waitForDeliveries(count) {
+        if (deliveries.length >= count) {
+            return Promise.resolve(deliveries.slice());
+        }
+        return new Promise(resolve => waiters.push({ count, resolve }));
+    }
+
+    return {
+        app,
+        deliveries,
+        waitForDeliveries,
+
+        /**
+         * Set the secret deliveries are checked with, once the webhook is registered
+         * @param {string} webhookSecret - Secret returned by registerWebhook
+         */
+        setSecret(webhookSecret) {
+            secret = webhookSecret;
+        },
+
+        /**
+         * Start serving the mock receiver
+         * @param {number} port - Port to listen on, a free one by default
+         * @returns {Promise} Resolves with the HTTP server and the URL to register as a webhook
+         */
+        listen(port = 0) {
+            return new Promise(resolve => {
+                const httpServer = app.listen(port, '127.0.0.1', () => {
+                    resolve({ server: httpServer, url: `http://127.0.0.1:${httpServer.address().port}/` });
+                });
+            });
+        }
+    };
+}
+
+if (require.main === module) {
+    createMockWebhookReceiver({
+        secret: process.env.MOCK_WEBHOOK_SECRET,
+        onDelivery: delivery => {
+            console.log(`${delivery.eventType} ${delivery.deliveryId}: signature ${delivery.verified ? 'valid' : 'invalid'}, answered ${delivery.statusCode}`);
+        }
+    })
+        .listen(process.env.MOCK_WEBHOOK_PORT || 8002)
+        .then(({ url }) => {
+            console.log(`Mock webhook receiver running at ${url}`);
+        });
+}
+
+module.exports = { createMockWebhookReceiver };
@@ -1,721 +1,7748 @@
-// Financial Inclusion Toolkit for NGOs on Stellar Testnet
+// Financial Inclusion Toolkit for NGOs on Stellar
 // This implementation includes:
 // 1. Aid Distribution System
 // 2. Offline Transaction Management
 // 3. Conditional Transfers via Smart Contracts
 // 4. Analytics Dashboard Integration
+// 5. Key Vault
+// 6. Access Control and Audit Log
+// 7. Beneficiary Registry
+// 8. Recurring Disbursements
+// 9. Events and Webhooks
+// 10. SMS and USSD Gateway
+// 11. Anchor Cash-Out
+// 12. Grants and Budgets
+// 13. Donor Transparency
+// 14. Fraud and Anomaly Checks
+//
+// createToolkit() returns the functions of the toolkit, bound to a Horizon
+// client, a network and a data store. The HTTP API is mounted by server.js.
 
 const StellarSdk = require('stellar-sdk');
 const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
-const express = require('express');
-const bodyParser = require('body-parser');
 
-// Configure Stellar testnet
-const server = new StellarSdk.Server('https://horizon-testnet.stellar.org');
-const networkPassphrase = StellarSdk.Networks.TESTNET;
+// Stellar networks the toolkit can run on, selected with STELLAR_NETWORK
+const NETWORK_PROFILES = {
+    testnet: {
+        horizonUrl: 'https://horizon-testnet.stellar.org',
+        networkPassphrase: StellarSdk.Networks.TESTNET,
+        friendbotUrl: 'https://friendbot.stellar.org',
+        limits: {}
+    },
+    futurenet: {
+        horizonUrl: 'https://horizon-futurenet.stellar.org',
+        networkPassphrase: StellarSdk.Networks.FUTURENET,
+        friendbotUrl: 'https://friendbot-futurenet.stellar.org',
+        limits: {}
+    },
+    // Real funds: nothing is submitted until the operator confirms, and transactions are capped
+    public: {
+        horizonUrl: 'https://horizon.stellar.org',
+        networkPassphrase: StellarSdk.Networks.PUBLIC,
+        friendbotUrl: null,
+        guarded: true,
+        confirmed: false,
+        limits: { maxTransactionAmount: { '*': '10000' } }
+    },
+    // A local network such as the stellar/quickstart image, override the URLs and passphrase as needed
+    standalone: {
+        horizonUrl: 'http://localhost:8000',
+        networkPassphrase: StellarSdk.Networks.STANDALONE,
+        friendbotUrl: 'http://localhost:8000/friendbot',
+        limits: {}
+    }
+};
+
+/**
+ * Create an instance of the toolkit. Every function works against the Horizon
+ * client, network and store given here, so several toolkits can live side by side
+ * and tests can pass a fake Horizon.
+ * @param {Object} options - Toolkit options
+ * @param {Object} options.horizon - Horizon client, a StellarSdk.Horizon.Server for the network profile by default
+ * @param {string} options.networkPassphrase - Passphrase of the network, from the network profile by default
+ * @param {string|Object} options.network - Network profile name, or settings overriding the profile (see loadNetworkProfile)
+ * @param {Object} options.store - Document store, a file store in NGO_DATA_DIR (or ./data) by default
+ * @param {Object} options.logger - Logger with log, warn and error methods, console by default
+ * @param {number} options.webhookRetryDelay - Milliseconds before the first webhook retry, 10 seconds by default
+ * @returns {Object} The toolkit functions
+ */
+function createToolkit(options = {}) {
+    // Configure the Stellar network
+    const network = loadNetworkProfile(options.network);
+    if (options.networkPassphrase) {
+        network.networkPassphrase = options.networkPassphrase;
+    }
+    const server = options.horizon || new StellarSdk.Horizon.Server(network.horizonUrl, { allowHttp: network.allowHttp });
+    const networkPassphrase = network.networkPassphrase;
+    
+    // Durable state such as distribution jobs lives in the data directory
+    const store = options.store || createFileStore(process.env.NGO_DATA_DIR || 'data');
+    const logger = options.logger || console;
+    
+    // ------------------------------------------
+    // 1. AID DISTRIBUTION SYSTEM
+    // ------------------------------------------
+
+    /**
+     * Create a new NGO account, keeping its key in the key vault. Networks with a
+     * Friendbot fund the account from it; on other networks an existing account
+     * has to fund it.
+     * @param {Object} options - Account options
+     * @param {string} options.alias - Alias to refer to the NGO key by
+     * @param {string} options.funderKey - Key vault ID or alias of an account funding the new one
+     * @param {string} options.startingBalance - XLM sent by the funder, 5 by default
+     * @returns {Object} The key vault ID, alias and public key of the account
+     */
+    async function createNGOAccount(options = {}) {
+        if (!options.funderKey && !network.friendbotUrl) {
+            throw new Error(`The ${network.name} network has no Friendbot, pass a funderKey to fund the account`);
+        }
+
+        try {
+            const { keypair: pair, key } = createVaultKey({ alias: options.alias, role: 'ngo' });
+
+            if (options.funderKey) {
+                const funderAccount = await server.loadAccount(resolveAccountId(options.funderKey));
+                const transaction = new StellarSdk.TransactionBuilder(funderAccount, {
+                    fee: StellarSdk.BASE_FEE,
+                    networkPassphrase: networkPassphrase
+                })
+                .addOperation(StellarSdk.Operation.createAccount({
+                    destination: pair.publicKey(),
+                    startingBalance: (options.startingBalance || "5").toString()
+                }))
+                .setTimeout(30)
+                .build();
+
+                transaction.sign(resolveKeypair(options.funderKey));
+                await submitTransaction(transaction, { type: 'ngo_account' });
+            } else {
+                // Fund the account using Friendbot (test networks only)
+                const response = await fetch(
+                    `${network.friendbotUrl}?addr=${encodeURIComponent(pair.publicKey())}`
+                );
+                if (!response.ok) {
+                    throw new Error(`Friendbot could not fund the account: ${response.status}`);
+                }
+            }
+
+            return {
+                keyId: key.id,
+                alias: key.alias,
+                publicKey: pair.publicKey()
+            };
+        } catch (error) {
+            logger.error('Error creating NGO account:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a new beneficiary account. By default the NGO sponsors the account's base
+     * reserve (and any trustlines opened with it), so the account can start with a
+     * zero balance and the NGO gets the reserves back when the beneficiary leaves.
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the NGO funding the account
+     * @param {string} initialBalance - Initial XLM amount for the beneficiary ("0" when sponsored, "5" otherwise)
+     * @param {Object} options - Account options
+     * @param {string} options.alias - Alias to refer to the beneficiary key by
+     * @param {boolean} options.sponsored - Sponsor the account reserves, true unless set to false
+     * @param {Array} options.assets - Assets to open sponsored trustlines for, as { code, issuer }
+     * @param {string} options.program - Program the beneficiary is enrolled in
+     * @returns {Object} The key vault ID, alias and public key of the new account
+     */
+    async function createBeneficiaryAccount(ngoKey, initialBalance, options = {}) {
+        const ngoKeypair = resolveKeypair(ngoKey);
+        const ngoAccountId = resolveAccountId(ngoKey);
+        const sponsored = options.sponsored !== false;
+        const assets = (options.assets || []).map(resolveAsset);
+
+        if (!sponsored && assets.length > 0) {
+            throw new Error('Trustlines can only be opened at account creation when the account is sponsored');
+        }
+        if (assets.some(asset => asset.isNative())) {
+            throw new Error('XLM does not need a trustline');
+        }
+
+        try {
+            const { keypair: beneficiaryKeypair, key } = createVaultKey({ alias: options.alias, role: 'beneficiary' });
+
+            // Load NGO account
+            const ngoAccount = await server.loadAccount(ngoAccountId);
+
+            // Create transaction to create beneficiary account
+            const transactionBuilder = new StellarSdk.TransactionBuilder(ngoAccount, {
+                fee: StellarSdk.BASE_FEE,
+                networkPassphrase: networkPassphrase
+            });
+
+            if (sponsored) {
+                transactionBuilder.addOperation(StellarSdk.Operation.beginSponsoringFutureReserves({
+                    sponsoredId: beneficiaryKeypair.publicKey()
+                }));
+            }
+
+            transactionBuilder.addOperation(StellarSdk.Operation.createAccount({
+                destination: beneficiaryKeypair.publicKey(),
+                startingBalance: initialBalance || (sponsored ? '0' : '5')
+            }));
+
+            if (sponsored) {
+                assets.forEach(asset => {
+                    transactionBuilder.addOperation(StellarSdk.Operation.changeTrust({
+                        source: beneficiaryKeypair.publicKey(),
+                        asset: asset
+                    }));
+                });
+
+                // The sponsored account has to accept the sponsorship
+                transactionBuilder.addOperation(StellarSdk.Operation.endSponsoringFutureReserves({
+                    source: beneficiaryKeypair.publicKey()
+                }));
+            }
+
+            const transaction = transactionBuilder
+                .setTimeout(30)
+                .build();
+
+            // Sign the transaction
+            transaction.sign(ngoKeypair);
+            if (sponsored) {
+                transaction.sign(beneficiaryKeypair);
+            }
+
+            // Submit the transaction
+            await submitTransaction(transaction, { type: 'beneficiary_account', program: options.program });
+
+            if (sponsored) {
+                saveSponsorship({
+                    accountId: beneficiaryKeypair.publicKey(),
+                    keyId: key.id,
+                    sponsor: ngoAccountId,
+                    program: options.program || null,
+                    trustlines: assets.map(describeAsset),
+                    status: 'active',
+                    createdAt: new Date().toISOString()
+                });
+            }
+
+            return {
+                keyId: key.id,
+                alias: key.alias,
+                publicKey: beneficiaryKeypair.publicKey(),
+                sponsored: sponsored
+            };
+        } catch (error) {
+            logger.error('Error creating beneficiary account:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Wrap a transaction signed by a beneficiary in a fee bump so the NGO pays its fee.
+     * Only transactions from beneficiaries the NGO sponsors or holds keys for are bumped.
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the NGO paying the fee
+     * @param {string} innerTransactionXDR - The beneficiary-signed transaction, base64 XDR
+     * @param {Object} options - Fee bump options
+     * @param {string} options.baseFee - Fee per operation in stroops, at least the inner transaction's
+     * @param {string} options.program - Program to record the transaction under
+     * @param {string} options.type - Toolkit action to record the transaction as, "fee_bump" by default
+     * @returns {Object} Result of the fee bump transaction
+     */
+    async function submitFeeBumpTransaction(ngoKey, innerTransactionXDR, options = {}) {
+        const ngoKeypair = resolveKeypair(ngoKey);
+        const ngoAccountId = resolveAccountId(ngoKey);
+
+        try {
+            const innerTransaction = StellarSdk.TransactionBuilder.fromXDR(innerTransactionXDR, networkPassphrase);
+            if (innerTransaction instanceof StellarSdk.FeeBumpTransaction) {
+                throw new Error('The transaction already has a fee bump');
+            }
+            if (innerTransaction.signatures.length === 0) {
+                throw new Error('The transaction must be signed by the beneficiary first');
+            }
+
+            const isBeneficiary = loadSponsorship(innerTransaction.source) ||
+                store.list('keys')
+                    .map(id => store.read(`keys/${id}`))
+                    .some(entry => entry.role === 'beneficiary' && entry.accountId === innerTransaction.source);
+            if (!isBeneficiary) {
+                throw new Error(`${innerTransaction.source} is not a beneficiary of this NGO`);
+            }
+
+            // The fee bump must pay at least as much per operation as the inner transaction
+            const operationCount = innerTransaction.operations.length;
+            const innerBaseFee = Math.ceil(Number(innerTransaction.fee) / operationCount);
+            const baseFee = Math.max(Number(options.baseFee || StellarSdk.BASE_FEE), innerBaseFee);
+
+            const feeBump = StellarSdk.TransactionBuilder.buildFeeBumpTransaction(
+                ngoAccountId,
+                baseFee.toString(),
+                innerTransaction,
+                networkPassphrase
+            );
+            feeBump.sign(ngoKeypair);
+
+            const result = await submitTransaction(feeBump, { type: options.type || 'fee_bump', program: options.program });
+            return {
+                hash: result.hash,
+                innerHash: innerTransaction.hash().toString('hex'),
+                feeSource: ngoAccountId,
+                fee: feeBump.fee
+            };
+        } catch (error) {
+            logger.error('Error submitting fee bump transaction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * End the NGO's sponsorship of a beneficiary who leaves a program. With reclaim,
+     * the trustlines are closed and the account is merged into the NGO account, which
+     * frees the sponsored reserves and returns any XLM left; this needs the beneficiary
+     * key in the vault and empty trustlines. Otherwise the sponsorships are revoked and
+     * the beneficiary takes over the reserves, which needs enough XLM in the account.
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the sponsoring NGO
+     * @param {string} beneficiaryPublicKey - Account of the beneficiary
+     * @param {Object} options - Revocation options
+     * @param {boolean} options.reclaim - Close the account and reclaim its reserves
+     * @returns {Object} The updated sponsorship and the transaction hash
+     */
+    async function revokeSponsorship(ngoKey, beneficiaryPublicKey, options = {}) {
+        const ngoKeypair = resolveKeypair(ngoKey);
+        const ngoAccountId = resolveAccountId(ngoKey);
+        const sponsorship = loadSponsorship(beneficiaryPublicKey);
+
+        if (!sponsorship) {
+            throw new Error(`No sponsorship found for ${beneficiaryPublicKey}`);
+        }
+        if (sponsorship.status !== 'active') {
+            throw new Error(`Sponsorship of ${beneficiaryPublicKey} is already ${sponsorship.status}`);
+        }
+        if (sponsorship.sponsor !== ngoAccountId) {
+            throw new Error(`${beneficiaryPublicKey} is sponsored by ${sponsorship.sponsor}`);
+        }
+
+        try {
+            const trustlines = sponsorship.trustlines.map(resolveAsset);
+            let transaction;
+
+            if (options.reclaim) {
+                const beneficiaryKeypair = resolveKeypair(sponsorship.keyId);
+                const beneficiaryAccount = await server.loadAccount(beneficiaryPublicKey);
+
+                const transactionBuilder = new StellarSdk.TransactionBuilder(beneficiaryAccount, {
+                    fee: StellarSdk.BASE_FEE,
+                    networkPassphrase: networkPassphrase
+                });
+                trustlines.forEach(asset => {
+                    transactionBuilder.addOperation(StellarSdk.Operation.changeTrust({
+                        asset: asset,
+                        limit: '0'
+                    }));
+                });
+                transactionBuilder.addOperation(StellarSdk.Operation.accountMerge({
+                    destination: ngoAccountId
+                }));
+
+                transaction = transactionBuilder
+                    .setTimeout(30)
+                    .build();
+                transaction.sign(beneficiaryKeypair);
+            } else {
+                const ngoAccount = await server.loadAccount(ngoAccountId);
+
+                const transactionBuilder = new StellarSdk.TransactionBuilder(ngoAccount, {
+                    fee: StellarSdk.BASE_FEE,
+                    networkPassphrase: networkPassphrase
+                });
+                trustlines.forEach(asset => {
+                    transactionBuilder.addOperation(StellarSdk.Operation.revokeTrustlineSponsorship({
+                        account: beneficiaryPublicKey,
+                        asset: asset
+                    }));
+                });
+                transactionBuilder.addOperation(StellarSdk.Operation.revokeAccountSponsorship({
+                    account: beneficiaryPublicKey
+                }));
+
+                transaction = transactionBuilder
+                    .setTimeout(30)
+                    .build();
+                transaction.sign(ngoKeypair);
+            }
+
+            const result = await submitTransaction(transaction, {
+                type: 'sponsorship_revocation',
+                program: sponsorship.program
+            });
+
+            sponsorship.status = options.reclaim ? 'reclaimed' : 'revoked';
+            sponsorship.endedAt = new Date().toISOString();
+            sponsorship.hash = result.hash;
+            saveSponsorship(sponsorship);
+
+            return sponsorship;
+        } catch (error) {
+            logger.error('Error revoking sponsorship:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List the beneficiary accounts sponsored by the NGO
+     * @param {string} status - Only return sponsorships with this status ("active", "revoked" or "reclaimed")
+     * @returns {Array} The sponsorships
+     */
+    function listSponsorships(status) {
+        return store.list('sponsorships')
+            .map(loadSponsorship)
+            .filter(sponsorship => !status || sponsorship.status === status);
+    }
+
+    function loadSponsorship(accountId) {
+        return store.read(`sponsorships/${accountId}`);
+    }
+
+    function saveSponsorship(sponsorship) {
+        store.write(`sponsorships/${sponsorship.accountId}`, sponsorship);
+    }
+
+    /**
+     * Resolve an asset descriptor into a Stellar asset
+     * @param {string|Object} asset - "XLM" for the native token, "CODE:ISSUER", or an object with code and issuer
+     * @returns {StellarSdk.Asset} The resolved asset
+     */
+    function resolveAsset(asset = "XLM") {
+        if (asset instanceof StellarSdk.Asset) {
+            return asset;
+        }
+
+        if (typeof asset === 'string') {
+            if (asset === "XLM" || asset === 'native') {
+                return StellarSdk.Asset.native();
+            }
+
+            const [code, issuer] = asset.split(':');
+            if (!issuer) {
+                throw new Error(`Asset ${asset} needs an issuer, use { code, issuer } or "CODE:ISSUER"`);
+            }
+            return new StellarSdk.Asset(code, issuer);
+        }
+
+        if (!asset || !asset.code) {
+            throw new Error('Asset must be "XLM" or an object with code and issuer');
+        }
+
+        if (asset.code === "XLM" && !asset.issuer) {
+            return StellarSdk.Asset.native();
+        }
+
+        return new StellarSdk.Asset(asset.code, asset.issuer);
+    }
+
+    /**
+     * Describe an asset in the { code, issuer } form used by the API
+     * @param {StellarSdk.Asset} asset - The asset to describe
+     * @returns {Object|string} "XLM" for the native token, otherwise code and issuer
+     */
+    function describeAsset(asset) {
+        if (asset.isNative()) {
+            return "XLM";
+        }
+
+        return {
+            code: asset.getCode(),
+            issuer: asset.getIssuer()
+        };
+    }
+
+    /**
+     * Create an issuer/distributor account pair for an NGO asset such as a voucher
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the NGO funding both accounts
+     * @param {string} assetCode - Code of the asset to issue (1-12 alphanumeric characters)
+     * @param {Object} options - Issuance options
+     * @param {string} options.supply - Amount issued to the distributor account
+     * @param {boolean} options.authRequired - Beneficiary trustlines must be authorized by the issuer
+     * @param {boolean} options.authRevocable - The issuer can freeze beneficiary trustlines
+     * @param {boolean} options.clawbackEnabled - The issuer can claw back issued funds
+     * @param {string} options.startingBalance - XLM used to create each of the two accounts
+     * @param {string} options.alias - Prefix for the vault aliases of the two keys, the asset code by default
+     * @returns {Object} The asset and the key vault details of the issuer and distributor accounts
+     */
+    async function createNGOAsset(ngoKey, assetCode, options = {}) {
+        const {
+            supply = '1000000',
+            authRequired = true,
+            authRevocable = true,
+            clawbackEnabled = true,
+            startingBalance = '5',
+            alias = assetCode
+        } = options;
+
+        if (!/^[a-zA-Z0-9]{1,12}$/.test(assetCode || '')) {
+            throw new Error('Asset codes are 1 to 12 letters and digits');
+        }
+        if (clawbackEnabled && !authRevocable) {
+            throw new Error('Clawback-enabled assets must also be revocable');
+        }
+
+        const ngoKeypair = resolveKeypair(ngoKey);
+        const ngoAccountId = resolveAccountId(ngoKey);
+
+        let flags = 0;
+        if (authRequired) flags |= StellarSdk.AuthRequiredFlag;
+        if (authRevocable) flags |= StellarSdk.AuthRevocableFlag;
+        if (clawbackEnabled) flags |= StellarSdk.AuthClawbackEnabledFlag;
+
+        try {
+            const { keypair: issuerKeypair, key: issuerKey } = createVaultKey({ alias: `${alias}-issuer`, role: 'issuer' });
+            const { keypair: distributorKeypair, key: distributorKey } = createVaultKey({ alias: `${alias}-distributor`, role: 'distributor' });
+            const asset = new StellarSdk.Asset(assetCode, issuerKeypair.publicKey());
+
+            // Load NGO account
+            const ngoAccount = await server.loadAccount(ngoAccountId);
+
+            // Create both accounts, set the issuer flags, open and authorize the
+            // distributor trustline and issue the supply in a single transaction
+            const transactionBuilder = new StellarSdk.TransactionBuilder(ngoAccount, {
+                fee: StellarSdk.BASE_FEE,
+                networkPassphrase: networkPassphrase
+            })
+            .addOperation(StellarSdk.Operation.createAccount({
+                destination: issuerKeypair.publicKey(),
+                startingBalance: startingBalance
+            }))
+            .addOperation(StellarSdk.Operation.createAccount({
+                destination: distributorKeypair.publicKey(),
+                startingBalance: startingBalance
+            }));
+
+            // Flags must be set before the first trustline so clawback applies to it
+            if (flags) {
+                transactionBuilder.addOperation(StellarSdk.Operation.setOptions({
+                    source: issuerKeypair.publicKey(),
+                    setFlags: flags
+                }));
+            }
+
+            transactionBuilder.addOperation(StellarSdk.Operation.changeTrust({
+                source: distributorKeypair.publicKey(),
+                asset: asset
+            }));
+
+            if (authRequired) {
+                transactionBuilder.addOperation(StellarSdk.Operation.setTrustLineFlags({
+                    source: issuerKeypair.publicKey(),
+                    trustor: distributorKeypair.publicKey(),
+                    asset: asset,
+                    flags: { authorized: true }
+                }));
+            }
+
+            const transaction = transactionBuilder
+                .addOperation(StellarSdk.Operation.payment({
+                    source: issuerKeypair.publicKey(),
+                    destination: distributorKeypair.publicKey(),
+                    asset: asset,
+                    amount: supply.toString()
+                }))
+                .setTimeout(30)
+                .build();
+
+            transaction.sign(ngoKeypair, issuerKeypair, distributorKeypair);
+            await submitTransaction(transaction, { type: 'asset_issuance' });
+
+            return {
+                asset: describeAsset(asset),
+                issuer: {
+                    keyId: issuerKey.id,
+                    alias: issuerKey.alias,
+                    publicKey: issuerKeypair.publicKey()
+                },
+                distributor: {
+                    keyId: distributorKey.id,
+                    alias: distributorKey.alias,
+                    publicKey: distributorKeypair.publicKey()
+                },
+                supply: supply.toString(),
+                flags: { authRequired, authRevocable, clawbackEnabled }
+            };
+        } catch (error) {
+            logger.error('Error creating NGO asset:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Establish a beneficiary trustline to an NGO asset, authorizing it in the same
+     * transaction when the issuer key is supplied
+     * @param {string} beneficiaryKey - Key vault ID or alias (or secret key) of the beneficiary opening the trustline
+     * @param {string|Object} asset - The asset to trust, as { code, issuer }
+     * @param {Object} options - Trustline options
+     * @param {string} options.issuerKey - Key vault ID or alias (or secret key) of the issuer, to authorize the trustline
+     * @param {string} options.limit - Maximum balance the beneficiary can hold
+     * @param {string} options.sponsorKey - Key vault ID or alias (or secret key) of the NGO sponsoring the trustline reserve
+     * @returns {Object} Result of the trustline transaction
+     */
+    async function establishTrustline(beneficiaryKey, asset, options = {}) {
+        const beneficiaryKeypair = resolveKeypair(beneficiaryKey);
+        const beneficiaryAccountId = resolveAccountId(beneficiaryKey);
+        const stellarAsset = resolveAsset(asset);
+
+        if (stellarAsset.isNative()) {
+            throw new Error('XLM does not need a trustline');
+        }
+
+        try {
+            // Load beneficiary account
+            const beneficiaryAccount = await server.loadAccount(beneficiaryAccountId);
+
+            const transactionBuilder = new StellarSdk.TransactionBuilder(beneficiaryAccount, {
+                fee: StellarSdk.BASE_FEE,
+                networkPassphrase: networkPassphrase
+            });
+
+            let sponsorKeypair = null;
+            if (options.sponsorKey) {
+                sponsorKeypair = resolveKeypair(options.sponsorKey);
+                transactionBuilder.addOperation(StellarSdk.Operation.beginSponsoringFutureReserves({
+                    source: resolveAccountId(options.sponsorKey),
+                    sponsoredId: beneficiaryAccountId
+                }));
+            }
+
+            transactionBuilder.addOperation(StellarSdk.Operation.changeTrust({
+                asset: stellarAsset,
+                limit: options.limit ? options.limit.toString() : undefined
+            }));
+
+            if (sponsorKeypair) {
+                transactionBuilder.addOperation(StellarSdk.Operation.endSponsoringFutureReserves());
+            }
+
+            let issuerKeypair = null;
+            if (options.issuerKey) {
+                issuerKeypair = resolveKeypair(options.issuerKey);
+                if (resolveAccountId(options.issuerKey) !== stellarAsset.getIssuer()) {
+                    throw new Error(`Issuer key does not match the issuer of ${stellarAsset.getCode()}`);
+                }
+
+                transactionBuilder.addOperation(StellarSdk.Operation.setTrustLineFlags({
+                    source: stellarAsset.getIssuer(),
+                    trustor: beneficiaryAccountId,
+                    asset: stellarAsset,
+                    flags: { authorized: true }
+                }));
+            }
+
+            const transaction = transactionBuilder
+                .setTimeout(30)
+                .build();
+
+            transaction.sign(beneficiaryKeypair);
+            if (issuerKeypair) {
+                transaction.sign(issuerKeypair);
+            }
+            if (sponsorKeypair) {
+                transaction.sign(sponsorKeypair);
+            }
+
+            const result = await submitTransaction(transaction, { type: 'trustline' });
+
+            // Remember the sponsored trustline so the reserve can be reclaimed later
+            const sponsorship = loadSponsorship(beneficiaryAccountId);
+            if (sponsorKeypair && sponsorship && sponsorship.sponsor === resolveAccountId(options.sponsorKey)) {
+                sponsorship.trustlines.push(describeAsset(stellarAsset));
+                saveSponsorship(sponsorship);
+            }
+
+            return {
+                publicKey: beneficiaryAccountId,
+                asset: describeAsset(stellarAsset),
+                authorized: Boolean(issuerKeypair),
+                sponsored: Boolean(sponsorKeypair),
+                hash: result.hash
+            };
+        } catch (error) {
+            logger.error('Error establishing trustline:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Authorize (or revoke authorization of) a beneficiary trustline as the asset issuer
+     * @param {string} issuerKey - Key vault ID or alias (or secret key) of the asset issuer
+     * @param {string} trustorPublicKey - Public key of the account holding the trustline
+     * @param {string|Object} asset - The asset, as { code, issuer }
+     * @param {boolean} authorized - Whether the trustline should be authorized
+     * @returns {Object} Result of the authorization transaction
+     */
+    async function authorizeTrustline(issuerKey, trustorPublicKey, asset, authorized = true) {
+        const issuerKeypair = resolveKeypair(issuerKey);
+        const issuerAccountId = resolveAccountId(issuerKey);
+        const stellarAsset = resolveAsset(asset);
+
+        try {
+            // Load issuer account
+            const issuerAccount = await server.loadAccount(issuerAccountId);
+
+            const transaction = new StellarSdk.TransactionBuilder(issuerAccount, {
+                fee: StellarSdk.BASE_FEE,
+                networkPassphrase: networkPassphrase
+            })
+            .addOperation(StellarSdk.Operation.setTrustLineFlags({
+                trustor: trustorPublicKey,
+                asset: stellarAsset,
+                flags: { authorized: Boolean(authorized) }
+            }))
+            .setTimeout(30)
+            .build();
+
+            transaction.sign(issuerKeypair);
+
+            const result = await submitTransaction(transaction, { type: 'trustline_authorization' });
+            return {
+                trustor: trustorPublicKey,
+                asset: describeAsset(stellarAsset),
+                authorized: Boolean(authorized),
+                hash: result.hash
+            };
+        } catch (error) {
+            logger.error('Error authorizing trustline:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check that every beneficiary can receive a custom asset
+     * @param {Array} beneficiaries - Array of objects containing beneficiary publicKey and amount
+     * @param {StellarSdk.Asset} asset - The asset that will be distributed
+     * @returns {Array} One entry per beneficiary that cannot receive the asset
+     */
+    async function checkRecipientTrustlines(beneficiaries, asset) {
+        const recipientErrors = [];
+
+        for (const beneficiary of beneficiaries) {
+            // The issuer can always receive its own asset
+            if (beneficiary.publicKey === asset.getIssuer()) {
+                continue;
+            }
+
+            const { account, error } = await loadDestinationAccount(beneficiary.publicKey);
+            if (error) {
+                recipientErrors.push({ publicKey: beneficiary.publicKey, error });
+                continue;
+            }
+
+            const trustline = account.balances.find(balance =>
+                balance.asset_code === asset.getCode() &&
+                balance.asset_issuer === asset.getIssuer()
+            );
+
+            if (!trustline) {
+                recipientErrors.push({
+                    publicKey: beneficiary.publicKey,
+                    error: `Missing trustline for ${asset.getCode()}:${asset.getIssuer()}`
+                });
+            } else if (trustline.is_authorized === false) {
+                recipientErrors.push({
+                    publicKey: beneficiary.publicKey,
+                    error: `Trustline for ${asset.getCode()} is not authorized by the issuer`
+                });
+            } else if (
+                toStroops(trustline.limit) - toStroops(trustline.balance) < toStroops(beneficiary.amount)
+            ) {
+                recipientErrors.push({
+                    publicKey: beneficiary.publicKey,
+                    error: `Trustline limit for ${asset.getCode()} is too low to receive ${beneficiary.amount}`
+                });
+            }
+        }
+
+        return recipientErrors;
+    }
+
+    /**
+     * Check that destination accounts exist and, for custom assets, can receive the asset
+     * @param {Array} beneficiaries - Array of objects containing beneficiary publicKey and amount
+     * @param {StellarSdk.Asset} asset - Asset the beneficiaries would receive
+     * @returns {Array} Per-recipient errors as { publicKey, error }
+     */
+    async function checkDestinations(beneficiaries, asset) {
+        if (!asset.isNative()) {
+            return checkRecipientTrustlines(beneficiaries, asset);
+        }
+
+        const recipientErrors = [];
+        for (const beneficiary of beneficiaries) {
+            const { error } = await loadDestinationAccount(beneficiary.publicKey);
+            if (error) {
+                recipientErrors.push({ publicKey: beneficiary.publicKey, error });
+            }
+        }
+
+        return recipientErrors;
+    }
+
+    /**
+     * Load a destination account for the pre-flight checks
+     * @param {string} publicKey - Public key of the destination
+     * @returns {Object} The account, or the error to report for the recipient
+     */
+    async function loadDestinationAccount(publicKey) {
+        try {
+            return { account: await server.loadAccount(publicKey) };
+        } catch (error) {
+            return {
+                error: error.response && error.response.status === 404
+                    ? 'Destination account does not exist'
+                    : `Could not load destination account: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Build the report of a dry run: the transactions that would be submitted, their
+     * fees, whether the source account can cover the spending on top of its reserves,
+     * and the recipients that would fail. Nothing is signed or submitted.
+     * @param {string} action - What was simulated (distribution, escrow, milestones)
+     * @param {string} sourcePublicKey - Account the funds and fees would come from
+     * @param {Object} plan - The simulated work
+     * @param {Array} plan.transactions - Unsigned transactions that would be submitted
+     * @param {Array} plan.spending - Amounts leaving the source account as { asset, amount }, excluding fees
+     * @param {Array} plan.recipients - Recipients as { publicKey, amount, asset, error }
+     * @param {Array} plan.issues - Other reasons the work would be refused, such as an exhausted grant
+     * @returns {Object} The dry-run report
+     */
+    async function buildDryRunReport(action, sourcePublicKey, { transactions = [], spending = [], recipients = [], issues: otherIssues = [] }) {
+        const sourceAccount = await server.loadAccount(sourcePublicKey);
+        const fees = transactions.reduce((total, transaction) => total + BigInt(transaction.fee), 0n);
+
+        // Total up what leaves the account per asset, with fees paid in XLM
+        const required = new Map([['native', { asset: StellarSdk.Asset.native(), amount: fees }]]);
+        for (const { asset, amount } of spending) {
+            const stellarAsset = resolveAsset(asset);
+            const key = stellarAsset.toString();
+            if (!required.has(key)) {
+                required.set(key, { asset: stellarAsset, amount: 0n });
+            }
+            required.get(key).amount += toStroops(amount);
+        }
+
+        const funds = [...required.values()].map(({ asset, amount }) => {
+            const available = availableBalance(sourceAccount, asset);
+            return {
+                asset: describeAsset(asset),
+                required: fromStroops(amount),
+                available: fromStroops(available > 0n ? available : 0n),
+                shortfall: amount > available ? fromStroops(amount - available) : '0'
+            };
+        });
+
+        const wouldFail = recipients.filter(recipient => recipient.error);
+        const issues = [
+            ...funds
+                .filter(entry => entry.shortfall !== '0')
+                .map(entry => `Source account is short ${entry.shortfall} ${entry.asset === "XLM" ? "XLM" : entry.asset.code} after reserves and fees`),
+            ...wouldFail.map(recipient => `${recipient.publicKey}: ${recipient.error}`),
+            ...otherIssues
+        ];
+
+        return {
+            dryRun: true,
+            action: action,
+            source: sourcePublicKey,
+            ok: issues.length === 0,
+            issues: issues,
+            transactions: transactions.map(transaction => ({
+                hash: transaction.hash().toString('hex'),
+                operations: transaction.operations.length,
+                fee: fromStroops(BigInt(transaction.fee)),
+                xdr: transaction.toXDR()
+            })),
+            estimatedFees: fromStroops(fees),
+            spending: spending.map(({ asset, amount }) => ({ asset: describeAsset(resolveAsset(asset)), amount: amount.toString() })),
+            funds: funds,
+            recipients: recipients.map(recipient => ({
+                ...recipient,
+                status: recipient.error ? 'would_fail' : 'ok',
+                error: recipient.error || null
+            })),
+            counts: {
+                recipients: recipients.length,
+                ok: recipients.length - wouldFail.length,
+                wouldFail: wouldFail.length
+            },
+            simulatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Amount of an asset an account can spend, keeping its minimum balance and open offers
+     * @param {Object} account - Account loaded from Horizon
+     * @param {StellarSdk.Asset} asset - The asset
+     * @returns {BigInt} Spendable amount in stroops
+     */
+    function availableBalance(account, asset) {
+        const balance = account.balances.find(entry => asset.isNative()
+            ? entry.asset_type === 'native'
+            : entry.asset_code === asset.getCode() && entry.asset_issuer === asset.getIssuer());
+        if (!balance) {
+            return 0n;
+        }
+
+        const liabilities = toStroops(balance.selling_liabilities || '0');
+        if (!asset.isNative()) {
+            return toStroops(balance.balance) - liabilities;
+        }
+
+        const entries = 2 + (account.subentry_count || 0) + (account.num_sponsoring || 0) - (account.num_sponsored || 0);
+        return toStroops(balance.balance) - toStroops(BASE_RESERVE * entries) - liabilities;
+    }
+
+    /**
+     * Distribute tokens to multiple beneficiaries as a durable distribution job.
+     * Beneficiaries are paid in transactions of at most 100 operations, and a
+     * beneficiary that cannot be paid is quarantined instead of sinking the batch.
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the distributing NGO (the distributor account for custom assets)
+     * @param {Array} beneficiaries - Array of objects containing beneficiary publicKey and amount
+     * @param {string|Object} asset - Asset to distribute ("XLM" for native token, or { code, issuer })
+     * @param {Object} options - Job options (batchSize, maxAttempts, maxSlippage, program, tag, grantId, idempotencyKey, dryRun)
+     * @returns {Object} Summary of the finished distribution job, or a dry-run report when options.dryRun is set
+     */
+    async function distributeFunds(ngoKey, beneficiaries, asset = "XLM", options = {}) {
+        const ngoAccountId = resolveAccountId(ngoKey);
+
+        try {
+            const job = await createDistributionJob(ngoAccountId, beneficiaries, asset, options);
+            if (options.dryRun) {
+                return await simulateDistributionJob(job);
+            }
+            if (job.replayed) {
+                // The job was started by an earlier call with the same idempotency key
+                return summarizeDistributionJob(job);
+            }
+            return await runDistributionJob(job.id, ngoKey);
+        } catch (error) {
+            logger.error('Error distributing funds:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Estimate what a distribution will cost before anything is signed. Recipients
+     * with a receiveAsset other than the sent asset are paid with strict-receive path
+     * payments: they get exactly their amount, and the NGO spends at most the quoted
+     * cost plus the slippage allowance.
+     * @param {Array} beneficiaries - Array of objects containing publicKey, amount and optionally receiveAsset
+     * @param {string|Object} asset - Asset the NGO sends ("XLM" for native token, or { code, issuer })
+     * @param {Object} options - Quote options
+     * @param {number} options.maxSlippage - Extra cost allowed over the quote, as a fraction (0.01 by default)
+     * @param {number} options.batchSize - Payments per transaction, to estimate network fees
+     * @returns {Object} Per-recipient quotes and the estimated and maximum totals in the sent asset
+     */
+    async function quoteDistribution(beneficiaries, asset = "XLM", options = {}) {
+        const sendAsset = resolveAsset(asset);
+        const batchSize = Math.min(options.batchSize || MAX_OPERATIONS_PER_TRANSACTION, MAX_OPERATIONS_PER_TRANSACTION);
+        const routes = new Map();
+        const quotes = [];
+
+        try {
+            for (const beneficiary of beneficiaries) {
+                const amount = beneficiary.amount.toString();
+                const receiveAsset = resolveAsset(beneficiary.receiveAsset || asset);
+
+                if (receiveAsset.equals(sendAsset)) {
+                    quotes.push({ publicKey: beneficiary.publicKey, receiveAsset: describeAsset(receiveAsset), amount, sendAmount: amount, maxSendAmount: amount, path: [] });
+                    continue;
+                }
+
+                // Recipients receiving the same amount of the same asset share a quote
+                const routeKey = `${receiveAsset.toString()}-${amount}`;
+                if (!routes.has(routeKey)) {
+                    routes.set(routeKey, await findStrictReceivePath(sendAsset, receiveAsset, amount));
+                }
+                const route = routes.get(routeKey);
+                const maxSlippage = beneficiary.maxSlippage !== undefined ? beneficiary.maxSlippage : options.maxSlippage;
+
+                quotes.push(route ? {
+                    publicKey: beneficiary.publicKey,
+                    receiveAsset: describeAsset(receiveAsset),
+                    amount: amount,
+                    sendAmount: route.sendAmount,
+                    maxSendAmount: applySlippage(route.sendAmount, maxSlippage),
+                    path: route.path.map(describeAsset)
+                } : {
+                    publicKey: beneficiary.publicKey,
+                    receiveAsset: describeAsset(receiveAsset),
+                    amount: amount,
+                    error: `No path from ${sendAsset.getCode()} to ${receiveAsset.getCode()} for ${amount}`
+                });
+            }
+
+            const payable = quotes.filter(quote => !quote.error);
+            const sum = field => fromStroops(payable.reduce((total, quote) => total + toStroops(quote[field]), 0n));
+
+            return {
+                asset: describeAsset(sendAsset),
+                estimatedTotal: sum('sendAmount'),
+                maxTotal: sum('maxSendAmount'),
+                estimatedFees: fromStroops(BigInt(payable.length) * BigInt(StellarSdk.BASE_FEE)),
+                transactions: Math.ceil(payable.length / batchSize),
+                unroutable: quotes.length - payable.length,
+                quotes: quotes
+            };
+        } catch (error) {
+            logger.error('Error quoting distribution:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the cheapest path to deliver an exact amount of an asset
+     * @param {StellarSdk.Asset} sendAsset - Asset the sender pays with
+     * @param {StellarSdk.Asset} receiveAsset - Asset the recipient receives
+     * @param {string} amount - Amount the recipient receives
+     * @returns {Object|null} The amount to send and the intermediate assets, or null if there is no path
+     */
+    async function findStrictReceivePath(sendAsset, receiveAsset, amount) {
+        const { records } = await server.strictReceivePaths([sendAsset], receiveAsset, amount).call();
+
+        const cheapest = records
+            .filter(record => sendAsset.isNative()
+                ? record.source_asset_type === 'native'
+                : record.source_asset_code === sendAsset.getCode() && record.source_asset_issuer === sendAsset.getIssuer())
+            .sort((a, b) => (toStroops(a.source_amount) < toStroops(b.source_amount) ? -1 : 1))[0];
+
+        if (!cheapest) {
+            return null;
+        }
+
+        return {
+            sendAmount: cheapest.source_amount,
+            path: cheapest.path.map(hop => hop.asset_type === 'native'
+                ? StellarSdk.Asset.native()
+                : new StellarSdk.Asset(hop.asset_code, hop.asset_issuer))
+        };
+    }
+
+    /**
+     * Add a slippage allowance to an amount, rounding up to the next stroop
+     * @param {string} amount - The quoted amount
+     * @param {number} maxSlippage - Allowance as a fraction, 0.01 by default
+     * @returns {string} The maximum amount
+     */
+    function applySlippage(amount, maxSlippage = 0.01) {
+        if (!(maxSlippage >= 0 && maxSlippage < 1)) {
+            throw new Error('Slippage must be a fraction between 0 and 1');
+        }
+
+        const scale = 1000000n;
+        const factor = scale + BigInt(Math.round(maxSlippage * Number(scale)));
+        return fromStroops((toStroops(amount) * factor + scale - 1n) / scale);
+    }
+
+    // Stellar rejects transactions with more than 100 operations
+    const MAX_OPERATIONS_PER_TRANSACTION = 100;
+
+    // Operation result codes that will not succeed on a retry
+    const PERMANENT_OPERATION_ERRORS = [
+        'op_malformed',
+        'op_no_destination',
+        'op_no_trust',
+        'op_not_authorized',
+        'op_line_full',
+        'op_no_issuer',
+        'op_src_not_authorized'
+    ];
+
+    // Distribution jobs currently being run by this process
+    const runningJobs = new Set();
+
+    /**
+     * Create and persist a distribution job without submitting anything. A request
+     * retried with the same idempotency key gets the job the key first started,
+     * flagged as replayed, instead of a second job paying everyone again.
+     * @param {string} ngoPublicKey - Public key of the distributing account
+     * @param {Array} beneficiaries - Array of objects containing beneficiary publicKey and amount
+     * @param {string|Object} asset - Asset to distribute ("XLM" for native token, or { code, issuer })
+     * @param {Object} options - Job options, as for planDistributionJob, and idempotencyKey
+     * @returns {Object} The stored job
+     */
+    async function createDistributionJob(ngoPublicKey, beneficiaries, asset = "XLM", options = {}) {
+        const { idempotencyKey, dryRun, ...jobOptions } = options;
+        const claim = dryRun ? null : beginIdempotentRequest('distribution', idempotencyKey, {
+            ngoPublicKey, beneficiaries, asset, ...jobOptions
+        });
+
+        try {
+            if (claim && claim.previous) {
+                return { ...loadDistributionJob(claim.previous.jobId), replayed: true };
+            }
+
+            const job = await planDistributionJob(ngoPublicKey, beneficiaries, asset, options);
+            saveIdempotentRequest(claim, { jobId: job.id });
+            return job;
+        } finally {
+            finishIdempotentRequest(claim);
+        }
+    }
+
+    /**
+     * Plan a distribution job and persist it, unless it is a dry run
+     * @param {string} ngoPublicKey - Public key of the distributing account
+     * @param {Array} beneficiaries - Array of objects containing beneficiary publicKey and amount, and
+     *                               optionally a receiveAsset to pay through a path payment
+     * @param {string|Object} asset - Asset to distribute ("XLM" for native token, or { code, issuer })
+     * @param {Object} options - Job options
+     * @param {number} options.batchSize - Payments per transaction (at most 100)
+     * @param {number} options.maxSlippage - Extra cost allowed over the quote for path payments, as a fraction
+     * @param {number} options.maxAttempts - Attempts per recipient before it is quarantined
+     * @param {string} options.program - Program the payments are recorded against in the ledger
+     * @param {string} options.tag - Free-form tag recorded in the ledger
+     * @param {string} options.grantId - Grant the job is charged to, refused if it exceeds the remaining budget
+     * @param {string} options.jobId - ID to store the job under, recorded by the caller beforehand; a new one by default
+     * @param {boolean} options.dryRun - Plan the job without storing it, to pass to simulateDistributionJob
+     * @returns {Object} The stored job
+     */
+    async function planDistributionJob(ngoPublicKey, beneficiaries, asset = "XLM", options = {}) {
+        const stellarAsset = resolveAsset(asset);
+        const batchSize = Math.min(options.batchSize || MAX_OPERATIONS_PER_TRANSACTION, MAX_OPERATIONS_PER_TRANSACTION);
+
+        if (!Array.isArray(beneficiaries) || beneficiaries.length === 0) {
+            throw new Error('At least one beneficiary is required');
+        }
+
+        const recipients = beneficiaries.map((beneficiary, index) => ({
+            index,
+            publicKey: beneficiary.publicKey,
+            amount: beneficiary.amount !== undefined ? beneficiary.amount.toString() : undefined,
+            receiveAsset: beneficiary.receiveAsset || null,
+            status: 'pending',
+            attempts: 0,
+            txHash: null,
+            error: null
+        }));
+
+        // Quarantine malformed entries up front
+        for (const recipient of recipients) {
+            if (!StellarSdk.StrKey.isValidEd25519PublicKey(recipient.publicKey || '')) {
+                quarantineRecipient(recipient, 'Invalid destination public key');
+            } else if (!/^\d+(\.\d{1,7})?$/.test(recipient.amount || '') || parseFloat(recipient.amount) <= 0) {
+                quarantineRecipient(recipient, 'Amount must be a positive number with at most 7 decimals');
+            } else if (recipient.receiveAsset) {
+                try {
+                    const receiveAsset = resolveAsset(recipient.receiveAsset);
+                    recipient.receiveAsset = receiveAsset.equals(stellarAsset) ? null : describeAsset(receiveAsset);
+                } catch (error) {
+                    quarantineRecipient(recipient, error.message);
+                }
+            }
+        }
+
+        // Custom assets can only be paid to accounts with an authorized trustline
+        const receiveAssets = new Map();
+        for (const recipient of recipients.filter(candidate => candidate.status === 'pending')) {
+            const receiveAsset = resolveAsset(recipient.receiveAsset || stellarAsset);
+            const key = receiveAsset.toString();
+            if (!receiveAssets.has(key)) {
+                receiveAssets.set(key, { asset: receiveAsset, recipients: [] });
+            }
+            receiveAssets.get(key).recipients.push(recipient);
+        }
+        for (const { asset: receiveAsset, recipients: group } of receiveAssets.values()) {
+            if (receiveAsset.isNative()) {
+                continue;
+            }
+            const recipientErrors = await checkRecipientTrustlines(group, receiveAsset);
+            for (const { publicKey, error } of recipientErrors) {
+                group
+                    .filter(recipient => recipient.publicKey === publicKey)
+                    .forEach(recipient => quarantineRecipient(recipient, error));
+            }
+        }
+
+        // Path payments are capped at the quoted cost plus the slippage allowance
+        const pathRecipients = recipients.filter(recipient => recipient.status === 'pending' && recipient.receiveAsset);
+        if (pathRecipients.length > 0) {
+            const quote = await quoteDistribution(
+                pathRecipients.map(recipient => ({ ...recipient, maxSlippage: beneficiaries[recipient.index].maxSlippage })),
+                asset,
+                { maxSlippage: options.maxSlippage }
+            );
+            quote.quotes.forEach((recipientQuote, index) => {
+                if (recipientQuote.error) {
+                    quarantineRecipient(pathRecipients[index], recipientQuote.error);
+                } else {
+                    pathRecipients[index].maxSendAmount = recipientQuote.maxSendAmount;
+                    pathRecipients[index].path = recipientQuote.path;
+                }
+            });
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: options.jobId || crypto.randomUUID(),
+            ngoPublicKey: ngoPublicKey,
+            asset: describeAsset(stellarAsset),
+            program: options.program,
+            tag: options.tag,
+            grantId: options.grantId || null,
+            status: 'pending',
+            batchSize: batchSize,
+            maxAttempts: options.maxAttempts || 3,
+            recipients: recipients,
+            batches: [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        // Recipients that hit a fraud rule are held for review instead of being paid
+        await screenDistribution(job);
+
+        // Charge what the job may spend to the grant, path payments at their slippage cap
+        // and held recipients in case they are approved
+        const total = fromStroops(distributionJobCost(job, recipient => ['pending', 'held'].includes(recipient.status)));
+        if (job.grantId && options.dryRun) {
+            job.grantError = checkGrantBudget(job.grantId, { amount: total, asset: job.asset, program: job.program });
+        } else if (job.grantId) {
+            allocateGrantFunds(job.grantId, { type: 'distribution', reference: job.id, amount: total, asset: job.asset, program: job.program });
+        }
+
+        openReviews(job, { dryRun: options.dryRun });
+        if (!options.dryRun) {
+            saveDistributionJob(job);
+        }
+        return job;
+    }
+
+    /**
+     * Simulate a planned distribution job: build its batches without signing them,
+     * check that the NGO can afford them and flag the recipients that would fail
+     * @param {Object} job - A job planned by createDistributionJob with options.dryRun
+     * @returns {Object} The dry-run report
+     */
+    async function simulateDistributionJob(job) {
+        const stellarAsset = resolveAsset(job.asset);
+
+        try {
+            // Native payments to accounts that do not exist fail with op_no_destination
+            if (stellarAsset.isNative()) {
+                const direct = job.recipients.filter(recipient => recipient.status === 'pending' && !recipient.receiveAsset);
+                for (const { publicKey, error } of await checkDestinations(direct, stellarAsset)) {
+                    direct
+                        .filter(recipient => recipient.publicKey === publicKey)
+                        .forEach(recipient => quarantineRecipient(recipient, error));
+                }
+            }
+
+            const payable = job.recipients.filter(recipient => recipient.status === 'pending');
+            const ngoAccount = await server.loadAccount(job.ngoPublicKey);
+            const account = new StellarSdk.Account(job.ngoPublicKey, ngoAccount.sequenceNumber());
+
+            const transactions = [];
+            for (let start = 0; start < payable.length; start += job.batchSize) {
+                const transactionBuilder = new StellarSdk.TransactionBuilder(account, {
+                    fee: StellarSdk.BASE_FEE,
+                    networkPassphrase: networkPassphrase
+                });
+                payable
+                    .slice(start, start + job.batchSize)
+                    .forEach(recipient => addDistributionOperation(transactionBuilder, stellarAsset, recipient));
+                transactions.push(transactionBuilder.setTimeout(100).build());
+            }
+
+            // Path payments are budgeted at their slippage cap
+            const spent = distributionJobCost(job, recipient => recipient.status === 'pending');
+
+            return await buildDryRunReport('distribution', job.ngoPublicKey, {
+                transactions: transactions,
+                issues: job.grantError ? [job.grantError] : [],
+                spending: spent > 0n ? [{ asset: stellarAsset, amount: fromStroops(spent) }] : [],
+                recipients: job.recipients.map(recipient => ({
+                    publicKey: recipient.publicKey,
+                    amount: recipient.amount,
+                    asset: recipient.receiveAsset || job.asset,
+                    maxSendAmount: recipient.maxSendAmount,
+                    error: ['quarantined', 'held'].includes(recipient.status) ? recipient.error : null
+                }))
+            });
+        } catch (error) {
+            logger.error('Error simulating distribution job:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * What paying some of the recipients of a job costs at most, in the job's asset
+     * @param {Object} job - The distribution job
+     * @param {Function} filter - Which recipients to count
+     * @returns {BigInt} The cost in stroops
+     */
+    function distributionJobCost(job, filter) {
+        return job.recipients
+            .filter(filter)
+            .reduce((total, recipient) => total + toStroops(recipient.maxSendAmount || recipient.amount), 0n);
+    }
+
+    /**
+     * Add the payment for a recipient to a distribution batch
+     * @param {StellarSdk.TransactionBuilder} transactionBuilder - The batch being built
+     * @param {StellarSdk.Asset} sendAsset - Asset the job sends
+     * @param {Object} recipient - The recipient within the job
+     */
+    function addDistributionOperation(transactionBuilder, sendAsset, recipient) {
+        if (recipient.receiveAsset) {
+            transactionBuilder.addOperation(StellarSdk.Operation.pathPaymentStrictReceive({
+                sendAsset: sendAsset,
+                sendMax: recipient.maxSendAmount,
+                destination: recipient.publicKey,
+                destAsset: resolveAsset(recipient.receiveAsset),
+                destAmount: recipient.amount,
+                path: recipient.path.map(resolveAsset)
+            }));
+        } else {
+            transactionBuilder.addOperation(StellarSdk.Operation.payment({
+                destination: recipient.publicKey,
+                asset: sendAsset,
+                amount: recipient.amount
+            }));
+        }
+    }
+
+    /**
+     * Run (or resume) a distribution job until every recipient is paid or quarantined
+     * @param {string} jobId - ID of the distribution job
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the distributing account
+     * @returns {Object} Summary of the finished job
+     */
+    async function runDistributionJob(jobId, ngoKey) {
+        const ngoKeypair = resolveKeypair(ngoKey);
+        const ngoAccountId = resolveAccountId(ngoKey);
+        const job = loadDistributionJob(jobId);
+
+        if (job.ngoPublicKey !== ngoAccountId) {
+            throw new Error(`Job ${jobId} belongs to ${job.ngoPublicKey}`);
+        }
+        if (runningJobs.has(jobId)) {
+            throw new Error(`Job ${jobId} is already running`);
+        }
+
+        runningJobs.add(jobId);
+        try {
+            job.status = 'running';
+            saveDistributionJob(job);
+
+            // Settle batches left in flight by a previous run before paying anyone again
+            for (const batch of job.batches.filter(batch => batch.status === 'submitted')) {
+                const record = await waitForTransaction(batch.txHash, batch.maxTime);
+                recordSettledBatch(job, batch, record);
+                settleBatch(job, batch, record);
+                saveDistributionJob(job);
+            }
+
+            const stellarAsset = resolveAsset(job.asset);
+            let ngoAccount = await server.loadAccount(ngoAccountId);
+
+            let pending = job.recipients.filter(recipient => recipient.status === 'pending');
+            while (pending.length > 0) {
+                // Path payments take the current cheapest path, within the slippage cap
+                const batchRecipients = [];
+                for (const recipient of pending) {
+                    if (batchRecipients.length === job.batchSize) {
+                        break;
+                    }
+                    if (recipient.receiveAsset && !(await planPathPayment(stellarAsset, recipient))) {
+                        continue;
+                    }
+                    batchRecipients.push(recipient);
+                }
+
+                if (batchRecipients.length === 0) {
+                    saveDistributionJob(job);
+                    pending = job.recipients.filter(recipient => recipient.status === 'pending');
+                    continue;
+                }
+
+                const transactionBuilder = new StellarSdk.TransactionBuilder(ngoAccount, {
+                    fee: StellarSdk.BASE_FEE,
+                    networkPassphrase: networkPassphrase
+                });
+
+                batchRecipients.forEach(recipient => addDistributionOperation(transactionBuilder, stellarAsset, recipient));
+
+                const transaction = transactionBuilder
+                    .setTimeout(100)
+                    .build();
+
+                transaction.sign(ngoKeypair);
+
+                // A batch the guard rails refuse is never sent, so stop with their error
+                checkNetworkGuardRails(transaction);
+
+                // Record the hash before submitting so a crash can be recovered
+                const batch = {
+                    txHash: transaction.hash().toString('hex'),
+                    sequence: transaction.sequence,
+                    maxTime: Number(transaction.timeBounds.maxTime),
+                    recipients: batchRecipients.map(recipient => recipient.index),
+                    xdr: transaction.toXDR(),
+                    status: 'submitted',
+                    submittedAt: new Date().toISOString(),
+                    error: null
+                };
+                job.batches.push(batch);
+                batchRecipients.forEach(recipient => {
+                    recipient.status = 'submitted';
+                    recipient.attempts += 1;
+                    recipient.txHash = batch.txHash;
+                });
+                saveDistributionJob(job);
+
+                try {
+                    await submitTransaction(transaction, {
+                        type: 'distribution',
+                        program: job.program,
+                        tag: job.tag,
+                        grantId: job.grantId
+                    });
+                    settleBatch(job, batch, { successful: true });
+                } catch (error) {
+                    const resultCodes = getResultCodes(error);
+
+                    if (resultCodes) {
+                        settleBatch(job, batch, { successful: false, resultCodes });
+                    } else if (isTimeoutError(error)) {
+                        // The transaction may still make it into a ledger
+                        const record = await waitForTransaction(batch.txHash, batch.maxTime);
+                        recordSettledBatch(job, batch, record);
+                        settleBatch(job, batch, record);
+                    } else {
+                        settleBatch(job, batch, { successful: false, error: error.message });
+                    }
+
+                    // Sequence numbers may have moved on, so start from a fresh account
+                    await sleep(1000);
+                    ngoAccount = await server.loadAccount(ngoAccountId);
+                }
+
+                saveDistributionJob(job);
+                pending = job.recipients.filter(recipient => recipient.status === 'pending');
+            }
+
+            // Held recipients wait for their reviews, and a resume pays the approved ones
+            const quarantined = job.recipients.filter(recipient => recipient.status === 'quarantined');
+            const held = job.recipients.filter(recipient => recipient.status === 'held');
+            job.status = held.length > 0
+                ? 'awaiting_review'
+                : (quarantined.length > 0 ? 'completed_with_errors' : 'completed');
+            saveDistributionJob(job);
+
+            // Quarantined recipients go back to the grant's budget
+            if (job.grantId && held.length === 0) {
+                settleGrantAllocation(job.grantId, job.id, fromStroops(distributionJobCost(job, recipient => recipient.status === 'paid')));
+            }
+
+            const summary = summarizeDistributionJob(job);
+            emitEvent('distribution_job.finished', {
+                jobId: job.id,
+                status: job.status,
+                asset: job.asset,
+                program: job.program,
+                counts: summary.counts
+            }, `distribution_job.finished-${job.id}-${job.batches.length}`);
+
+            return summary;
+        } catch (error) {
+            job.status = 'interrupted';
+            job.error = error.message;
+            saveDistributionJob(job);
+            throw error;
+        } finally {
+            runningJobs.delete(jobId);
+        }
+    }
+
+    /**
+     * Apply the outcome of a submitted batch to its recipients
+     * @param {Object} job - The distribution job
+     * @param {Object} batch - The batch within the job
+     * @param {Object|null} outcome - Horizon transaction record or failure details, null if it expired
+     */
+    function settleBatch(job, batch, outcome) {
+        const recipients = batch.recipients.map(index => job.recipients[index]);
+
+        if (outcome && outcome.successful) {
+            batch.status = 'succeeded';
+            recipients.forEach(recipient => {
+                recipient.status = 'paid';
+                recipient.error = null;
+            });
+            return;
+        }
+
+        batch.status = outcome ? 'failed' : 'expired';
+
+        const resultCodes = outcome && outcome.resultCodes;
+        const operationCodes = resultCodes && resultCodes.operations;
+        batch.error = resultCodes
+            ? resultCodes.transaction
+            : (outcome && outcome.error) || 'Transaction expired before reaching the ledger';
+
+        recipients.forEach((recipient, position) => {
+            const operationCode = operationCodes && operationCodes[position];
+
+            if (operationCode && operationCode !== 'op_success') {
+                // This recipient caused the failure
+                recipient.error = operationCode;
+                if (PERMANENT_OPERATION_ERRORS.includes(operationCode) || recipient.attempts >= job.maxAttempts) {
+                    quarantineRecipient(recipient, operationCode);
+                    return;
+                }
+            } else if (resultCodes && resultCodes.transaction === 'tx_bad_seq') {
+                // Not the recipient's fault, retry without using up an attempt
+                recipient.attempts -= 1;
+            } else if (operationCodes) {
+                // Another payment in the batch failed, this one is retried as-is
+                recipient.attempts -= 1;
+            } else if (recipient.attempts >= job.maxAttempts) {
+                quarantineRecipient(recipient, batch.error);
+                return;
+            }
+
+            recipient.status = 'pending';
+            recipient.txHash = null;
+        });
+    }
+
+    /**
+     * Record the outcome of a batch whose submission did not give a definite answer
+     * @param {Object} job - The distribution job
+     * @param {Object} batch - The batch within the job
+     * @param {Object|null} record - Horizon transaction record, null if it expired
+     */
+    function recordSettledBatch(job, batch, record) {
+        const transaction = StellarSdk.TransactionBuilder.fromXDR(batch.xdr, networkPassphrase);
+        settleSubmission(
+            transaction,
+            { type: 'distribution', program: job.program, tag: job.tag, grantId: job.grantId },
+            record ? (record.successful ? 'succeeded' : 'failed') : 'expired'
+        );
+    }
+
+    /**
+     * Pick the path for a recipient paid through a path payment, quarantining the
+     * recipient when there is no path within its slippage cap
+     * @param {StellarSdk.Asset} sendAsset - Asset the job sends
+     * @param {Object} recipient - The recipient within the job
+     * @returns {boolean} Whether the recipient can be paid now
+     */
+    async function planPathPayment(sendAsset, recipient) {
+        const receiveAsset = resolveAsset(recipient.receiveAsset);
+        const route = await findStrictReceivePath(sendAsset, receiveAsset, recipient.amount);
+
+        if (!route) {
+            quarantineRecipient(recipient, `No path from ${sendAsset.getCode()} to ${receiveAsset.getCode()} for ${recipient.amount}`);
+            return false;
+        }
+        if (toStroops(route.sendAmount) > toStroops(recipient.maxSendAmount)) {
+            quarantineRecipient(recipient, `Path cost ${route.sendAmount} exceeds the slippage limit of ${recipient.maxSendAmount}`);
+            return false;
+        }
+
+        recipient.path = route.path.map(describeAsset);
+        return true;
+    }
+
+    /**
+     * Mark a recipient as quarantined so that it is skipped by the job
+     * @param {Object} recipient - The job recipient
+     * @param {string} reason - Why the recipient cannot be paid
+     */
+    function quarantineRecipient(recipient, reason) {
+        recipient.status = 'quarantined';
+        recipient.error = reason;
+        recipient.txHash = null;
+    }
+
+    /**
+     * Resume an interrupted distribution job, for example after a crash, or a job
+     * awaiting review once its held recipients have been approved or rejected
+     * @param {string} jobId - ID of the distribution job
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the distributing account
+     * @returns {Object} Summary of the finished job
+     */
+    async function resumeDistributionJob(jobId, ngoKey) {
+        const job = loadDistributionJob(jobId);
+
+        if (job.status === 'completed') {
+            return summarizeDistributionJob(job);
+        }
+
+        // Quarantined recipients get another chance when a job is resumed by hand
+        const retried = recipient => recipient.status === 'quarantined' && recipient.attempts > 0 &&
+            !PERMANENT_OPERATION_ERRORS.includes(recipient.error);
+
+        // A settled job gave their cost back to the grant, so it has to be charged again
+        if (job.grantId) {
+            reopenGrantAllocation(job.grantId, job.id, {
+                amount: fromStroops(distributionJobCost(job, retried)),
+                asset: job.asset,
+                program: job.program
+            });
+        }
+
+        job.recipients.filter(retried).forEach(recipient => {
+            recipient.status = 'pending';
+            recipient.attempts = 0;
+        });
+        saveDistributionJob(job);
+
+        return runDistributionJob(jobId, ngoKey);
+    }
+
+    /**
+     * Get the progress of a distribution job
+     * @param {string} jobId - ID of the distribution job
+     * @returns {Object} Job summary with per-recipient status
+     */
+    function getDistributionJob(jobId) {
+        return summarizeDistributionJob(loadDistributionJob(jobId));
+    }
+
+    /**
+     * List stored distribution jobs
+     * @param {string} status - Only return jobs with this status
+     * @returns {Array} Summaries of the jobs, without per-recipient details
+     */
+    function listDistributionJobs(status) {
+        return store.list('jobs')
+            .map(id => loadDistributionJob(id))
+            .filter(job => !status || job.status === status)
+            .map(job => {
+                const { recipients, batches, ...summary } = summarizeDistributionJob(job);
+                return summary;
+            });
+    }
+
+    /**
+     * Summarize a distribution job for API responses
+     * @param {Object} job - The distribution job
+     * @returns {Object} The job with recipient counts and progress
+     */
+    function summarizeDistributionJob(job) {
+        const counts = { pending: 0, submitted: 0, paid: 0, quarantined: 0, held: 0 };
+        job.recipients.forEach(recipient => {
+            counts[recipient.status] += 1;
+        });
+
+        return {
+            id: job.id,
+            ngoPublicKey: job.ngoPublicKey,
+            asset: job.asset,
+            // A job left running by a process that has since stopped needs resuming
+            status: job.status === 'running' && !runningJobs.has(job.id) ? 'interrupted' : job.status,
+            error: job.error,
+            totalRecipients: job.recipients.length,
+            counts: counts,
+            progress: (counts.paid + counts.quarantined) / job.recipients.length,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            batches: job.batches,
+            recipients: job.recipients
+        };
+    }
+
+    function loadDistributionJob(jobId) {
+        const job = store.read(`jobs/${jobId}`);
+        if (!job) {
+            throw new Error(`Distribution job ${jobId} not found`);
+        }
+        return job;
+    }
+
+    function saveDistributionJob(job) {
+        job.updatedAt = new Date().toISOString();
+        store.write(`jobs/${job.id}`, job);
+    }
+
+    // ------------------------------------------
+    // 2. OFFLINE TRANSACTION CAPABILITY
+    // ------------------------------------------
+
+    /**
+     * Generate offline transaction that can be submitted later
+     * @param {string} senderKey - Key vault ID or alias (or secret key) of the sender
+     * @param {string} recipientPublicKey - Public key of the recipient
+     * @param {string} amount - Amount to send
+     * @returns {Object} The signed transaction and transaction XDR
+     */
+    async function generateOfflineTransaction(senderKey, recipientPublicKey, amount) {
+        const senderKeypair = resolveKeypair(senderKey);
+        const senderAccountId = resolveAccountId(senderKey);
+
+        try {
+            // Load sender account
+            const senderAccount = await server.loadAccount(senderAccountId);
+
+            // Create a transaction
+            const transaction = new StellarSdk.TransactionBuilder(senderAccount, {
+                fee: StellarSdk.BASE_FEE,
+                networkPassphrase: networkPassphrase
+            })
+            .addOperation(StellarSdk.Operation.payment({
+                destination: recipientPublicKey,
+                asset: StellarSdk.Asset.native(),
+                amount: amount.toString()
+            }))
+            .setTimeout(0) // No timeout for offline transactions
+            .build();
+
+            // Sign the transaction
+            transaction.sign(senderKeypair);
+
+            // Convert to XDR format for storage
+            const transactionXDR = transaction.toXDR();
+
+            return {
+                transaction: transaction,
+                xdr: transactionXDR
+            };
+        } catch (error) {
+            logger.error('Error generating offline transaction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Submit a previously generated offline transaction. A transaction the toolkit
+     * already sent is looked up by hash first, so a retry after a Horizon timeout
+     * reports the outcome instead of submitting it again.
+     * @param {string} transactionXDR - The XDR representation of the signed transaction
+     * @param {Object} options - Submission options
+     * @param {string} options.idempotencyKey - Key that makes retries of this submission return the first answer
+     * @returns {Object} Result of the transaction submission, flagged as replayed when it was not submitted again
+     */
+    async function submitOfflineTransaction(transactionXDR, options = {}) {
+        let claim = null;
+
+        try {
+            // Convert XDR back to a transaction object
+            const transaction = StellarSdk.TransactionBuilder.fromXDR(
+                transactionXDR,
+                networkPassphrase
+            );
+            const hash = transaction.hash().toString('hex');
+
+            claim = beginIdempotentRequest('offline_submit', options.idempotencyKey, { hash });
+            if (claim && claim.previous && claim.previous.result) {
+                return { ...claim.previous.result, replayed: true };
+            }
+
+            // Horizon may not have answered the last time this transaction was sent
+            if (store.read(`submissions/${hash}`)) {
+                const record = await findTransaction(hash);
+                if (record) {
+                    settleSubmission(transaction, { type: 'offline' }, record.successful ? 'succeeded' : 'failed');
+                    if (!record.successful) {
+                        const error = new Error(`Transaction ${hash} was already submitted and failed in ledger ${record.ledger}`);
+                        error.code = 'TRANSACTION_FAILED';
+                        error.status = 422;
+                        error.hash = hash;
+                        throw error;
+                    }
+
+                    const result = { hash, ledger: record.ledger, successful: true, envelope_xdr: record.envelope_xdr, result_xdr: record.result_xdr };
+                    saveIdempotentRequest(claim, { hash, result });
+                    return { ...result, replayed: true };
+                }
+            }
+
+            // Submit the transaction
+            saveIdempotentRequest(claim, { hash });
+            const result = await submitTransaction(transaction, { type: 'offline' });
+            saveIdempotentRequest(claim, { hash, result });
+            return result;
+        } catch (error) {
+            logger.error('Error submitting offline transaction:', error);
+            throw error;
+        } finally {
+            finishIdempotentRequest(claim);
+        }
+    }
+
+    /**
+     * Generate a batch of offline payments with consecutive sequence numbers so that
+     * all of them can be pre-signed while online and submitted in order later.
+     * With channel accounts each payment is sourced from a channel instead, leaving
+     * the sender's own sequence number free for online use.
+     * @param {string} senderKey - Key vault ID or alias (or secret key) of the sender
+     * @param {Array} payments - Array of objects containing recipient publicKey and amount
+     * @param {Object} options - Batch options
+     * @param {Array} options.channelKeys - Key vault IDs or aliases of funded channel accounts to rotate through
+     * @param {string|Object} options.asset - Asset to send ("XLM" or { code, issuer })
+     * @param {string} options.program - Program the payments are recorded against once submitted
+     * @returns {Array} One entry per payment with its source, sequence number, hash and XDR
+     */
+    async function generateOfflineBatch(senderKey, payments, options = {}) {
+        const senderKeypair = resolveKeypair(senderKey);
+        const senderAccountId = resolveAccountId(senderKey);
+        const asset = resolveAsset(options.asset);
+        const channelKeys = options.channelKeys || [];
+
+        try {
+            // Load every source account once, the builder increments the sequence locally
+            const sourceKeys = channelKeys.length > 0 ? channelKeys : [senderKey];
+            const sourceKeypairs = sourceKeys.map(key => resolveKeypair(key));
+            const sourceAccounts = [];
+            for (const key of sourceKeys) {
+                sourceAccounts.push(await server.loadAccount(resolveAccountId(key)));
+            }
+
+            return payments.map((payment, index) => {
+                const slot = index % sourceAccounts.length;
+                const sourceKeypair = sourceKeypairs[slot];
+                const isChannel = channelKeys.length > 0;
+
+                const transaction = new StellarSdk.TransactionBuilder(sourceAccounts[slot], {
+                    fee: StellarSdk.BASE_FEE,
+                    networkPassphrase: networkPassphrase
+                })
+                .addOperation(StellarSdk.Operation.payment({
+                    // Channel transactions pay from the sender, not from the channel
+                    source: isChannel ? senderAccountId : undefined,
+                    destination: payment.publicKey,
+                    asset: asset,
+                    amount: payment.amount.toString()
+                }))
+                .setTimeout(0) // No timeout for offline transactions
+                .build();
+
+                transaction.sign(sourceKeypair);
+                if (isChannel) {
+                    transaction.sign(senderKeypair);
+                }
+
+                return {
+                    source: sourceAccounts[slot].accountId(),
+                    sequence: transaction.sequence,
+                    hash: transaction.hash().toString('hex'),
+                    recipientPublicKey: payment.publicKey,
+                    amount: payment.amount.toString(),
+                    program: options.program,
+                    xdr: transaction.toXDR()
+                };
+            });
+        } catch (error) {
+            logger.error('Error generating offline batch:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Batch and store offline transactions for later submission
+     * @param {Array} transactions - Array of transaction XDRs, or entries from generateOfflineBatch, to store
+     * @param {string} filename - Filename to store the transactions
+     */
+    function storeOfflineTransactions(transactions, filename) {
+        try {
+            const data = JSON.stringify(transactions);
+            fs.writeFileSync(filename, data);
+            logger.log(`Stored ${transactions.length} transactions in ${filename}`);
+        } catch (error) {
+            logger.error('Error storing offline transactions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load and submit stored offline transactions
+     * @param {string} filename - Filename containing stored transactions
+     * @returns {Array} Results of the transaction submissions
+     */
+    async function submitStoredTransactions(filename) {
+        try {
+            const data = fs.readFileSync(filename);
+            const transactions = JSON.parse(data);
+
+            return await submitOfflineBatch(transactions);
+        } catch (error) {
+            logger.error('Error submitting stored transactions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Submit a batch of offline transactions in sequence-number order. Entries whose
+     * sequence number has already been used are reported as stale (or as already
+     * submitted when they made it to the ledger), and entries after a missing
+     * sequence number are reported as gaps that can be resubmitted once it is filled.
+     * @param {Array} transactions - Array of transaction XDRs, or entries from generateOfflineBatch
+     * @returns {Array} One result per entry, in the original order
+     */
+    async function submitOfflineBatch(transactions) {
+        const entries = transactions.map((entry, index) => {
+            const transaction = StellarSdk.TransactionBuilder.fromXDR(
+                typeof entry === 'string' ? entry : entry.xdr,
+                networkPassphrase
+            );
+
+            return {
+                index,
+                transaction,
+                program: entry.program,
+                tag: entry.tag,
+                source: transaction.source,
+                sequence: BigInt(transaction.sequence),
+                hash: transaction.hash().toString('hex')
+            };
+        });
+
+        const results = new Array(entries.length);
+        const report = (entry, fields) => {
+            results[entry.index] = {
+                index: entry.index,
+                hash: entry.hash,
+                source: entry.source,
+                sequence: entry.sequence.toString(),
+                ...fields
+            };
+        };
+
+        // Each source account has its own sequence, so submit per source in order
+        const sources = [...new Set(entries.map(entry => entry.source))];
+        for (const source of sources) {
+            const sourceEntries = entries
+                .filter(entry => entry.source === source)
+                .sort((a, b) => (a.sequence < b.sequence ? -1 : a.sequence > b.sequence ? 1 : 0));
+
+            let currentSequence = BigInt((await server.loadAccount(source)).sequenceNumber());
+
+            for (const entry of sourceEntries) {
+                if (entry.sequence <= currentSequence) {
+                    // The sequence number is used up, either by this transaction or another one
+                    const record = await findTransaction(entry.hash);
+                    report(entry, record
+                        ? { success: record.successful, status: 'already_submitted', resubmittable: false }
+                        : {
+                            success: false,
+                            status: 'stale',
+                            resubmittable: false,
+                            error: `Sequence number ${entry.sequence} was already used by another transaction`
+                        });
+                    continue;
+                }
+
+                if (entry.sequence > currentSequence + 1n) {
+                    report(entry, {
+                        success: false,
+                        status: 'gap',
+                        resubmittable: true,
+                        error: `Waiting for sequence number ${currentSequence + 1n}`
+                    });
+                    continue;
+                }
+
+                try {
+                    const result = await submitTransaction(entry.transaction, {
+                        type: 'offline',
+                        program: entry.program,
+                        tag: entry.tag
+                    });
+                    currentSequence = entry.sequence;
+                    report(entry, { success: true, status: 'submitted', resubmittable: false, result: result });
+                } catch (error) {
+                    const resultCodes = getResultCodes(error);
+
+                    if (resultCodes && resultCodes.transaction === 'tx_failed') {
+                        // Failed operations still consume the sequence number
+                        currentSequence = entry.sequence;
+                        report(entry, {
+                            success: false,
+                            status: 'failed',
+                            resubmittable: false,
+                            error: error.message,
+                            code: error.code,
+                            resultCodes: resultCodes
+                        });
+                    } else if (resultCodes && resultCodes.transaction === 'tx_bad_seq') {
+                        // Another transaction used the sequence number in the meantime
+                        currentSequence = BigInt((await server.loadAccount(source)).sequenceNumber());
+                        report(entry, {
+                            success: false,
+                            status: 'stale',
+                            resubmittable: false,
+                            error: error.message,
+                            resultCodes: resultCodes
+                        });
+                    } else {
+                        // Rejected without consuming the sequence number, or the outcome is unknown
+                        const record = isTimeoutError(error) ? await findTransaction(entry.hash) : null;
+                        if (record) {
+                            currentSequence = entry.sequence;
+                            report(entry, { success: record.successful, status: 'submitted', resubmittable: false });
+                        } else {
+                            report(entry, {
+                                success: false,
+                                status: 'rejected',
+                                resubmittable: true,
+                                error: error.message,
+                                resultCodes: resultCodes
+                            });
+                        }
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    // ------------------------------------------
+    // 3. CONDITIONAL TRANSFERS (SMART CONTRACTS)
+    // ------------------------------------------
+
+    /**
+     * Create a time-locked transfer by setting the funds aside in a claimable balance.
+     * The recipient can claim from the unlock date; when a reclaim date is given the
+     * transfer expires then and the sender can take the funds back.
+     * @param {string} senderKey - Key vault ID or alias (or secret key) of the sender
+     * @param {string} recipientPublicKey - Public key of the recipient
+     * @param {string} amount - Amount to set aside
+     * @param {Date} unlockDate - Date when the funds can be claimed
+     * @param {Object} options - Transfer options
+     * @param {Date} options.reclaimDate - Deadline after which the sender can reclaim unclaimed funds
+     * @param {string|Object} options.asset - Asset to transfer ("XLM" or { code, issuer })
+     * @param {string} options.program - Program the transfer is recorded against in the ledger
+     * @param {string} options.grantId - Grant the transfer is recorded against in the ledger
+     * @param {StellarSdk.Memo} options.memo - Memo for the transaction
+     * @returns {Object} The claimable balance ID and its claim conditions
+     */
+    async function createTimeLockedTransfer(senderKey, recipientPublicKey, amount, unlockDate, options = {}) {
+        const senderKeypair = resolveKeypair(senderKey);
+        const senderAccountId = resolveAccountId(senderKey);
+        const asset = resolveAsset(options.asset);
+        const reclaimDate = options.reclaimDate ? new Date(options.reclaimDate) : null;
+
+        if (reclaimDate && reclaimDate <= unlockDate) {
+            throw new Error('Reclaim date must be after the unlock date');
+        }
+
+        try {
+            // Load sender account
+            const senderAccount = await server.loadAccount(senderAccountId);
+
+            // The recipient can claim from the unlock date until the reclaim date
+            let recipientPredicate = StellarSdk.Claimant.predicateNot(
+                StellarSdk.Claimant.predicateBeforeAbsoluteTime(toUnixTime(unlockDate))
+            );
+            if (reclaimDate) {
+                recipientPredicate = StellarSdk.Claimant.predicateAnd(
+                    recipientPredicate,
+                    StellarSdk.Claimant.predicateBeforeAbsoluteTime(toUnixTime(reclaimDate))
+                );
+            }
+
+            const claimants = [
+                new StellarSdk.Claimant(recipientPublicKey, recipientPredicate)
+            ];
+
+            // The sender can take unclaimed funds back from the reclaim date
+            if (reclaimDate) {
+                claimants.push(new StellarSdk.Claimant(
+                    senderAccountId,
+                    StellarSdk.Claimant.predicateNot(
+                        StellarSdk.Claimant.predicateBeforeAbsoluteTime(toUnixTime(reclaimDate))
+                    )
+                ));
+            }
+
+            const transaction = new StellarSdk.TransactionBuilder(senderAccount, {
+                fee: StellarSdk.BASE_FEE,
+                networkPassphrase: networkPassphrase,
+                memo: options.memo
+            })
+            .addOperation(StellarSdk.Operation.createClaimableBalance({
+                asset: asset,
+                amount: amount.toString(),
+                claimants: claimants
+            }))
+            .setTimeout(30)
+            .build();
+
+            // Sign the transaction
+            transaction.sign(senderKeypair);
+
+            // Submit the transaction
+            const result = await submitTransaction(transaction, {
+                type: 'time_lock',
+                program: options.program,
+                tag: options.tag,
+                grantId: options.grantId
+            });
+
+            return {
+                balanceId: transaction.getClaimableBalanceId(0),
+                hash: result.hash,
+                recipientPublicKey: recipientPublicKey,
+                amount: amount.toString(),
+                asset: describeAsset(asset),
+                unlockDate: unlockDate,
+                reclaimDate: reclaimDate
+            };
+        } catch (error) {
+            logger.error('Error creating time-locked transfer:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List the pending claimable balances of a beneficiary or NGO
+     * @param {string} publicKey - Public key of the account
+     * @param {string} role - "claimant" for balances the account can claim, "sponsor" for balances it created
+     * @returns {Array} The claimable balances, with whether the account can claim each one now
+     */
+    async function listClaimableBalances(publicKey, role = 'claimant') {
+        if (!['claimant', 'sponsor'].includes(role)) {
+            throw new Error('Role must be "claimant" or "sponsor"');
+        }
+
+        try {
+            const balances = [];
+            let page = await server.claimableBalances()[role](publicKey)
+                .limit(200)
+                .call();
+
+            while (page.records.length > 0) {
+                balances.push(...page.records);
+                page = await page.next();
+            }
+
+            const now = new Date();
+            return balances.map(balance => {
+                const claimant = balance.claimants.find(entry => entry.destination === publicKey);
+
+                return {
+                    balanceId: balance.id,
+                    asset: balance.asset === 'native' ? "XLM" : {
+                        code: balance.asset.split(':')[0],
+                        issuer: balance.asset.split(':')[1]
+                    },
+                    amount: balance.amount,
+                    sponsor: balance.sponsor,
+                    createdAt: balance.last_modified_time,
+                    claimants: balance.claimants,
+                    claimableNow: Boolean(claimant) && evaluateClaimPredicate(
+                        claimant.predicate,
+                        now,
+                        new Date(balance.last_modified_time)
+                    )
+                };
+            });
+        } catch (error) {
+            logger.error('Error listing claimable balances:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Claim a claimable balance, as the beneficiary or as the NGO reclaiming expired funds
+     * @param {string} claimantKey - Key vault ID or alias (or secret key) of a claimant of the balance
+     * @param {string} balanceId - ID of the claimable balance
+     * @param {Object} options - Claim options
+     * @param {string} options.feeSourceKey - Key vault ID or alias (or secret key) of an NGO paying the fee with a fee bump
+     * @returns {Object} Result of the claim transaction
+     */
+    async function claimClaimableBalance(claimantKey, balanceId, options = {}) {
+        const claimantKeypair = resolveKeypair(claimantKey);
+        const claimantAccountId = resolveAccountId(claimantKey);
+
+        try {
+            // Check the claim conditions first for a clearer error than op_cannot_claim
+            const balance = await server.claimableBalances().claimableBalance(balanceId).call();
+            const claimant = balance.claimants.find(entry => entry.destination === claimantAccountId);
+
+            if (!claimant) {
+                throw new Error(`${claimantAccountId} is not a claimant of balance ${balanceId}`);
+            }
+            if (!evaluateClaimPredicate(claimant.predicate, new Date(), new Date(balance.last_modified_time))) {
+                throw new Error(`Balance ${balanceId} cannot be claimed by ${claimantAccountId} yet`);
+            }
+
+            // Load claimant account
+            const claimantAccount = await server.loadAccount(claimantAccountId);
+
+            const transaction = new StellarSdk.TransactionBuilder(claimantAccount, {
+                fee: StellarSdk.BASE_FEE,
+                networkPassphrase: networkPassphrase
+            })
+            .addOperation(StellarSdk.Operation.claimClaimableBalance({
+                balanceId: balanceId
+            }))
+            .setTimeout(30)
+            .build();
+
+            transaction.sign(claimantKeypair);
+
+            // Sponsored beneficiaries may hold no XLM to pay the fee themselves
+            const result = options.feeSourceKey
+                ? await submitFeeBumpTransaction(options.feeSourceKey, transaction.toXDR(), { type: 'claim' })
+                : await submitTransaction(transaction, { type: 'claim' });
+            return {
+                balanceId: balanceId,
+                claimant: claimantAccountId,
+                amount: balance.amount,
+                hash: result.hash
+            };
+        } catch (error) {
+            logger.error('Error claiming claimable balance:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Evaluate a Horizon claim predicate
+     * @param {Object} predicate - Predicate as returned by Horizon
+     * @param {Date} at - Time at which to evaluate the predicate
+     * @param {Date} createdAt - Time the balance was created, for relative predicates
+     * @returns {boolean} Whether the predicate is satisfied
+     */
+    function evaluateClaimPredicate(predicate, at, createdAt) {
+        if (predicate.unconditional) {
+            return true;
+        }
+        if (predicate.and) {
+            return predicate.and.every(inner => evaluateClaimPredicate(inner, at, createdAt));
+        }
+        if (predicate.or) {
+            return predicate.or.some(inner => evaluateClaimPredicate(inner, at, createdAt));
+        }
+        if (predicate.not) {
+            return !evaluateClaimPredicate(predicate.not, at, createdAt);
+        }
+        if (predicate.abs_before) {
+            return at < new Date(predicate.abs_before);
+        }
+        if (predicate.rel_before) {
+            return at.getTime() < createdAt.getTime() + Number(predicate.rel_before) * 1000;
+        }
+
+        return false;
+    }
+
+    function toUnixTime(date) {
+        return Math.floor(new Date(date).getTime() / 1000).toString();
+    }
+
+    /**
+     * Create a multi-signature escrow account requiring approval from multiple parties.
+     * The escrow key pair only signs its own setup and is discarded afterwards, so funds
+     * can only leave the escrow with signatures from the configured signers.
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the NGO
+     * @param {string} beneficiaryPublicKey - Public key of the beneficiary
+     * @param {string|Array} signers - Public key of a third party (e.g., local official) for a 2-of-3 escrow
+     *                                 between NGO, beneficiary and third party, or an array of { publicKey, weight }
+     * @param {string} amount - Amount to place in escrow
+     * @param {Object} options - Escrow options
+     * @param {number} options.threshold - Signature weight needed to release or refund
+     * @param {string} options.program - Program the escrow and its releases are recorded against
+     * @param {string} options.grantId - Grant the escrowed amount is charged to
+     * @param {boolean} options.dryRun - Build and check the setup transaction without signing or submitting it
+     * @returns {Object} Details of the escrow account, or a dry-run report when options.dryRun is set
+     */
+    async function createMultiSigEscrow(ngoKey, beneficiaryPublicKey, signers, amount, options = {}) {
+        const ngoKeypair = resolveKeypair(ngoKey);
+        const ngoAccountId = resolveAccountId(ngoKey);
+        const escrowKeypair = StellarSdk.Keypair.random();
+
+        // A single third party keeps the original NGO + beneficiary + third party setup
+        const escrowSigners = typeof signers === 'string'
+            ? [ngoKeypair.publicKey(), beneficiaryPublicKey, signers].map(publicKey => ({ publicKey, weight: 1 }))
+            : signers.map(signer => ({ publicKey: signer.publicKey, weight: signer.weight || 1 }));
+
+        const totalWeight = escrowSigners.reduce((total, signer) => total + signer.weight, 0);
+        const threshold = options.threshold || (typeof signers === 'string' ? 2 : Math.floor(totalWeight / 2) + 1);
+
+        if (escrowSigners.length === 0 || escrowSigners.length > 20) {
+            throw new Error('An escrow needs between 1 and 20 signers');
+        }
+        if (escrowSigners.some(signer => signer.weight < 1 || signer.weight > 255)) {
+            throw new Error('Signer weights must be between 1 and 255');
+        }
+        if (threshold < 1 || threshold > 255 || threshold > totalWeight) {
+            throw new Error(`Threshold ${threshold} cannot be met by a total signer weight of ${totalWeight}`);
+        }
+
+        try {
+            // Load NGO account
+            const ngoAccount = await server.loadAccount(ngoAccountId);
+
+            // Base reserve for the account and each signer, plus a little XLM for fees
+            const reserve = BASE_RESERVE * (2 + escrowSigners.length) + 1;
+
+            // Create the escrow account and set up its signers in one transaction,
+            // removing the ability for the master key to sign anything afterwards
+            const transactionBuilder = new StellarSdk.TransactionBuilder(ngoAccount, {
+                fee: StellarSdk.BASE_FEE,
+                networkPassphrase: networkPassphrase
+            })
+            .addOperation(StellarSdk.Operation.createAccount({
+                destination: escrowKeypair.publicKey(),
+                startingBalance: fromStroops(toStroops(amount) + toStroops(reserve))
+            }));
+
+            for (const signer of escrowSigners) {
+                transactionBuilder.addOperation(StellarSdk.Operation.setOptions({
+                    source: escrowKeypair.publicKey(),
+                    signer: {
+                        ed25519PublicKey: signer.publicKey,
+                        weight: signer.weight
+                    }
+                }));
+            }
+
+            const transaction = transactionBuilder
+                .addOperation(StellarSdk.Operation.setOptions({
+                    source: escrowKeypair.publicKey(),
+                    masterWeight: 0,
+                    lowThreshold: threshold,
+                    medThreshold: threshold,
+                    highThreshold: threshold
+                }))
+                .setTimeout(30)
+                .build();
+
+            if (options.dryRun) {
+                const [destinationError] = await checkDestinations([{ publicKey: beneficiaryPublicKey, amount }], StellarSdk.Asset.native());
+                const grantError = options.grantId
+                    ? checkGrantBudget(options.grantId, { amount, asset: "XLM", program: options.program })
+                    : null;
+                return await buildDryRunReport('escrow', ngoAccountId, {
+                    transactions: [transaction],
+                    issues: grantError ? [grantError] : [],
+                    spending: [{ asset: "XLM", amount: fromStroops(toStroops(amount) + toStroops(reserve)) }],
+                    recipients: [{
+                        publicKey: beneficiaryPublicKey,
+                        amount: amount.toString(),
+                        asset: "XLM",
+                        escrowSigners: escrowSigners,
+                        threshold: threshold,
+                        error: destinationError ? destinationError.error : null
+                    }]
+                });
+            }
+
+            if (options.grantId) {
+                allocateGrantFunds(options.grantId, {
+                    type: 'escrow',
+                    reference: escrowKeypair.publicKey(),
+                    amount: amount,
+                    asset: "XLM",
+                    program: options.program
+                });
+            }
+
+            transaction.sign(ngoKeypair, escrowKeypair);
+            let result;
+            try {
+                result = await submitTransaction(transaction, {
+                    type: 'escrow',
+                    program: options.program,
+                    tag: options.tag,
+                    grantId: options.grantId
+                });
+            } catch (error) {
+                // The escrow was definitely not created, so nothing was spent
+                if (options.grantId && getResultCodes(error)) {
+                    settleGrantAllocation(options.grantId, escrowKeypair.publicKey(), '0');
+                }
+                throw error;
+            }
+
+            const escrow = {
+                escrowPublicKey: escrowKeypair.publicKey(),
+                ngoPublicKey: ngoAccountId,
+                beneficiaryPublicKey: beneficiaryPublicKey,
+                amount: amount.toString(),
+                released: '0',
+                refunded: '0',
+                signers: escrowSigners,
+                threshold: threshold,
+                program: options.program,
+                tag: options.tag,
+                grantId: options.grantId || null,
+                status: 'active',
+                hash: result.hash,
+                requests: [],
+                createdAt: new Date().toISOString()
+            };
+            store.write(`escrows/${escrow.escrowPublicKey}`, escrow);
+
+            return {
+                escrowPublicKey: escrow.escrowPublicKey,
+                signers: escrowSigners,
+                threshold: threshold,
+                requiredSigners: escrowSigners.map(signer => signer.publicKey),
+                requiredSignatures: threshold
+            };
+        } catch (error) {
+            logger.error('Error creating multi-signature escrow:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a transaction to release funds from an escrow account
+     * @param {string} escrowPublicKey - Public key of the escrow account
+     * @param {string} beneficiaryPublicKey - Public key of the beneficiary
+     * @param {string} amount - Amount to release
+     * @returns {Object} The unsigned transaction for multi-signature
+     */
+    async function createEscrowReleaseTransaction(escrowPublicKey, beneficiaryPublicKey, amount) {
+        try {
+            // Load escrow account
+            const escrowAccount = await server.loadAccount(escrowPublicKey);
+
+            // Create a transaction to release funds
+            const transaction = new StellarSdk.TransactionBuilder(escrowAccount, {
+                fee: StellarSdk.BASE_FEE,
+                networkPassphrase: networkPassphrase
+            })
+            .addOperation(StellarSdk.Operation.payment({
+                destination: beneficiaryPublicKey,
+                asset: StellarSdk.Asset.native(),
+                amount: amount.toString()
+            }))
+            .setTimeout(30)
+            .build();
+
+            // Convert to XDR for passing around to be signed
+            const transactionXDR = transaction.toXDR();
+
+            return {
+                transaction: transaction,
+                xdr: transactionXDR
+            };
+        } catch (error) {
+            logger.error('Error creating escrow release transaction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sign a transaction with a key from the key vault
+     * @param {string} transactionXDR - XDR representation of the transaction
+     * @param {string} signerKey - Key vault ID or alias (or secret key) of a signer
+     * @returns {string} The XDR of the signed transaction
+     */
+    function signTransaction(transactionXDR, signerKey) {
+        try {
+            const signerKeypair = resolveKeypair(signerKey);
+
+            // Convert XDR to transaction object
+            const transaction = StellarSdk.TransactionBuilder.fromXDR(
+                transactionXDR,
+                networkPassphrase
+            );
+
+            // Sign the transaction
+            transaction.sign(signerKeypair);
+
+            // Return the new XDR
+            return transaction.toXDR();
+        } catch (error) {
+            logger.error('Error signing transaction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Request a release (to the beneficiary) or refund (to the NGO) from an escrow.
+     * The pending transaction collects signatures until the escrow threshold is met.
+     * Releasing or refunding everything that is left also merges the escrow account
+     * back into the NGO account.
+     * @param {string} escrowPublicKey - Public key of the escrow account
+     * @param {string} type - "release" or "refund"
+     * @param {Object} options - Request options
+     * @param {string} options.amount - Amount to release or refund, everything that is left by default
+     * @param {number} options.validFor - Seconds the signers have to sign the request
+     * @param {StellarSdk.Memo} options.memo - Memo for the transaction
+     * @returns {Object} The pending request with its signature status
+     */
+    async function requestEscrowTransfer(escrowPublicKey, type, options = {}) {
+        if (!['release', 'refund'].includes(type)) {
+            throw new Error('Escrow requests are either "release" or "refund"');
+        }
+
+        const escrow = loadEscrow(escrowPublicKey);
+        if (escrow.status !== 'active') {
+            throw new Error(`Escrow ${escrowPublicKey} is ${escrow.status}`);
+        }
+
+        // A pending request holds the escrow's next sequence number
+        const pendingRequest = escrow.requests
+            .map(requestId => store.read(`escrow-requests/${requestId}`))
+            .find(request => request.status === 'pending' && request.maxTime > Date.now() / 1000);
+        if (pendingRequest) {
+            throw new Error(`Escrow ${escrowPublicKey} already has pending request ${pendingRequest.id}`);
+        }
+
+        const remaining = escrowRemaining(escrow);
+        const amount = options.amount ? toStroops(options.amount) : remaining;
+        if (amount <= 0n || amount > remaining) {
+            throw new Error(`Amount must be between 0 and the ${fromStroops(remaining)} left in escrow`);
+        }
+
+        const destination = type === 'release' ? escrow.beneficiaryPublicKey : escrow.ngoPublicKey;
+        const closesEscrow = amount === remaining;
+
+        try {
+            // Load escrow account
+            const escrowAccount = await server.loadAccount(escrowPublicKey);
+
+            const transactionBuilder = new StellarSdk.TransactionBuilder(escrowAccount, {
+                fee: StellarSdk.BASE_FEE,
+                networkPassphrase: networkPassphrase,
+                memo: options.memo
+            });
+
+            // A full refund is just the merge, which returns the funds and the reserve
+            if (!(closesEscrow && type === 'refund')) {
+                transactionBuilder.addOperation(StellarSdk.Operation.payment({
+                    destination: destination,
+                    asset: StellarSdk.Asset.native(),
+                    amount: fromStroops(amount)
+                }));
+            }
+
+            // Once the escrow is empty, close it and return the reserve to the NGO
+            if (closesEscrow) {
+                transactionBuilder.addOperation(StellarSdk.Operation.accountMerge({
+                    destination: escrow.ngoPublicKey
+                }));
+            }
+
+            const transaction = transactionBuilder
+                .setTimeout(options.validFor || 7 * 24 * 60 * 60)
+                .build();
+
+            const request = {
+                id: crypto.randomUUID(),
+                escrowPublicKey: escrowPublicKey,
+                type: type,
+                destination: destination,
+                amount: fromStroops(amount),
+                closesEscrow: closesEscrow,
+                hash: transaction.hash().toString('hex'),
+                maxTime: Number(transaction.timeBounds.maxTime),
+                xdr: transaction.toXDR(),
+                status: 'pending',
+                createdAt: new Date().toISOString()
+            };
+            store.write(`escrow-requests/${request.id}`, request);
+
+            escrow.requests.push(request.id);
+            store.write(`escrows/${escrowPublicKey}`, escrow);
+
+            return getEscrowRequest(request.id);
+        } catch (error) {
+            logger.error(`Error requesting escrow ${type}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a signature to a pending escrow request, submitting the transaction as soon
+     * as the signatures meet the escrow threshold
+     * @param {string} requestId - ID of the escrow request
+     * @param {Object} signature - Either the request XDR signed by a signer, or the key of a signer
+     * @param {string} signature.signedXdr - The request transaction XDR carrying new signatures
+     * @param {string} signature.signerKey - Key vault ID or alias (or secret key) of a signer, to sign on their behalf
+     * @returns {Object} The request with its updated signature status
+     */
+    async function addEscrowSignature(requestId, { signedXdr, signerKey } = {}) {
+        const request = loadEscrowRequest(requestId);
+        const escrow = loadEscrow(request.escrowPublicKey);
+
+        if (request.status !== 'pending') {
+            throw new Error(`Escrow request ${requestId} is ${request.status}`);
+        }
+
+        const transaction = StellarSdk.TransactionBuilder.fromXDR(request.xdr, networkPassphrase);
+        const meta = {
+            type: `escrow_${request.type}`,
+            program: escrow.program,
+            tag: escrow.tag,
+            grantId: escrow.grantId
+        };
+
+        // Horizon did not answer the last submission, which may have reached the ledger anyway
+        if (request.submittedAt) {
+            const record = await findTransaction(request.hash);
+            if (record) {
+                settleSubmission(transaction, meta, record.successful ? 'succeeded' : 'failed');
+                settleEscrowRequest(escrow, request, record);
+                store.write(`escrow-requests/${requestId}`, request);
+                return getEscrowRequest(requestId);
+            }
+        }
+
+        if (request.maxTime <= Date.now() / 1000) {
+            request.status = 'expired';
+            store.write(`escrow-requests/${requestId}`, request);
+            throw new Error(`Escrow request ${requestId} has expired`);
+        }
+
+        let newSignatures;
+        if (signedXdr) {
+            const signed = StellarSdk.TransactionBuilder.fromXDR(signedXdr, networkPassphrase);
+            if (signed.hash().toString('hex') !== request.hash) {
+                throw new Error('Signed transaction does not match the escrow request');
+            }
+            newSignatures = signed.signatures;
+        } else if (signerKey) {
+            newSignatures = [resolveKeypair(signerKey).signDecorated(transaction.hash())];
+        } else {
+            throw new Error('Either signedXdr or signerKey is required');
+        }
+
+        // Only keep valid signatures from escrow signers that have not signed yet
+        const alreadySigned = escrowSignersWhoSigned(escrow, transaction);
+        const addedSigners = [];
+        for (const decoratedSignature of newSignatures) {
+            const signer = findSignatureSigner(escrow, transaction, decoratedSignature);
+            if (!signer) {
+                throw new Error('Signature does not belong to a signer of this escrow');
+            }
+            if (!alreadySigned.includes(signer.publicKey)) {
+                transaction.addDecoratedSignature(decoratedSignature);
+                alreadySigned.push(signer.publicKey);
+                addedSigners.push(signer.publicKey);
+            }
+        }
+
+        request.xdr = transaction.toXDR();
+        store.write(`escrow-requests/${requestId}`, request);
+
+        addedSigners.forEach(signer => emitEvent('escrow.signature_added', {
+            escrowPublicKey: escrow.escrowPublicKey,
+            requestId: requestId,
+            type: request.type,
+            signer: signer
+        }));
+
+        // Submit automatically once the threshold is met
+        const signedWeight = escrow.signers
+            .filter(signer => alreadySigned.includes(signer.publicKey))
+            .reduce((total, signer) => total + signer.weight, 0);
+
+        if (signedWeight >= escrow.threshold) {
+            request.submittedAt = new Date().toISOString();
+            try {
+                const result = await submitTransaction(transaction, meta);
+                settleEscrowRequest(escrow, request, { ...result, successful: true });
+            } catch (error) {
+                logger.error('Error submitting escrow request:', error);
+                request.error = error.message;
+                request.resultCodes = getResultCodes(error) || null;
+
+                // Only a rejection is final; without one the request stays pending until its
+                // transaction is found by hash on the next signature, or it expires
+                if (request.resultCodes) {
+                    request.status = 'failed';
+                }
+            }
+            store.write(`escrow-requests/${requestId}`, request);
+
+            emitEvent('escrow.threshold_met', {
+                escrowPublicKey: escrow.escrowPublicKey,
+                requestId: requestId,
+                type: request.type,
+                amount: request.amount,
+                signedWeight: signedWeight,
+                threshold: escrow.threshold,
+                status: request.status,
+                hash: request.result ? request.result.hash : null
+            }, `escrow.threshold_met-${requestId}`);
+        }
+
+        return getEscrowRequest(requestId);
+    }
+
+    /**
+     * Record the outcome of an escrow request whose transaction reached the ledger,
+     * moving a successful request's amount out of the escrow
+     * @param {Object} escrow - The stored escrow, saved when it changes
+     * @param {Object} request - The escrow request, saved by the caller
+     * @param {Object} record - Horizon's record of the transaction
+     */
+    function settleEscrowRequest(escrow, request, record) {
+        if (!record.successful) {
+            request.status = 'failed';
+            request.error = `Transaction ${record.hash} failed in ledger ${record.ledger}`;
+            return;
+        }
+
+        request.status = 'submitted';
+        request.error = null;
+        request.resultCodes = null;
+        request.result = { hash: record.hash, ledger: record.ledger };
+
+        const total = request.type === 'release' ? 'released' : 'refunded';
+        escrow[total] = fromStroops(toStroops(escrow[total]) + toStroops(request.amount));
+        if (request.closesEscrow) {
+            escrow.status = request.type === 'release' ? 'released' : 'refunded';
+            escrow.closedAt = request.submittedAt;
+        }
+        store.write(`escrows/${escrow.escrowPublicKey}`, escrow);
+
+        // Refunds go back to the grant's budget
+        if (escrow.grantId && request.type === 'refund') {
+            settleGrantAllocation(escrow.grantId, escrow.escrowPublicKey, fromStroops(toStroops(escrow.amount) - toStroops(escrow.refunded)));
+        }
+    }
+
+    /**
+     * Get an escrow request with the signers who have signed and those still missing
+     * @param {string} requestId - ID of the escrow request
+     * @returns {Object} The request and its signature status
+     */
+    function getEscrowRequest(requestId) {
+        const request = loadEscrowRequest(requestId);
+        const escrow = loadEscrow(request.escrowPublicKey);
+        const transaction = StellarSdk.TransactionBuilder.fromXDR(request.xdr, networkPassphrase);
+
+        const signedBy = escrowSignersWhoSigned(escrow, transaction);
+        const signed = escrow.signers.filter(signer => signedBy.includes(signer.publicKey));
+        const missing = escrow.signers.filter(signer => !signedBy.includes(signer.publicKey));
+        const signedWeight = signed.reduce((total, signer) => total + signer.weight, 0);
+
+        const expired = request.status === 'pending' && request.maxTime <= Date.now() / 1000;
+
+        return {
+            ...request,
+            status: expired ? 'expired' : request.status,
+            threshold: escrow.threshold,
+            signedWeight: signedWeight,
+            signed: signed,
+            missing: missing
+        };
+    }
+
+    /**
+     * Get an escrow with its remaining balance and requests
+     * @param {string} escrowPublicKey - Public key of the escrow account
+     * @returns {Object} The escrow and the status of each of its requests
+     */
+    function getEscrow(escrowPublicKey) {
+        const escrow = loadEscrow(escrowPublicKey);
+
+        return {
+            ...escrow,
+            remaining: fromStroops(escrowRemaining(escrow)),
+            requests: escrow.requests.map(requestId => {
+                const { xdr, ...request } = getEscrowRequest(requestId);
+                return request;
+            })
+        };
+    }
+
+    /**
+     * Find which escrow signers have validly signed a transaction
+     * @param {Object} escrow - The stored escrow
+     * @param {StellarSdk.Transaction} transaction - The transaction to check
+     * @returns {Array} Public keys of the escrow signers whose signatures are present
+     */
+    function escrowSignersWhoSigned(escrow, transaction) {
+        const signers = transaction.signatures
+            .map(decoratedSignature => findSignatureSigner(escrow, transaction, decoratedSignature))
+            .filter(Boolean)
+            .map(signer => signer.publicKey);
+
+        return [...new Set(signers)];
+    }
+
+    /**
+     * Find the escrow signer that produced a decorated signature
+     * @param {Object} escrow - The stored escrow
+     * @param {StellarSdk.Transaction} transaction - The signed transaction
+     * @param {Object} decoratedSignature - The XDR decorated signature
+     * @returns {Object|undefined} The matching escrow signer
+     */
+    function findSignatureSigner(escrow, transaction, decoratedSignature) {
+        return escrow.signers.find(signer => {
+            const keypair = StellarSdk.Keypair.fromPublicKey(signer.publicKey);
+            return keypair.signatureHint().equals(decoratedSignature.hint()) &&
+                keypair.verify(transaction.hash(), decoratedSignature.signature());
+        });
+    }
+
+    function escrowRemaining(escrow) {
+        return toStroops(escrow.amount) - toStroops(escrow.released) - toStroops(escrow.refunded);
+    }
+
+    function loadEscrow(escrowPublicKey) {
+        const escrow = store.read(`escrows/${escrowPublicKey}`);
+        if (!escrow) {
+            throw new Error(`Escrow ${escrowPublicKey} not found`);
+        }
+        return escrow;
+    }
+
+    function loadEscrowRequest(requestId) {
+        const request = store.read(`escrow-requests/${requestId}`);
+        if (!request) {
+            throw new Error(`Escrow request ${requestId} not found`);
+        }
+        return request;
+    }
+
+    /**
+     * Register milestone-based conditional payments. Approval milestones lock their
+     * funds in a multi-signature escrow straight away; time milestones create their
+     * time-locked claimable balance when they are released. Each milestone then goes
+     * through pending -> evidence_submitted -> approved -> released, or ends up
+     * rejected or expired.
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the NGO
+     * @param {Array} milestones - Array of objects containing milestone details
+     *                             (name, type, beneficiaryPublicKey, amount, dueDate, and
+     *                             unlockDate/reclaimDate/asset for time milestones or
+     *                             signers/approverPublicKey/threshold for approval milestones)
+     * @param {Object} options - Milestone options
+     * @param {string} options.grantId - Grant the milestones are charged to, unless a milestone names its own grantId
+     * @param {boolean} options.dryRun - Check the milestones and build their escrows without storing or submitting anything
+     * @returns {Array} The stored milestones, or a dry-run report when options.dryRun is set
+     */
+    async function createMilestonePayments(ngoKey, milestones, options = {}) {
+        const ngoAccountId = resolveAccountId(ngoKey);
+        const results = [];
+
+        try {
+            if (options.dryRun) {
+                return await simulateMilestonePayments(ngoKey, milestones, options);
+            }
+
+            for (const milestone of milestones) {
+                if (!['time', 'approval'].includes(milestone.type)) {
+                    throw new Error(`Milestone type must be "time" or "approval", got ${milestone.type}`);
+                }
+
+                const now = new Date().toISOString();
+                const record = {
+                    id: crypto.randomUUID(),
+                    reference: milestone.id || null,
+                    name: milestone.name,
+                    type: milestone.type,
+                    ngoPublicKey: ngoAccountId,
+                    beneficiaryPublicKey: milestone.beneficiaryPublicKey,
+                    amount: milestone.amount.toString(),
+                    asset: describeAsset(resolveAsset(milestone.asset)),
+                    program: milestone.program || null,
+                    grantId: milestone.grantId || options.grantId || null,
+                    dueDate: milestone.dueDate ? new Date(milestone.dueDate).toISOString() : null,
+                    status: 'pending',
+                    evidence: [],
+                    release: null,
+                    history: [{ status: 'pending', at: now }],
+                    createdAt: now,
+                    updatedAt: now
+                };
+
+                // Based on milestone type, set up the appropriate conditional transfer
+                if (milestone.type === 'time') {
+                    record.unlockDate = new Date(milestone.unlockDate).toISOString();
+                    record.reclaimDate = milestone.reclaimDate ? new Date(milestone.reclaimDate).toISOString() : null;
+
+                    // The claimable balance is only created at release, but its budget is committed now
+                    if (record.grantId) {
+                        allocateGrantFunds(record.grantId, {
+                            type: 'milestone',
+                            reference: record.id,
+                            amount: record.amount,
+                            asset: record.asset,
+                            program: record.program
+                        });
+                    }
+                } else {
+                    // Approval-based milestone requiring multiple signatures
+                    const escrow = await createMultiSigEscrow(
+                        ngoKey,
+                        milestone.beneficiaryPublicKey,
+                        milestone.signers || milestone.approverPublicKey,
+                        milestone.amount,
+                        { threshold: milestone.threshold, program: milestone.program, grantId: record.grantId }
+                    );
+                    record.escrowPublicKey = escrow.escrowPublicKey;
+                    record.requiredSigners = escrow.requiredSigners;
+                    record.requiredSignatures = escrow.requiredSignatures;
+                }
+
+                store.write(`milestones/${record.id}`, record);
+                results.push(record);
+            }
+
+            return results;
+        } catch (error) {
+            logger.error('Error creating milestone payments:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Simulate creating milestone payments. Escrow setups are built for approval
+     * milestones, and time milestones count towards the spending because their
+     * claimable balances are funded at release.
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the NGO
+     * @param {Array} milestones - Milestones as passed to createMilestonePayments
+     * @param {Object} options - Options as passed to createMilestonePayments
+     * @returns {Object} The dry-run report
+     */
+    async function simulateMilestonePayments(ngoKey, milestones, options = {}) {
+        const ngoAccountId = resolveAccountId(ngoKey);
+        const transactions = [];
+        const spending = [];
+        const recipients = [];
+        const issues = [];
+
+        for (const milestone of milestones) {
+            if (!['time', 'approval'].includes(milestone.type)) {
+                throw new Error(`Milestone type must be "time" or "approval", got ${milestone.type}`);
+            }
+
+            const grantId = milestone.grantId || options.grantId;
+            if (grantId) {
+                const grantError = checkGrantBudget(grantId, {
+                    amount: milestone.amount,
+                    asset: resolveAsset(milestone.asset),
+                    program: milestone.program
+                });
+                if (grantError) {
+                    issues.push(`Milestone ${milestone.name}: ${grantError}`);
+                }
+            }
+
+            if (milestone.type === 'approval') {
+                const escrow = await createMultiSigEscrow(
+                    ngoKey,
+                    milestone.beneficiaryPublicKey,
+                    milestone.signers || milestone.approverPublicKey,
+                    milestone.amount,
+                    { threshold: milestone.threshold, program: milestone.program, dryRun: true }
+                );
+                transactions.push(...escrow.transactions.map(entry => StellarSdk.TransactionBuilder.fromXDR(entry.xdr, networkPassphrase)));
+                spending.push(...escrow.spending);
+                recipients.push(...escrow.recipients.map(({ status, ...recipient }) => ({ milestone: milestone.name, type: milestone.type, ...recipient })));
+            } else {
+                const asset = resolveAsset(milestone.asset);
+                const [destinationError] = await checkDestinations([{ publicKey: milestone.beneficiaryPublicKey, amount: milestone.amount }], asset);
+                spending.push({ asset: asset, amount: milestone.amount.toString() });
+                recipients.push({
+                    milestone: milestone.name,
+                    type: milestone.type,
+                    publicKey: milestone.beneficiaryPublicKey,
+                    amount: milestone.amount.toString(),
+                    asset: describeAsset(asset),
+                    unlockDate: new Date(milestone.unlockDate).toISOString(),
+                    error: destinationError ? destinationError.error : null
+                });
+            }
+        }
+
+        return buildDryRunReport('milestones', ngoAccountId, { transactions, spending, recipients, issues });
+    }
+
+    /**
+     * Submit evidence that a milestone was reached. The upload is kept in the data
+     * directory under its SHA-256 hash, which is anchored on-chain at release.
+     * @param {string} milestoneId - ID of the milestone
+     * @param {Object} evidence - The evidence upload
+     * @param {string} evidence.content - File content, base64 encoded
+     * @param {string} evidence.filename - Original file name
+     * @param {string} evidence.contentType - MIME type of the file
+     * @param {string} actor - Who submitted the evidence
+     * @returns {Object} The updated milestone
+     */
+    function submitMilestoneEvidence(milestoneId, { content, filename, contentType } = {}, actor = null) {
+        const milestone = getMilestone(milestoneId);
+        if (!['pending', 'evidence_submitted', 'rejected'].includes(milestone.status)) {
+            throw new Error(`Milestone ${milestoneId} is ${milestone.status}`);
+        }
+        if (!content) {
+            throw new Error('Evidence content is required');
+        }
+
+        const data = Buffer.from(content, 'base64');
+        const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+        store.write(`evidence/${sha256}`, { filename, contentType, content: data.toString('base64') });
+
+        milestone.evidence.push({
+            sha256: sha256,
+            filename: filename || null,
+            contentType: contentType || null,
+            size: data.length,
+            submittedBy: actor,
+            submittedAt: new Date().toISOString()
+        });
+
+        return transitionMilestone(milestone, 'evidence_submitted', actor);
+    }
+
+    /**
+     * Approve a milestone whose evidence was reviewed
+     * @param {string} milestoneId - ID of the milestone
+     * @param {string} note - Reviewer note
+     * @param {string} actor - Who approved the milestone
+     * @returns {Object} The updated milestone
+     */
+    function approveMilestone(milestoneId, note, actor = null) {
+        const milestone = getMilestone(milestoneId);
+        if (milestone.status !== 'evidence_submitted') {
+            throw new Error(`Only milestones with evidence can be approved, ${milestoneId} is ${milestone.status}`);
+        }
+
+        return transitionMilestone(milestone, 'approved', actor, note);
+    }
+
+    /**
+     * Reject the evidence of a milestone. New evidence can be submitted afterwards.
+     * @param {string} milestoneId - ID of the milestone
+     * @param {string} reason - Why the evidence was rejected
+     * @param {string} actor - Who rejected the milestone
+     * @returns {Object} The updated milestone
+     */
+    function rejectMilestone(milestoneId, reason, actor = null) {
+        const milestone = getMilestone(milestoneId);
+        if (!['evidence_submitted', 'approved'].includes(milestone.status) || milestone.release) {
+            throw new Error(`Milestone ${milestoneId} is ${milestone.status} and cannot be rejected`);
+        }
+        if (!reason) {
+            throw new Error('A reason is required to reject a milestone');
+        }
+
+        // Rejected evidence stays on record but is not anchored at release
+        milestone.evidence.forEach(evidence => {
+            evidence.rejected = true;
+        });
+
+        return transitionMilestone(milestone, 'rejected', actor, reason);
+    }
+
+    /**
+     * Release an approved milestone. The SHA-256 hash of its accepted evidence (or, with several
+     * uploads, the hash of their concatenated hashes) goes in the memo of the release
+     * transaction. Time milestones create their time-locked claimable balance; approval
+     * milestones request the escrow release, signed by the NGO if it is an escrow
+     * signer, and are released once the escrow signers have signed.
+     * @param {string} milestoneId - ID of the milestone
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the NGO
+     * @param {string} actor - Who released the milestone
+     * @returns {Object} The updated milestone
+     */
+    async function releaseMilestone(milestoneId, ngoKey, actor = null) {
+        const milestone = getMilestone(milestoneId);
+        if (milestone.status !== 'approved') {
+            throw new Error(`Only approved milestones can be released, ${milestoneId} is ${milestone.status}`);
+        }
+        if (milestone.release) {
+            throw new Error(`Milestone ${milestoneId} is already waiting for escrow request ${milestone.release.escrowRequestId}`);
+        }
+
+        const evidenceHash = milestoneEvidenceHash(milestone);
+        const memo = StellarSdk.Memo.hash(evidenceHash);
+
+        try {
+            if (milestone.type === 'time') {
+                if (resolveAccountId(ngoKey) !== milestone.ngoPublicKey) {
+                    throw new Error(`Milestone ${milestoneId} is paid by ${milestone.ngoPublicKey}`);
+                }
+
+                const transfer = await createTimeLockedTransfer(
+                    ngoKey,
+                    milestone.beneficiaryPublicKey,
+                    milestone.amount,
+                    new Date(milestone.unlockDate),
+                    { reclaimDate: milestone.reclaimDate, asset: milestone.asset, program: milestone.program, grantId: milestone.grantId, memo }
+                );
+
+                milestone.release = { evidenceHash, balanceId: transfer.balanceId, hash: transfer.hash };
+                return transitionMilestone(milestone, 'released', actor);
+            }
+
+            const request = await requestEscrowTransfer(milestone.escrowPublicKey, 'release', { memo });
+            milestone.release = { evidenceHash, escrowRequestId: request.id };
+            store.write(`milestones/${milestone.id}`, milestone);
+
+            const ngoSigner = resolveKeypair(ngoKey).publicKey();
+            if (request.missing.some(signer => signer.publicKey === ngoSigner)) {
+                await addEscrowSignature(request.id, { signerKey: ngoKey });
+            }
+
+            return getMilestone(milestone.id);
+        } catch (error) {
+            logger.error('Error releasing milestone:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a milestone, catching up on escrow releases and expiry
+     * @param {string} milestoneId - ID of the milestone
+     * @returns {Object} The milestone
+     */
+    function getMilestone(milestoneId) {
+        const milestone = store.read(`milestones/${milestoneId}`);
+        if (!milestone) {
+            throw new Error(`Milestone ${milestoneId} not found`);
+        }
+
+        // Escrow releases complete when the last signer signs
+        if (milestone.release && milestone.release.escrowRequestId && milestone.status === 'approved') {
+            const request = getEscrowRequest(milestone.release.escrowRequestId);
+            if (request.status === 'submitted') {
+                milestone.release.hash = request.result.hash;
+                return transitionMilestone(milestone, 'released');
+            }
+            if (['failed', 'expired'].includes(request.status)) {
+                milestone.release = null;
+                store.write(`milestones/${milestone.id}`, milestone);
+            }
+        }
+
+        const open = ['pending', 'evidence_submitted', 'approved', 'rejected'].includes(milestone.status);
+        if (open && !milestone.release && milestone.dueDate && new Date(milestone.dueDate) <= new Date()) {
+            // Expired time milestones never spent their budget, approval milestones return it with an escrow refund
+            if (milestone.grantId && milestone.type === 'time') {
+                settleGrantAllocation(milestone.grantId, milestone.id, '0');
+            }
+            return transitionMilestone(milestone, 'expired', null, 'Due date passed before release');
+        }
+
+        return milestone;
+    }
+
+    /**
+     * List milestones
+     * @param {Object} filters - Filters to apply (status, program, beneficiary)
+     * @returns {Array} The matching milestones
+     */
+    function listMilestones(filters = {}) {
+        return store.list('milestones')
+            .map(getMilestone)
+            .filter(milestone =>
+                (!filters.status || milestone.status === filters.status) &&
+                (!filters.program || milestone.program === filters.program) &&
+                (!filters.beneficiary || milestone.beneficiaryPublicKey === filters.beneficiary)
+            );
+    }
+
+    function transitionMilestone(milestone, status, actor = null, note = null) {
+        const now = new Date().toISOString();
+        milestone.status = status;
+        milestone.updatedAt = now;
+        milestone.history.push({ status, at: now, actor, note: note || null });
+        store.write(`milestones/${milestone.id}`, milestone);
+        return milestone;
+    }
+
+    function milestoneEvidenceHash(milestone) {
+        const hashes = milestone.evidence
+            .filter(evidence => !evidence.rejected)
+            .map(evidence => evidence.sha256);
+        if (hashes.length === 0) {
+            throw new Error(`Milestone ${milestone.id} has no evidence`);
+        }
+
+        return hashes.length === 1
+            ? hashes[0]
+            : crypto.createHash('sha256').update(hashes.join('')).digest('hex');
+    }
+
+    // ------------------------------------------
+    // 4. ANALYTICS DASHBOARD INTEGRATION
+    // ------------------------------------------
+
+    /**
+     * Track transaction for analytics by appending it to the local ledger
+     * @param {Object} transaction - Transaction details to track
+     * @returns {Object} The stored transaction record
+     */
+    function trackTransaction(transaction) {
+        const record = {
+            id: crypto.randomUUID(),
+            timestamp: new Date(),
+            ...transaction,
+        };
+
+        store.append('ledger', record);
+
+        return record;
+    }
+
+    /**
+     * Record every operation of a submitted transaction in the local ledger
+     * @param {StellarSdk.Transaction} transaction - The submitted transaction
+     * @param {Object} meta - Toolkit action (type), program, tag and grant of the submission
+     * @param {string} status - "success", "failed", "expired" or "unknown" when Horizon gave no answer
+     * @param {Object} resultCodes - Horizon result codes of a failed submission
+     * @returns {Array} The stored records
+     */
+    function recordTransaction(transaction, meta, status, resultCodes) {
+        // Fee bumps are recorded as the operations of the inner transaction
+        const innerTransaction = transaction.innerTransaction || transaction;
+        const txHash = transaction.hash().toString('hex');
+        const operationCodes = resultCodes && resultCodes.operations;
+
+        try {
+            return innerTransaction.operations.map((operation, index) => trackTransaction({
+                type: meta.type,
+                program: meta.program || null,
+                tag: meta.tag || null,
+                grantId: meta.grantId || null,
+                txHash: txHash,
+                operationIndex: index,
+                operation: operation.type,
+                source: operation.source || innerTransaction.source,
+                ...describeOperation(operation),
+                status: status,
+                error: resultCodes
+                    ? (operationCodes && operationCodes[index] !== 'op_success' && operationCodes[index]) ||
+                        resultCodes.transaction
+                    : null
+            }));
+        } catch (error) {
+            // Losing a ledger entry must never hide the outcome of a submission
+            logger.error('Error recording transaction:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Extract the beneficiary, amount and asset moved by an operation
+     * @param {Object} operation - Decoded operation
+     * @returns {Object} Beneficiary, amount and asset, null where they do not apply
+     */
+    function describeOperation(operation) {
+        const describe = (beneficiary, amount, asset) => ({
+            beneficiary: beneficiary || null,
+            amount: amount || null,
+            asset: asset ? describeAsset(asset) : null
+        });
+
+        switch (operation.type) {
+            case 'payment':
+                return describe(operation.destination, operation.amount, operation.asset);
+            case 'createAccount':
+                return describe(operation.destination, operation.startingBalance, StellarSdk.Asset.native());
+            case 'createClaimableBalance':
+                return describe(operation.claimants[0].destination, operation.amount, operation.asset);
+            case 'pathPaymentStrictReceive':
+                return describe(operation.destination, operation.destAmount, operation.destAsset);
+            case 'pathPaymentStrictSend':
+                return describe(operation.destination, operation.destMin, operation.destAsset);
+            case 'accountMerge':
+                return describe(operation.destination, null, StellarSdk.Asset.native());
+            case 'claimClaimableBalance':
+                return { ...describe(operation.source), balanceId: operation.balanceId };
+            case 'changeTrust':
+                return describe(operation.source, null, operation.line);
+            case 'setTrustLineFlags':
+                return describe(operation.trustor, null, operation.asset);
+            case 'beginSponsoringFutureReserves':
+                return describe(operation.sponsoredId);
+            case 'revokeAccountSponsorship':
+                return describe(operation.account);
+            case 'revokeTrustlineSponsorship':
+                return describe(operation.account, null, operation.asset);
+            default:
+                return describe();
+        }
+    }
+
+    /**
+     * List and filter records from the local ledger. When a transaction outcome was
+     * recorded more than once, only its latest status is returned.
+     * @param {Object} filters - Filters to apply
+     * @param {string} filters.program - Program the records were made for
+     * @param {string} filters.tag - Tag of the records
+     * @param {string} filters.beneficiary - Public key of the beneficiary
+     * @param {string} filters.asset - "XLM" or an asset code
+     * @param {string} filters.status - "success", "failed", "expired" or "unknown"
+     * @param {string} filters.type - Toolkit action, such as "distribution" or "escrow"
+     * @param {string} filters.txHash - Transaction hash
+     * @param {Date} filters.from - Earliest record time
+     * @param {Date} filters.to - Latest record time
+     * @param {number} filters.limit - Maximum number of records to return
+     * @param {number} filters.offset - Number of matching records to skip
+     * @returns {Object} The total number of matches and the requested page of records
+     */
+    function queryLedger(filters = {}) {
+        const from = filters.from ? new Date(filters.from) : null;
+        const to = filters.to ? new Date(filters.to) : null;
+        const assetCode = record => (record.asset && record.asset !== "XLM" ? record.asset.code : record.asset);
+
+        const matches = latestLedgerRecords().filter(record =>
+            (!filters.program || record.program === filters.program) &&
+            (!filters.tag || record.tag === filters.tag) &&
+            (!filters.beneficiary || record.beneficiary === filters.beneficiary) &&
+            (!filters.asset || assetCode(record) === filters.asset) &&
+            (!filters.status || record.status === filters.status) &&
+            (!filters.type || record.type === filters.type) &&
+            (!filters.txHash || record.txHash === filters.txHash) &&
+            (!from || new Date(record.timestamp) >= from) &&
+            (!to || new Date(record.timestamp) <= to)
+        );
+
+        const offset = Number(filters.offset) || 0;
+        const limit = Math.min(Number(filters.limit) || 100, 1000);
+
+        return {
+            total: matches.length,
+            offset: offset,
+            limit: limit,
+            records: matches.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Get the latest record of every operation in the local ledger. Retried and
+     * timed-out submissions append a new record for the same operation.
+     * @returns {Array} The ledger records, oldest first
+     */
+    function latestLedgerRecords() {
+        const latest = new Map();
+        for (const record of store.readLines('ledger')) {
+            latest.set(`${record.txHash}:${record.operationIndex}`, record);
+        }
+        return [...latest.values()];
+    }
+
+    /**
+     * Get a single record from the local ledger
+     * @param {string} recordId - ID of the record
+     * @returns {Object} The ledger record
+     */
+    function getLedgerRecord(recordId) {
+        const record = store.readLines('ledger').find(entry => entry.id === recordId);
+        if (!record) {
+            throw new Error(`Ledger record ${recordId} not found`);
+        }
+        return record;
+    }
+
+    /**
+     * Report where a transaction stands. Transactions the toolkit submitted are read
+     * from the submission log, so one Horizon never answered for is reported as
+     * pending until it reaches the ledger or its time bound passes.
+     * @param {string} hash - Hex transaction hash
+     * @returns {Object} The status ("pending", "succeeded", "failed" or "expired"), decoded operations and submission details
+     */
+    async function getTransactionStatus(hash) {
+        if (!/^[0-9a-fA-F]{64}$/.test(hash || '')) {
+            const error = new Error(`Invalid transaction hash ${hash}`);
+            error.code = 'INVALID_REQUEST';
+            error.status = 400;
+            throw error;
+        }
+
+        const txHash = hash.toLowerCase();
+        const submission = store.read(`submissions/${txHash}`);
+        const record = await findTransaction(txHash);
+        if (!record && !submission) {
+            const error = new Error(`Transaction ${txHash} not found`);
+            error.code = 'NOT_FOUND';
+            error.status = 404;
+            throw error;
+        }
+
+        let status;
+        if (record) {
+            status = record.successful ? 'succeeded' : 'failed';
+        } else if (submission.status === 'failed') {
+            // Rejected by Horizon before reaching the ledger
+            status = 'failed';
+        } else {
+            status = hasExpired(submission.maxTime) ? 'expired' : 'pending';
+        }
+
+        const transaction = StellarSdk.TransactionBuilder.fromXDR(
+            submission ? submission.xdr : record.envelope_xdr,
+            networkPassphrase
+        );
+        const innerTransaction = transaction.innerTransaction || transaction;
+
+        // Settle submissions that were still pending when Horizon stopped answering
+        if (submission && submission.status === 'pending' && status !== 'pending') {
+            settleSubmission(transaction, submission, status);
+        }
+
+        return {
+            hash: txHash,
+            status: status,
+            source: innerTransaction.source,
+            feeSource: transaction.feeSource || null,
+            sequence: innerTransaction.sequence,
+            operations: innerTransaction.operations.map((operation, index) => ({
+                index: index,
+                type: operation.type,
+                source: operation.source || innerTransaction.source,
+                ...describeOperation(operation)
+            })),
+            ledger: record ? record.ledger : null,
+            closedAt: record ? record.created_at : null,
+            expiresAt: submission && submission.maxTime ? new Date(submission.maxTime * 1000).toISOString() : null,
+            resultCodes: submission ? submission.resultCodes : null,
+            submission: submission ? {
+                type: submission.type,
+                program: submission.program,
+                tag: submission.tag,
+                grantId: submission.grantId,
+                attempts: submission.attempts,
+                submittedAt: submission.submittedAt
+            } : null,
+            link: `${network.horizonUrl}/transactions/${txHash}`
+        };
+    }
+
+    /**
+     * Generate impact report from the NGO's complete operation history. Totals count
+     * what the NGO spent, so path payments count their source amount and asset;
+     * each beneficiary also gets what they received in the asset delivered.
+     * @param {string} ngoPublicKey - Public key of the NGO
+     * @param {Date} startDate - Start date for the report
+     * @param {Date} endDate - End date for the report
+     * @returns {Object} The impact report, with totals per asset, beneficiary and program
+     */
+    async function generateImpactReport(ngoPublicKey, startDate, endDate) {
+        try {
+            // Bring the cached operation history up to date, then report from the cache
+            const history = await syncOperationHistory(ngoPublicKey);
+
+            // Convert dates to timestamps
+            const startTimestamp = startDate.toISOString();
+            const endTimestamp = endDate.toISOString();
+
+            // Outgoing transfers within the report period
+            const transfers = history.operations.filter(op =>
+                op.direction === 'out' &&
+                op.createdAt >= startTimestamp &&
+                op.createdAt <= endTimestamp
+            );
+
+            // Programs come from the local ledger, matched by transaction hash
+            const programByHash = new Map();
+            for (const record of store.readLines('ledger')) {
+                if (record.program) {
+                    programByHash.set(record.txHash, record.program);
+                }
+            }
+
+            // Aggregate data, in stroops to avoid rounding errors
+            const totalsByAsset = {};
+            const beneficiaries = {};
+            const programs = {};
+            const distributionByDate = {};
+            const operationCounts = {};
+
+            const addTo = (totals, asset, amount) => {
+                totals[asset] = (totals[asset] || 0n) + amount;
+            };
+
+            transfers.forEach(op => {
+                const amount = toStroops(op.amount);
+                const program = programByHash.get(op.txHash) || 'untagged';
+
+                operationCounts[op.type] = (operationCounts[op.type] || 0) + 1;
+                addTo(totalsByAsset, op.asset, amount);
+
+                if (!beneficiaries[op.to]) {
+                    beneficiaries[op.to] = { transfers: 0, totals: {}, received: {} };
+                }
+                beneficiaries[op.to].transfers += 1;
+                addTo(beneficiaries[op.to].totals, op.asset, amount);
+                // Path payments cost the NGO one asset and deliver another
+                addTo(
+                    beneficiaries[op.to].received,
+                    op.deliveredAsset || op.asset,
+                    op.deliveredAmount ? toStroops(op.deliveredAmount) : amount
+                );
+
+                if (!programs[program]) {
+                    programs[program] = { transfers: 0, beneficiaries: new Set(), totals: {} };
+                }
+                programs[program].transfers += 1;
+                programs[program].beneficiaries.add(op.to);
+                addTo(programs[program].totals, op.asset, amount);
+
+                // Group by date
+                const date = op.createdAt.split('T')[0];
+                if (!distributionByDate[date]) {
+                    distributionByDate[date] = {};
+                }
+                addTo(distributionByDate[date], op.asset, amount);
+            });
+
+            const formatTotals = totals => Object.fromEntries(
+                Object.entries(totals).map(([asset, amount]) => [asset, fromStroops(amount)])
+            );
+
+            const beneficiaryCount = Object.keys(beneficiaries).length;
+            const totalDistributed = parseFloat(fromStroops(totalsByAsset.XLM || 0n));
+            const nativeBeneficiaries = Object.values(beneficiaries).filter(entry => entry.totals.XLM).length;
+
+            // Create the report
+            return {
+                organizationId: ngoPublicKey,
+                reportPeriod: {
+                    start: startDate,
+                    end: endDate
+                },
+                summary: {
+                    totalDistributed: totalDistributed,
+                    totalBeneficiaries: beneficiaryCount,
+                    averagePerBeneficiary: totalDistributed / (nativeBeneficiaries || 1),
+                    totalTransfers: transfers.length
+                },
+                totalsByAsset: Object.entries(totalsByAsset).map(([asset, amount]) => ({
+                    asset,
+                    total: fromStroops(amount),
+                    beneficiaries: Object.values(beneficiaries).filter(entry => entry.totals[asset]).length
+                })),
+                operationsByType: operationCounts,
+                byBeneficiary: Object.entries(beneficiaries).map(([publicKey, entry]) => ({
+                    publicKey,
+                    transfers: entry.transfers,
+                    totals: formatTotals(entry.totals),
+                    received: formatTotals(entry.received)
+                })),
+                byProgram: Object.entries(programs).map(([program, entry]) => ({
+                    program,
+                    transfers: entry.transfers,
+                    beneficiaries: entry.beneficiaries.size,
+                    totals: formatTotals(entry.totals)
+                })),
+                distributionTimeline: Object.entries(distributionByDate).sort().map(([date, totals]) => ({
+                    date,
+                    amount: parseFloat(fromStroops(totals.XLM || 0n)),
+                    byAsset: formatTotals(totals)
+                })),
+                lastUpdated: new Date()
+            };
+        } catch (error) {
+            logger.error('Error generating impact report:', error);
+            throw error;
+        }
+    }
+
+    // Version of the normalized operations in the history cache
+    const OPERATION_HISTORY_VERSION = 2;
+
+    /**
+     * Page through an account's operation history on Horizon, adding everything newer
+     * than the last sync to a local cache so repeated reports only fetch new operations
+     * @param {string} publicKey - Public key of the account
+     * @returns {Object} The cached history with the paging cursor and normalized operations
+     */
+    async function syncOperationHistory(publicKey) {
+        const cacheName = `analytics/${publicKey}`;
+        const cached = store.read(cacheName);
+
+        // Caches written by an older normalizeOperation are ingested again from the start
+        const history = cached && cached.version === OPERATION_HISTORY_VERSION
+            ? cached
+            : { version: OPERATION_HISTORY_VERSION, cursor: null, operations: [] };
+
+        let request = server.operations()
+            .forAccount(publicKey)
+            .includeFailed(false)
+            .order('asc')
+            .limit(200);
+        if (history.cursor) {
+            request = request.cursor(history.cursor);
+        }
+
+        let page = await request.call();
+        while (page.records.length > 0) {
+            for (const op of page.records) {
+                const normalized = normalizeOperation(op, publicKey);
+                if (normalized) {
+                    history.operations.push(normalized);
+                }
+            }
+
+            history.cursor = page.records[page.records.length - 1].paging_token;
+            history.syncedAt = new Date().toISOString();
+            store.write(cacheName, history);
+
+            page = await page.next();
+        }
+
+        return history;
+    }
+
+    /**
+     * Reduce a Horizon operation record to the fields used by the reports
+     * @param {Object} op - Operation record from Horizon
+     * @param {string} publicKey - Account whose history is being ingested
+     * @returns {Object|null} The normalized transfer, or null for operations that move no funds
+     */
+    function normalizeOperation(op, publicKey) {
+        const assetOf = record => (record.asset_type === 'native'
+            ? "XLM"
+            : `${record.asset_code}:${record.asset_issuer}`);
+        const transfer = (from, to, amount, asset) => ({
+            id: op.id,
+            type: op.type,
+            createdAt: op.created_at,
+            txHash: op.transaction_hash,
+            from,
+            to,
+            amount,
+            asset,
+            direction: from === publicKey ? 'out' : 'in'
+        });
+
+        switch (op.type) {
+            case 'payment':
+                return transfer(op.from, op.to, op.amount, assetOf(op));
+            case 'create_account':
+                return transfer(op.funder, op.account, op.starting_balance, "XLM");
+            case 'path_payment_strict_receive':
+            case 'path_payment_strict_send': {
+                // The sender spends the source asset and the recipient gets the destination asset
+                const sourceAsset = assetOf({
+                    asset_type: op.source_asset_type,
+                    asset_code: op.source_asset_code,
+                    asset_issuer: op.source_asset_issuer
+                });
+                const sent = op.from === publicKey;
+                return {
+                    ...transfer(op.from, op.to, sent ? op.source_amount : op.amount, sent ? sourceAsset : assetOf(op)),
+                    deliveredAmount: op.amount,
+                    deliveredAsset: assetOf(op)
+                };
+            }
+            case 'create_claimable_balance':
+                return transfer(
+                    op.source_account,
+                    op.claimants[0].destination,
+                    op.amount,
+                    op.asset === 'native' ? "XLM" : op.asset
+                );
+            default:
+                return null;
+        }
+    }
+
+    // ------------------------------------------
+    // 5. KEY VAULT
+    // ------------------------------------------
+
+    /**
+     * Store a key pair in the key vault, encrypted at rest
+     * @param {StellarSdk.Keypair} keypair - The key pair to store
+     * @param {Object} options - Key details
+     * @param {string} options.alias - Unique human-readable name for the key
+     * @param {string} options.role - What the key is for, such as "ngo", "beneficiary" or "issuer"
+     * @param {string} options.accountId - Account the key signs for, if it is not the key's own account
+     * @returns {Object} The key details, without the secret
+     */
+    function storeVaultKey(keypair, { alias, role, accountId } = {}) {
+        if (alias && findVaultKey(alias, false)) {
+            throw new Error(`A key with alias ${alias} already exists`);
+        }
+
+        const entry = {
+            id: crypto.randomUUID(),
+            alias: alias || null,
+            role: role || null,
+            accountId: accountId || keypair.publicKey(),
+            publicKey: keypair.publicKey(),
+            custody: 'vault',
+            encryptedSecret: encryptSecret(keypair.secret()),
+            previousSigners: [],
+            createdAt: new Date().toISOString()
+        };
+        store.write(`keys/${entry.id}`, entry);
+
+        return describeVaultKey(entry);
+    }
+
+    /**
+     * Generate a key pair for an account that does not exist yet and store it in the
+     * key vault. Accounts are only created once their key is stored, so a failure
+     * halfway can never leave a funded account whose secret was not kept.
+     * @param {Object} options - Key details (alias, role)
+     * @returns {Object} The new key pair, and the key details without the secret
+     */
+    function createVaultKey(options) {
+        const keypair = StellarSdk.Keypair.random();
+        return { keypair, key: storeVaultKey(keypair, options) };
+    }
+
+    /**
+     * Import an existing secret key into the key vault
+     * @param {string} secretKey - The secret key to import
+     * @param {Object} options - Key details (alias, role, accountId)
+     * @returns {Object} The key details, without the secret
+     */
+    function importKey(secretKey, options = {}) {
+        return storeVaultKey(StellarSdk.Keypair.fromSecret(secretKey), options);
+    }
+
+    /**
+     * Get the signing key pair for a key vault ID or alias. Raw secret keys are still
+     * accepted so that the toolkit functions can be used without a vault.
+     * @param {string} keyRef - Key vault ID, alias, or secret key
+     * @returns {StellarSdk.Keypair} The key pair
+     */
+    function resolveKeypair(keyRef) {
+        if (keyRef instanceof StellarSdk.Keypair) {
+            return keyRef;
+        }
+        if (typeof keyRef === 'string' && StellarSdk.StrKey.isValidEd25519SecretSeed(keyRef)) {
+            return StellarSdk.Keypair.fromSecret(keyRef);
+        }
+
+        const entry = findVaultKey(keyRef);
+        if (entry.custody !== 'vault') {
+            throw new Error(`Key ${keyRef} was exported for self-custody and is no longer held in the vault`);
+        }
+
+        return StellarSdk.Keypair.fromSecret(decryptSecret(entry.encryptedSecret));
+    }
+
+    /**
+     * Get the account a key signs for. This is the key's own public key unless the
+     * key was rotated, in which case the account keeps its original ID.
+     * @param {string} keyRef - Key vault ID, alias, or secret key
+     * @returns {string} The account ID
+     */
+    function resolveAccountId(keyRef) {
+        if (keyRef instanceof StellarSdk.Keypair) {
+            return keyRef.publicKey();
+        }
+        if (typeof keyRef === 'string' && StellarSdk.StrKey.isValidEd25519SecretSeed(keyRef)) {
+            return StellarSdk.Keypair.fromSecret(keyRef).publicKey();
+        }
+
+        return findVaultKey(keyRef).accountId;
+    }
+
+    /**
+     * List the keys held in the vault
+     * @param {string} role - Only return keys with this role
+     * @returns {Array} Key details, without secrets
+     */
+    function listKeys(role) {
+        return store.list('keys')
+            .map(id => store.read(`keys/${id}`))
+            .filter(entry => !role || entry.role === role)
+            .map(describeVaultKey);
+    }
+
+    /**
+     * Get the details of a key in the vault
+     * @param {string} keyRef - Key vault ID or alias
+     * @returns {Object} The key details, without the secret
+     */
+    function getKey(keyRef) {
+        return describeVaultKey(findVaultKey(keyRef));
+    }
+
+    /**
+     * Rotate the key of a vault account: a new signer is added on-chain with the
+     * weight of the current one, the current signer is removed, and the vault keeps
+     * the new secret under the same key ID and alias
+     * @param {string} keyRef - Key vault ID or alias
+     * @returns {Object} The key details with the new signing public key
+     */
+    async function rotateKey(keyRef) {
+        const entry = findVaultKey(keyRef);
+        const currentKeypair = resolveKeypair(entry.id);
+        const newKeypair = StellarSdk.Keypair.random();
+
+        try {
+            const account = await server.loadAccount(entry.accountId);
+
+            // Give the new signer at least the weight of the current one
+            const currentSigner = account.signers.find(signer => signer.key === currentKeypair.publicKey());
+            if (!currentSigner || currentSigner.weight === 0) {
+                throw new Error(`${currentKeypair.publicKey()} is not a signer of ${entry.accountId}`);
+            }
+
+            const transactionBuilder = new StellarSdk.TransactionBuilder(account, {
+                fee: StellarSdk.BASE_FEE,
+                networkPassphrase: networkPassphrase
+            })
+            .addOperation(StellarSdk.Operation.setOptions({
+                signer: {
+                    ed25519PublicKey: newKeypair.publicKey(),
+                    weight: currentSigner.weight
+                }
+            }));
+
+            // The master key is switched off, any other signer is removed
+            if (currentKeypair.publicKey() === entry.accountId) {
+                transactionBuilder.addOperation(StellarSdk.Operation.setOptions({ masterWeight: 0 }));
+            } else {
+                transactionBuilder.addOperation(StellarSdk.Operation.setOptions({
+                    signer: {
+                        ed25519PublicKey: currentKeypair.publicKey(),
+                        weight: 0
+                    }
+                }));
+            }
+
+            const transaction = transactionBuilder
+                .setTimeout(30)
+                .build();
+
+            transaction.sign(currentKeypair);
+            await submitTransaction(transaction, { type: 'key_rotation' });
+
+            entry.previousSigners.push({
+                publicKey: entry.publicKey,
+                retiredAt: new Date().toISOString()
+            });
+            entry.publicKey = newKeypair.publicKey();
+            entry.encryptedSecret = encryptSecret(newKeypair.secret());
+            entry.rotatedAt = new Date().toISOString();
+            store.write(`keys/${entry.id}`, entry);
+
+            return describeVaultKey(entry);
+        } catch (error) {
+            logger.error('Error rotating key:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Export a key for a beneficiary who wants to self-custody. The secret is returned
+     * once and removed from the vault, so the toolkit can no longer sign with it.
+     * @param {string} keyRef - Key vault ID or alias
+     * @param {Object} options - Export options
+     * @param {boolean} options.confirm - Must be true, exporting cannot be undone
+     * @returns {Object} The account ID, public key and secret key
+     */
+    function exportKey(keyRef, { confirm } = {}) {
+        if (confirm !== true) {
+            throw new Error('Exporting a key removes it from the vault, pass confirm: true to continue');
+        }
+
+        const entry = findVaultKey(keyRef);
+        const keypair = resolveKeypair(entry.id);
+
+        entry.custody = 'self';
+        entry.encryptedSecret = null;
+        entry.exportedAt = new Date().toISOString();
+        store.write(`keys/${entry.id}`, entry);
+
+        return {
+            ...describeVaultKey(entry),
+            secretKey: keypair.secret()
+        };
+    }
+
+    /**
+     * Find a vault entry by ID or alias
+     * @param {string} keyRef - Key vault ID or alias
+     * @param {boolean} required - Throw when the key does not exist
+     * @returns {Object|null} The stored vault entry
+     */
+    function findVaultKey(keyRef, required = true) {
+        const entry = store.read(`keys/${keyRef}`) ||
+            store.list('keys')
+                .map(id => store.read(`keys/${id}`))
+                .find(candidate => candidate.alias === keyRef);
+
+        if (!entry && required) {
+            throw new Error(`Key ${keyRef} not found in the key vault`);
+        }
+        return entry || null;
+    }
+
+    function describeVaultKey(entry) {
+        const { encryptedSecret, ...details } = entry;
+        return details;
+    }
+
+    /**
+     * Encrypt a secret key with AES-256-GCM under a key derived from the vault passphrase
+     * @param {string} secret - The secret to encrypt
+     * @returns {Object} Salt, IV, authentication tag and ciphertext, base64 encoded
+     */
+    function encryptSecret(secret) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', deriveVaultKey(salt), iv);
+        const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+        return {
+            algorithm: 'aes-256-gcm',
+            kdf: 'scrypt',
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            ciphertext: ciphertext.toString('base64')
+        };
+    }
+
+    /**
+     * Decrypt a secret encrypted by encryptSecret
+     * @param {Object} encrypted - The encrypted secret
+     * @returns {string} The secret
+     */
+    function decryptSecret(encrypted) {
+        const decipher = crypto.createDecipheriv(
+            'aes-256-gcm',
+            deriveVaultKey(Buffer.from(encrypted.salt, 'base64')),
+            Buffer.from(encrypted.iv, 'base64')
+        );
+        decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+
+        try {
+            return Buffer.concat([
+                decipher.update(Buffer.from(encrypted.ciphertext, 'base64')),
+                decipher.final()
+            ]).toString('utf8');
+        } catch (error) {
+            throw new Error('Could not decrypt key, check NGO_KEYSTORE_PASSPHRASE');
+        }
+    }
+
+    function deriveVaultKey(salt) {
+        const passphrase = process.env.NGO_KEYSTORE_PASSPHRASE;
+        if (!passphrase) {
+            throw new Error('NGO_KEYSTORE_PASSPHRASE must be set to use the key vault');
+        }
+        return crypto.scryptSync(passphrase, salt, 32);
+    }
+
+    // ------------------------------------------
+    // 6. ACCESS CONTROL AND AUDIT LOG
+    // ------------------------------------------
+
+    // Roles that API credentials can be issued for
+    const ROLES = {
+        ADMIN: 'admin',
+        PROGRAM_MANAGER: 'program_manager',
+        FIELD_AGENT: 'field_agent',
+        APPROVER: 'approver',
+        AUDITOR: 'auditor'
+    };
+
+    /**
+     * Issue an API credential for a team member. The token is only returned here,
+     * the vault keeps a hash of it.
+     * @param {Object} details - Credential details
+     * @param {string} details.name - Who or what the credential is for
+     * @param {string} details.role - One of the ROLES
+     * @returns {Object} The credential, including its bearer token
+     */
+    function createApiCredential({ name, role } = {}) {
+        if (!Object.values(ROLES).includes(role)) {
+            throw new Error(`Role must be one of ${Object.values(ROLES).join(', ')}`);
+        }
+
+        const token = `ngo_${crypto.randomBytes(24).toString('base64url')}`;
+        const credential = {
+            id: crypto.randomUUID(),
+            name: name || null,
+            role: role,
+            tokenHash: hashToken(token),
+            createdAt: new Date().toISOString(),
+            revokedAt: null
+        };
+        store.write(`credentials/${credential.id}`, credential);
+
+        const { tokenHash, ...details } = credential;
+        return { ...details, token };
+    }
+
+    /**
+     * List issued API credentials, without their token hashes
+     * @returns {Array} The credentials
+     */
+    function listApiCredentials() {
+        return store.list('credentials').map(id => {
+            const { tokenHash, ...details } = store.read(`credentials/${id}`);
+            return details;
+        });
+    }
+
+    /**
+     * Revoke an API credential so its token is no longer accepted
+     * @param {string} credentialId - ID of the credential
+     * @returns {Object} The revoked credential
+     */
+    function revokeApiCredential(credentialId) {
+        const credential = store.read(`credentials/${credentialId}`);
+        if (!credential) {
+            throw new Error(`Credential ${credentialId} not found`);
+        }
+
+        credential.revokedAt = credential.revokedAt || new Date().toISOString();
+        store.write(`credentials/${credentialId}`, credential);
+
+        const { tokenHash, ...details } = credential;
+        return details;
+    }
+
+    /**
+     * Authenticate API requests with a bearer token. NGO_ADMIN_TOKEN, when set, is
+     * accepted as an admin credential so that the first credentials can be issued.
+     * Every request that changes state is written to the audit log once answered.
+     */
+    function authenticate(req, res, next) {
+        const header = req.get('authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+
+        req.actor = token ? findActor(token) : null;
+
+        if (req.method !== 'GET') {
+            res.on('finish', () => {
+                appendAuditEntry({
+                    actor: req.actor ? req.actor.id : null,
+                    role: req.actor ? req.actor.role : null,
+                    action: `${req.method} ${req.baseUrl}${req.path}`,
+                    status: res.statusCode,
+                    requestDigest: crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex')
+                });
+            });
+        }
+
+        if (!req.actor) {
+            return res.status(401).json({ error: 'A valid API token is required', code: 'UNAUTHENTICATED' });
+        }
+        next();
+    }
+
+    /**
+     * Only let the given roles (and admins) through
+     * @param {...string} roles - Roles allowed to use the route
+     * @returns {Function} Express middleware
+     */
+    function requireRole(...roles) {
+        return (req, res, next) => {
+            if (req.actor.role === ROLES.ADMIN || roles.includes(req.actor.role)) {
+                return next();
+            }
+            res.status(403).json({
+                error: `This action requires one of the roles: ${[ROLES.ADMIN, ...roles].join(', ')}`,
+                code: 'FORBIDDEN'
+            });
+        };
+    }
+
+    function findActor(token) {
+        const tokenHash = hashToken(token);
+
+        const adminToken = process.env.NGO_ADMIN_TOKEN;
+        if (adminToken && crypto.timingSafeEqual(Buffer.from(hashToken(adminToken), 'hex'), Buffer.from(tokenHash, 'hex'))) {
+            return { id: 'bootstrap-admin', name: 'NGO_ADMIN_TOKEN', role: ROLES.ADMIN };
+        }
+
+        const credential = store.list('credentials')
+            .map(id => store.read(`credentials/${id}`))
+            .find(candidate => !candidate.revokedAt && candidate.tokenHash === tokenHash);
+
+        return credential ? { id: credential.id, name: credential.name, role: credential.role } : null;
+    }
+
+    function hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Hash of the latest audit entry, loaded from the log on first use
+    let lastAuditHash = null;
+
+    /**
+     * Append an entry to the audit log. Each entry carries the hash of the previous
+     * one, so removing or editing an entry breaks the chain.
+     * @param {Object} details - What happened and who did it
+     * @returns {Object} The stored audit entry
+     */
+    function appendAuditEntry(details) {
+        if (lastAuditHash === null) {
+            const entries = store.readLines('audit');
+            lastAuditHash = entries.length > 0 ? entries[entries.length - 1].hash : '0'.repeat(64);
+        }
+
+        const entry = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            ...details,
+            previousHash: lastAuditHash
+        };
+        entry.hash = hashAuditEntry(entry);
+
+        store.append('audit', entry);
+        lastAuditHash = entry.hash;
+
+        return entry;
+    }
+
+    /**
+     * List audit log entries
+     * @param {Object} filters - Filters to apply (actor, action, from, to, limit, offset)
+     * @returns {Object} The total number of matches and the requested page of entries
+     */
+    function queryAuditLog(filters = {}) {
+        const from = filters.from ? new Date(filters.from) : null;
+        const to = filters.to ? new Date(filters.to) : null;
+
+        const matches = store.readLines('audit').filter(entry =>
+            (!filters.actor || entry.actor === filters.actor) &&
+            (!filters.action || entry.action.includes(filters.action)) &&
+            (!from || new Date(entry.timestamp) >= from) &&
+            (!to || new Date(entry.timestamp) <= to)
+        );
+
+        const offset = Number(filters.offset) || 0;
+        const limit = Math.min(Number(filters.limit) || 100, 1000);
+
+        return {
+            total: matches.length,
+            offset: offset,
+            limit: limit,
+            entries: matches.slice(offset, offset + limit)
+        };
+    }
+
+    /**
+     * Check the audit log hash chain
+     * @returns {Object} Whether the chain is intact and, if not, the first entry that breaks it
+     */
+    function verifyAuditLog() {
+        const entries = store.readLines('audit');
+        let previousHash = '0'.repeat(64);
+
+        for (let index = 0; index < entries.length; index++) {
+            const entry = entries[index];
+            if (entry.previousHash !== previousHash || entry.hash !== hashAuditEntry(entry)) {
+                return { valid: false, entries: entries.length, brokenAt: index, entryId: entry.id };
+            }
+            previousHash = entry.hash;
+        }
+
+        return { valid: true, entries: entries.length, lastHash: previousHash };
+    }
+
+    function hashAuditEntry(entry) {
+        const { hash, ...content } = entry;
+        return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+    }
+
+    // ------------------------------------------
+    // 7. BENEFICIARY REGISTRY
+    // ------------------------------------------
+
+    /**
+     * Enroll a beneficiary in the registry, creating their account (with sponsored
+     * reserves and trustlines) unless they already have one
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the NGO creating the account
+     * @param {Object} details - Enrollment details
+     * @param {string} details.name - Beneficiary name
+     * @param {string} details.householdId - Household identifier
+     * @param {string} details.region - Region the beneficiary lives in
+     * @param {string} details.phone - Phone number
+     * @param {string} details.publicKey - Existing account of the beneficiary, if any
+     * @param {Array} details.cohorts - IDs of the cohorts to add the beneficiary to
+     * @param {Object} options - Account options
+     * @param {Array} options.assets - Assets to open sponsored trustlines for, as { code, issuer }
+     * @param {boolean} options.sponsored - Sponsor the account reserves, true unless set to false
+     * @param {string} options.program - Program to record the account creation under
+     * @returns {Object} The registry record
+     */
+    async function enrollBeneficiary(ngoKey, details = {}, options = {}) {
+        const record = normalizeBeneficiary(details);
+
+        if (!record.name) {
+            throw new Error('Beneficiary name is required');
+        }
+        if (record.publicKey && !StellarSdk.StrKey.isValidEd25519PublicKey(record.publicKey)) {
+            throw new Error(`Invalid public key ${record.publicKey}`);
+        }
+        record.cohorts.forEach(loadCohort);
+
+        const duplicates = findDuplicateBeneficiaries(record);
+        if (duplicates.length > 0) {
+            const error = new Error(`Beneficiary is already enrolled as ${duplicates.map(duplicate => duplicate.id).join(', ')}`);
+            error.duplicates = duplicates;
+            throw error;
+        }
+
+        try {
+            if (!record.publicKey) {
+                const account = await createBeneficiaryAccount(ngoKey, undefined, {
+                    sponsored: options.sponsored,
+                    assets: options.assets,
+                    program: options.program
+                });
+                record.publicKey = account.publicKey;
+                record.keyId = account.keyId;
+            }
+
+            const now = new Date().toISOString();
+            const beneficiary = {
+                id: crypto.randomUUID(),
+                ...record,
+                status: 'active',
+                enrolledAt: now,
+                updatedAt: now
+            };
+            store.write(`beneficiaries/${beneficiary.id}`, beneficiary);
+
+            return beneficiary;
+        } catch (error) {
+            logger.error('Error enrolling beneficiary:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find enrolled beneficiaries that share a household ID, phone number or account
+     * with the given details
+     * @param {Object} details - Beneficiary details (householdId, phone, publicKey)
+     * @returns {Array} Matching records, each with the fields that matched
+     */
+    function findDuplicateBeneficiaries(details) {
+        const candidate = normalizeBeneficiary(details);
+
+        return listBeneficiaries({ status: 'active' })
+            .map(beneficiary => ({
+                id: beneficiary.id,
+                name: beneficiary.name,
+                matches: ['householdId', 'phone', 'publicKey'].filter(field =>
+                    candidate[field] && candidate[field] === beneficiary[field]
+                )
+            }))
+            .filter(duplicate => duplicate.matches.length > 0);
+    }
+
+    /**
+     * Enroll beneficiaries from a CSV file with a header row. Recognized columns are
+     * name, household_id, region, phone, public_key and cohort (a cohort ID or name).
+     * Rows are enrolled one by one, so a bad row does not stop the rest.
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the NGO creating the accounts
+     * @param {string} csv - The CSV content
+     * @param {Object} options - Import options
+     * @param {string} options.cohortId - Cohort to add every imported beneficiary to
+     * @param {Array} options.assets - Assets to open sponsored trustlines for, as { code, issuer }
+     * @param {boolean} options.sponsored - Sponsor the account reserves, true unless set to false
+     * @returns {Object} Counts and a result per row
+     */
+    async function importBeneficiariesCsv(ngoKey, csv, options = {}) {
+        const [header, ...rows] = parseCsv(csv);
+        if (!header) {
+            throw new Error('The CSV file is empty');
+        }
+
+        const columns = header.map(column => column.toLowerCase().replace(/[^a-z]/g, ''));
+        const cohorts = listCohorts();
+        const results = [];
+
+        for (const [index, row] of rows.entries()) {
+            const values = {};
+            columns.forEach((column, columnIndex) => {
+                values[column] = row[columnIndex];
+            });
+
+            const rowCohorts = options.cohortId ? [options.cohortId] : [];
+            if (values.cohort) {
+                const cohort = cohorts.find(candidate => candidate.id === values.cohort || candidate.name === values.cohort);
+                if (!cohort) {
+                    results.push({ row: index + 2, status: 'error', error: `Cohort ${values.cohort} not found` });
+                    continue;
+                }
+                rowCohorts.push(cohort.id);
+            }
+
+            try {
+                const beneficiary = await enrollBeneficiary(ngoKey, {
+                    name: values.name,
+                    householdId: values.householdid,
+                    region: values.region,
+                    phone: values.phone,
+                    publicKey: values.publickey,
+                    cohorts: rowCohorts
+                }, options);
+                results.push({ row: index + 2, status: 'enrolled', id: beneficiary.id, publicKey: beneficiary.publicKey });
+            } catch (error) {
+                results.push({
+                    row: index + 2,
+                    status: error.duplicates ? 'duplicate' : 'error',
+                    error: error.message,
+                    duplicates: error.duplicates
+                });
+            }
+        }
+
+        return {
+            enrolled: results.filter(result => result.status === 'enrolled').length,
+            duplicates: results.filter(result => result.status === 'duplicate').length,
+            errors: results.filter(result => result.status === 'error').length,
+            results: results
+        };
+    }
+
+    /**
+     * Get a beneficiary from the registry
+     * @param {string} beneficiaryId - ID of the registry record
+     * @returns {Object} The registry record
+     */
+    function getBeneficiary(beneficiaryId) {
+        const beneficiary = store.read(`beneficiaries/${beneficiaryId}`);
+        if (!beneficiary) {
+            throw new Error(`Beneficiary ${beneficiaryId} not found`);
+        }
+        return beneficiary;
+    }
+
+    /**
+     * List beneficiaries in the registry
+     * @param {Object} filters - Filters to apply (cohort, region, status)
+     * @returns {Array} The matching registry records
+     */
+    function listBeneficiaries(filters = {}) {
+        return store.list('beneficiaries')
+            .map(id => store.read(`beneficiaries/${id}`))
+            .filter(beneficiary =>
+                (!filters.cohort || beneficiary.cohorts.includes(filters.cohort)) &&
+                (!filters.region || beneficiary.region === filters.region) &&
+                (!filters.status || beneficiary.status === filters.status)
+            );
+    }
+
+    /**
+     * Create a cohort to group beneficiaries, such as the households of a program
+     * @param {Object} details - Cohort details
+     * @param {string} details.name - Unique cohort name
+     * @param {string} details.program - Program the cohort belongs to, recorded with its distributions
+     * @param {string} details.description - What the cohort is for
+     * @returns {Object} The cohort
+     */
+    function createCohort({ name, program, description } = {}) {
+        if (!name) {
+            throw new Error('Cohort name is required');
+        }
+        if (listCohorts().some(cohort => cohort.name === name)) {
+            throw new Error(`A cohort named ${name} already exists`);
+        }
+
+        const cohort = {
+            id: crypto.randomUUID(),
+            name: name,
+            program: program || null,
+            description: description || null,
+            createdAt: new Date().toISOString()
+        };
+        store.write(`cohorts/${cohort.id}`, cohort);
+
+        return cohort;
+    }
+
+    /**
+     * List cohorts with their number of active members
+     * @returns {Array} The cohorts
+     */
+    function listCohorts() {
+        const beneficiaries = listBeneficiaries({ status: 'active' });
+
+        return store.list('cohorts')
+            .map(loadCohort)
+            .map(cohort => ({
+                ...cohort,
+                members: beneficiaries.filter(beneficiary => beneficiary.cohorts.includes(cohort.id)).length
+            }));
+    }
+
+    /**
+     * Add beneficiaries to a cohort, or remove them from it
+     * @param {string} cohortId - ID of the cohort
+     * @param {Array} beneficiaryIds - IDs of the beneficiaries
+     * @param {boolean} member - Whether the beneficiaries should be members
+     * @returns {Array} The updated registry records
+     */
+    function setCohortMembership(cohortId, beneficiaryIds, member = true) {
+        loadCohort(cohortId);
+
+        const beneficiaries = beneficiaryIds.map(getBeneficiary);
+        return beneficiaries.map(beneficiary => {
+            const cohorts = beneficiary.cohorts.filter(id => id !== cohortId);
+            beneficiary.cohorts = member ? [...cohorts, cohortId] : cohorts;
+            beneficiary.updatedAt = new Date().toISOString();
+            store.write(`beneficiaries/${beneficiary.id}`, beneficiary);
+            return beneficiary;
+        });
+    }
+
+    /**
+     * Work out what each active member of a cohort should receive
+     * @param {string} cohortId - ID of the cohort
+     * @param {Object} rule - Amount rule
+     * @param {string} rule.type - "fixed" for the same amount per member, or "byRegion"
+     * @param {string} rule.amount - Amount per member for fixed rules
+     * @param {Object} rule.amounts - Amount per region for byRegion rules
+     * @param {string} rule.default - Amount for regions without their own amount; members are skipped without it
+     * @returns {Object} The beneficiaries to pay and the members that were skipped
+     */
+    function resolveCohortRecipients(cohortId, rule = {}) {
+        loadCohort(cohortId);
+
+        if (rule.type === 'fixed' && !rule.amount) {
+            throw new Error('Fixed amount rules need an amount');
+        }
+        if (rule.type === 'byRegion' && !rule.amounts) {
+            throw new Error('Region amount rules need amounts');
+        }
+        if (!['fixed', 'byRegion'].includes(rule.type)) {
+            throw new Error('Amount rule type must be "fixed" or "byRegion"');
+        }
+
+        const beneficiaries = [];
+        const skipped = [];
+
+        for (const member of listBeneficiaries({ cohort: cohortId, status: 'active' })) {
+            const amount = rule.type === 'fixed'
+                ? rule.amount
+                : (rule.amounts[member.region] || rule.default);
+
+            if (amount) {
+                beneficiaries.push({ publicKey: member.publicKey, amount: amount.toString() });
+            } else {
+                skipped.push({ id: member.id, reason: `No amount for region ${member.region}` });
+            }
+        }
+
+        if (beneficiaries.length === 0) {
+            throw new Error(`No members of cohort ${cohortId} to pay`);
+        }
+
+        return { beneficiaries, skipped };
+    }
+
+    /**
+     * Create a distribution job paying every active member of a cohort
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the distributing NGO
+     * @param {string} cohortId - ID of the cohort
+     * @param {Object} rule - Amount rule, see resolveCohortRecipients
+     * @param {string|Object} asset - Asset to distribute ("XLM" for native token, or { code, issuer })
+     * @param {Object} options - Job options (batchSize, maxAttempts, tag)
+     * @returns {Object} The stored job, with the members that were skipped
+     */
+    async function createCohortDistributionJob(ngoKey, cohortId, rule, asset = "XLM", options = {}) {
+        const cohort = loadCohort(cohortId);
+        const { beneficiaries, skipped } = resolveCohortRecipients(cohortId, rule);
+
+        const job = await createDistributionJob(resolveAccountId(ngoKey), beneficiaries, asset, {
+            ...options,
+            program: options.program || cohort.program
+        });
+
+        return { ...job, cohortId, skipped };
+    }
+
+    /**
+     * Pay every active member of a cohort and wait for the distribution to finish
+     * @param {string} ngoKey - Key vault ID or alias (or secret key) of the distributing NGO
+     * @param {string} cohortId - ID of the cohort
+     * @param {Object} rule - Amount rule, see resolveCohortRecipients
+     * @param {string|Object} asset - Asset to distribute ("XLM" for native token, or { code, issuer })
+     * @param {Object} options - Job options (batchSize, maxAttempts, tag)
+     * @returns {Object} Summary of the finished distribution job
+     */
+    async function distributeToCohort(ngoKey, cohortId, rule, asset = "XLM", options = {}) {
+        try {
+            const job = await createCohortDistributionJob(ngoKey, cohortId, rule, asset, options);
+            return await runDistributionJob(job.id, ngoKey);
+        } catch (error) {
+            logger.error('Error distributing funds to cohort:', error);
+            throw error;
+        }
+    }
+
+    function loadCohort(cohortId) {
+        const cohort = store.read(`cohorts/${cohortId}`);
+        if (!cohort) {
+            throw new Error(`Cohort ${cohortId} not found`);
+        }
+        return cohort;
+    }
+
+    function describeBeneficiary(beneficiary) {
+        const { pin, ...details } = beneficiary;
+        return { ...details, hasPin: Boolean(pin) };
+    }
+
+    function normalizeBeneficiary(details) {
+        const clean = value => (value === undefined || value === null ? '' : String(value).trim()) || null;
+        const phone = clean(details.phone);
+
+        return {
+            name: clean(details.name),
+            householdId: clean(details.householdId),
+            region: clean(details.region),
+            // Compare phone numbers on their digits only
+            phone: phone ? phone.replace(/(?!^\+)[^\d]/g, '') : null,
+            publicKey: clean(details.publicKey),
+            keyId: details.keyId || null,
+            cohorts: details.cohorts || []
+        };
+    }
+
+    /**
+     * Parse CSV content into rows of fields, following RFC 4180 quoting
+     * @param {string} csv - The CSV content
+     * @returns {Array} The rows, without blank lines
+     */
+    function parseCsv(csv) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let index = 0; index < csv.length; index++) {
+            const char = csv[index];
+
+            if (quoted) {
+                if (char === '"' && csv[index + 1] === '"') {
+                    field += '"';
+                    index++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && csv[index + 1] === '\n') {
+                    index++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    }
+
+    // ------------------------------------------
+    // 8. RECURRING DISBURSEMENTS
+    // ------------------------------------------
+
+    // How often the scheduler looks for disbursements that are due
+    const SCHEDULER_INTERVAL = 60 * 1000;
+
+    /**
+     * Create a schedule of recurring disbursements
+     * @param {Object} details - Schedule details
+     * @param {string} details.name - Name of the schedule
+     * @param {string} details.ngoKey - Key vault ID or alias of the distributing NGO (secret keys are not stored)
+     * @param {string} details.frequency - "monthly", "biweekly" or "cron"
+     * @param {string} details.cron - Cron expression (minute hour day-of-month month day-of-week, in UTC) for cron schedules
+     * @param {Date} details.startDate - First occurrence; monthly schedules pay on its day of the month
+     * @param {Date} details.endDate - No occurrences after this date
+     * @param {Array} details.recipients - Public keys, or objects with publicKey and amount
+     * @param {string} details.amount - Amount for recipients without their own
+     * @param {string} details.cohortId - Pay the members of a cohort instead of a recipient list
+     * @param {Object} details.rule - Amount rule for cohort schedules, see resolveCohortRecipients
+     * @param {string|Object} details.asset - Asset to distribute ("XLM" for native token, or { code, issuer })
+     * @param {string} details.program - Program the payments are recorded against
+     * @param {string} details.tag - Free-form tag recorded in the ledger
+     * @param {string} details.grantId - Grant each occurrence is charged to
+     * @returns {Object} The stored schedule
+     */
+    function createSchedule(details = {}) {
+        if (!details.ngoKey || StellarSdk.StrKey.isValidEd25519SecretSeed(details.ngoKey)) {
+            throw new Error('Schedules need the key vault ID or alias of the NGO, secret keys are not stored');
+        }
+        findVaultKey(details.ngoKey);
+
+        if (!['monthly', 'biweekly', 'cron'].includes(details.frequency)) {
+            throw new Error('Frequency must be "monthly", "biweekly" or "cron"');
+        }
+        if (details.frequency === 'cron') {
+            parseCron(details.cron);
+        }
+        if (!details.startDate || isNaN(new Date(details.startDate))) {
+            throw new Error('A valid start date is required');
+        }
+        if (details.endDate && new Date(details.endDate) < new Date(details.startDate)) {
+            throw new Error('End date must be after the start date');
+        }
+        if (details.cohortId) {
+            resolveCohortRecipients(details.cohortId, details.rule);
+        } else if (!Array.isArray(details.recipients) || details.recipients.length === 0) {
+            throw new Error('Either recipients or a cohort is required');
+        }
+        resolveAsset(details.asset);
+        if (details.grantId) {
+            getGrant(details.grantId);
+        }
+
+        const now = new Date().toISOString();
+        const schedule = {
+            id: crypto.randomUUID(),
+            name: details.name || null,
+            ngoKey: details.ngoKey,
+            frequency: details.frequency,
+            cron: details.frequency === 'cron' ? details.cron : null,
+            startDate: new Date(details.startDate).toISOString(),
+            endDate: details.endDate ? new Date(details.endDate).toISOString() : null,
+            recipients: details.cohortId ? null : details.recipients,
+            amount: details.amount !== undefined ? details.amount.toString() : null,
+            cohortId: details.cohortId || null,
+            rule: details.cohortId ? details.rule : null,
+            asset: details.asset || 'XLM',
+            program: details.program || null,
+            tag: details.tag || null,
+            grantId: details.grantId || null,
+            status: 'active',
+            // Last occurrence that was paid or skipped
+            lastOccurrence: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        saveSchedule(schedule);
+
+        return schedule;
+    }
+
+    /**
+     * Pay every occurrence of every active schedule that is due, including those
+     * missed while the server was down. Each occurrence is paid by a single durable
+     * distribution job: an occurrence interrupted by a crash resumes its job instead
+     * of starting a new one, so nobody is paid twice.
+     * @param {Date} now - Pay occurrences up to this time
+     * @returns {Array} The runs of the occurrences that came due
+     */
+    async function runDueSchedules(now = new Date()) {
+        const runs = [];
+
+        for (const schedule of listSchedules('active')) {
+            try {
+                let occurrence = nextOccurrence(schedule, schedule.lastOccurrence);
+
+                while (occurrence && occurrence <= now) {
+                    runs.push(await runScheduleOccurrence(schedule, occurrence));
+
+                    schedule.lastOccurrence = occurrence.toISOString();
+                    schedule.updatedAt = new Date().toISOString();
+                    saveSchedule(schedule);
+
+                    occurrence = nextOccurrence(schedule, schedule.lastOccurrence);
+                }
+
+                if (!occurrence) {
+                    schedule.status = 'ended';
+                    schedule.updatedAt = new Date().toISOString();
+                    saveSchedule(schedule);
+                }
+            } catch (error) {
+                // The occurrence is retried on the next pass, resuming its job
+                logger.error(`Error running schedule ${schedule.id}:`, error);
+            }
+        }
+
+        return runs;
+    }
+
+    /**
+     * Check for due disbursements at a fixed interval
+     * @param {number} interval - Milliseconds between checks
+     * @returns {Function} Stops the scheduler
+     */
+    function startScheduler(interval = SCHEDULER_INTERVAL) {
+        let running = false;
+
+        const tick = async () => {
+            // A long catch-up must not overlap with the next check
+            if (running) {
+                return;
+            }
+            running = true;
+            try {
+                await runDueSchedules();
+            } finally {
+                running = false;
+            }
+        };
+
+        tick();
+        const timer = setInterval(tick, interval);
+        return () => clearInterval(timer);
+    }
+
+    /**
+     * Pause a schedule. Occurrences that fall due while it is paused are skipped.
+     * @param {string} scheduleId - ID of the schedule
+     * @returns {Object} The updated schedule
+     */
+    function pauseSchedule(scheduleId) {
+        const schedule = loadSchedule(scheduleId);
+        if (schedule.status !== 'active') {
+            throw new Error(`Schedule ${scheduleId} is ${schedule.status}`);
+        }
+
+        schedule.status = 'paused';
+        schedule.pausedAt = new Date().toISOString();
+        schedule.updatedAt = schedule.pausedAt;
+        saveSchedule(schedule);
+
+        return schedule;
+    }
+
+    /**
+     * Resume a paused schedule, recording the occurrences missed while it was paused as skipped
+     * @param {string} scheduleId - ID of the schedule
+     * @returns {Object} The updated schedule
+     */
+    function resumeSchedule(scheduleId) {
+        const schedule = loadSchedule(scheduleId);
+        if (schedule.status !== 'paused') {
+            throw new Error(`Schedule ${scheduleId} is ${schedule.status}`);
+        }
+
+        const now = new Date();
+        let occurrence = nextOccurrence(schedule, schedule.lastOccurrence);
+        while (occurrence && occurrence <= now) {
+            if (!loadScheduleRun(schedule.id, occurrence)) {
+                saveScheduleRun({
+                    scheduleId: schedule.id,
+                    occurrence: occurrence.toISOString(),
+                    status: 'skipped',
+                    reason: 'Schedule was paused'
+                });
+            }
+            schedule.lastOccurrence = occurrence.toISOString();
+            occurrence = nextOccurrence(schedule, schedule.lastOccurrence);
+        }
+
+        schedule.status = 'active';
+        schedule.pausedAt = null;
+        schedule.updatedAt = now.toISOString();
+        saveSchedule(schedule);
+
+        return schedule;
+    }
+
+    /**
+     * Skip an upcoming occurrence of a schedule
+     * @param {string} scheduleId - ID of the schedule
+     * @param {Date} occurrence - The occurrence to skip
+     * @param {string} reason - Why the occurrence is skipped
+     * @returns {Object} The skipped run
+     */
+    function skipScheduleOccurrence(scheduleId, occurrence, reason) {
+        const schedule = loadSchedule(scheduleId);
+        const date = new Date(occurrence);
+
+        const expected = nextOccurrence(schedule, new Date(date.getTime() - 1).toISOString());
+        if (!expected || expected.getTime() !== date.getTime()) {
+            throw new Error(`${occurrence} is not an occurrence of schedule ${scheduleId}`);
+        }
+        if (loadScheduleRun(scheduleId, date)) {
+            throw new Error(`Occurrence ${date.toISOString()} of schedule ${scheduleId} has already run`);
+        }
+
+        const run = {
+            scheduleId: scheduleId,
+            occurrence: date.toISOString(),
+            status: 'skipped',
+            reason: reason || null
+        };
+        saveScheduleRun(run);
+
+        return run;
+    }
+
+    /**
+     * List the past runs and upcoming occurrences of a schedule
+     * @param {string} scheduleId - ID of the schedule
+     * @param {number} upcoming - Number of upcoming occurrences to list
+     * @returns {Object} The schedule with its past runs and upcoming occurrences
+     */
+    function getScheduleRuns(scheduleId, upcoming = 5) {
+        const schedule = loadSchedule(scheduleId);
+
+        const past = store.list(`schedule-runs/${scheduleId}`)
+            .map(occurrence => store.read(`schedule-runs/${scheduleId}/${occurrence}`))
+            .sort((a, b) => new Date(a.occurrence) - new Date(b.occurrence));
+
+        const next = [];
+        let occurrence = nextOccurrence(schedule, schedule.lastOccurrence);
+        while (occurrence && next.length < upcoming && schedule.status !== 'ended') {
+            const run = loadScheduleRun(scheduleId, occurrence);
+            if (!run || run.status !== 'skipped') {
+                next.push(occurrence.toISOString());
+            }
+            occurrence = nextOccurrence(schedule, occurrence.toISOString());
+        }
+
+        return { schedule, past, upcoming: next };
+    }
+
+    /**
+     * List schedules
+     * @param {string} status - Only return schedules with this status ("active", "paused" or "ended")
+     * @returns {Array} The schedules
+     */
+    function listSchedules(status) {
+        return store.list('schedules')
+            .map(loadSchedule)
+            .filter(schedule => !status || schedule.status === status);
+    }
+
+    /**
+     * Pay one occurrence of a schedule, or pick up its distribution job where it stopped
+     * @param {Object} schedule - The stored schedule
+     * @param {Date} occurrence - The occurrence to pay
+     * @returns {Object} The run
+     */
+    async function runScheduleOccurrence(schedule, occurrence) {
+        let run = loadScheduleRun(schedule.id, occurrence);
+        if (run && ['completed', 'skipped'].includes(run.status)) {
+            return run;
+        }
+
+        // The last attempt died before its job was stored: return what it charged to the grant and start over
+        if (run && run.status === 'creating' && !store.read(`jobs/${run.jobId}`)) {
+            if (schedule.grantId) {
+                settleGrantAllocation(schedule.grantId, run.jobId, '0');
+            }
+            run = null;
+        }
+
+        if (!run || !run.jobId) {
+            // The run names its job before the job exists, so a crash in between cannot lead to a second job
+            run = {
+                scheduleId: schedule.id,
+                occurrence: occurrence.toISOString(),
+                status: 'creating',
+                jobId: crypto.randomUUID(),
+                startedAt: new Date().toISOString()
+            };
+            saveScheduleRun(run);
+
+            const beneficiaries = schedule.cohortId
+                ? resolveCohortRecipients(schedule.cohortId, schedule.rule).beneficiaries
+                : schedule.recipients.map(recipient => typeof recipient === 'string'
+                    ? { publicKey: recipient, amount: schedule.amount }
+                    : { publicKey: recipient.publicKey, amount: recipient.amount || schedule.amount });
+
+            await createDistributionJob(resolveAccountId(schedule.ngoKey), beneficiaries, schedule.asset, {
+                program: schedule.program,
+                tag: schedule.tag,
+                grantId: schedule.grantId,
+                jobId: run.jobId
+            });
+        }
+
+        if (run.status === 'creating') {
+            run.status = 'running';
+            saveScheduleRun(run);
+        }
+
+        const job = loadDistributionJob(run.jobId);
+        const summary = ['completed', 'completed_with_errors'].includes(job.status)
+            ? summarizeDistributionJob(job)
+            : await runDistributionJob(run.jobId, schedule.ngoKey);
+
+        run.status = 'completed';
+        run.jobStatus = summary.status;
+        run.counts = summary.counts;
+        run.finishedAt = new Date().toISOString();
+        saveScheduleRun(run);
+
+        return run;
+    }
+
+    /**
+     * Find the first occurrence of a schedule after a given time
+     * @param {Object} schedule - The stored schedule
+     * @param {string} after - ISO time, or null for the first occurrence
+     * @returns {Date|null} The occurrence, or null once the schedule has ended
+     */
+    function nextOccurrence(schedule, after) {
+        const start = new Date(schedule.startDate);
+        const from = after ? new Date(after) : new Date(start.getTime() - 1);
+        let occurrence;
+
+        if (schedule.frequency === 'biweekly') {
+            const fortnight = 14 * 24 * 60 * 60 * 1000;
+            const periods = from < start ? 0 : Math.floor((from - start) / fortnight) + 1;
+            occurrence = new Date(start.getTime() + periods * fortnight);
+        } else if (schedule.frequency === 'monthly') {
+            // Pay on the start date's day of the month, or the last day of shorter months
+            for (let month = 0; !occurrence || occurrence <= from; month++) {
+                const year = start.getUTCFullYear();
+                const monthIndex = start.getUTCMonth() + month;
+                const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+                occurrence = new Date(Date.UTC(
+                    year,
+                    monthIndex,
+                    Math.min(start.getUTCDate(), lastDay),
+                    start.getUTCHours(),
+                    start.getUTCMinutes()
+                ));
+            }
+        } else {
+            occurrence = nextCronOccurrence(parseCron(schedule.cron), from < start ? new Date(start.getTime() - 1) : from);
+        }
+
+        if (!occurrence || (schedule.endDate && occurrence > new Date(schedule.endDate))) {
+            return null;
+        }
+        return occurrence;
+    }
+
+    /**
+     * Parse a five-field cron expression. Fields accept *, numbers, lists, ranges and steps.
+     * @param {string} expression - Cron expression (minute hour day-of-month month day-of-week)
+     * @returns {Object} The allowed values of each field
+     */
+    function parseCron(expression) {
+        const fields = (expression || '').trim().split(/\s+/);
+        if (fields.length !== 5) {
+            throw new Error('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+        }
+
+        const ranges = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 6]];
+        const [minutes, hours, days, months, weekdays] = fields.map((field, index) => {
+            const [min, max] = ranges[index];
+            const values = new Set();
+
+            for (const part of field.split(',')) {
+                const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+                if (!match) {
+                    throw new Error(`Invalid cron field ${field}`);
+                }
+
+                const low = match[1] === '*' ? min : Number(match[2]);
+                const high = match[1] === '*' ? max : Number(match[3] !== undefined ? match[3] : (match[4] ? max : match[2]));
+                const step = Number(match[4] || 1);
+                if (low < min || high > max || low > high || step < 1) {
+                    throw new Error(`Invalid cron field ${field}`);
+                }
+
+                for (let value = low; value <= high; value += step) {
+                    values.add(value);
+                }
+            }
+
+            return values;
+        });
+
+        return {
+            minutes, hours, days, months, weekdays,
+            // Standard cron matches either day field when both are restricted
+            anyDay: fields[2] === '*' || fields[4] === '*'
+        };
+    }
+
+    function nextCronOccurrence(cron, after) {
+        const date = new Date(after.getTime());
+        date.setUTCSeconds(0, 0);
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+        // Give up on expressions that never match, such as February 30th
+        const limit = new Date(date.getTime() + 5 * 366 * 24 * 60 * 60 * 1000);
+
+        while (date < limit) {
+            const dayMatches = cron.anyDay
+                ? cron.days.has(date.getUTCDate()) && cron.weekdays.has(date.getUTCDay())
+                : cron.days.has(date.getUTCDate()) || cron.weekdays.has(date.getUTCDay());
+
+            if (!cron.months.has(date.getUTCMonth() + 1) || !dayMatches) {
+                date.setUTCDate(date.getUTCDate() + 1);
+                date.setUTCHours(0, 0);
+            } else if (!cron.hours.has(date.getUTCHours())) {
+                date.setUTCHours(date.getUTCHours() + 1, 0);
+            } else if (!cron.minutes.has(date.getUTCMinutes())) {
+                date.setUTCMinutes(date.getUTCMinutes() + 1);
+            } else {
+                return date;
+            }
+        }
+
+        return null;
+    }
+
+    function loadSchedule(scheduleId) {
+        const schedule = store.read(`schedules/${scheduleId}`);
+        if (!schedule) {
+            throw new Error(`Schedule ${scheduleId} not found`);
+        }
+        return schedule;
+    }
+
+    function saveSchedule(schedule) {
+        store.write(`schedules/${schedule.id}`, schedule);
+    }
+
+    function loadScheduleRun(scheduleId, occurrence) {
+        return store.read(`schedule-runs/${scheduleId}/${new Date(occurrence).getTime()}`);
+    }
+
+    function saveScheduleRun(run) {
+        store.write(`schedule-runs/${run.scheduleId}/${new Date(run.occurrence).getTime()}`, run);
+    }
+
+    // ------------------------------------------
+    // 9. EVENTS AND WEBHOOKS
+    // ------------------------------------------
+
+    // Event types that webhooks can subscribe to
+    const EVENT_TYPES = [
+        'payment.received',
+        'claimable_balance.claimed',
+        'escrow.signature_added',
+        'escrow.threshold_met',
+        'distribution_job.finished'
+    ];
+
+    // Delivery attempts before a webhook delivery is given up, and the first retry delay
+    const WEBHOOK_MAX_ATTEMPTS = 8;
+    const WEBHOOK_RETRY_DELAY = options.webhookRetryDelay || 10 * 1000;
+
+    /**
+     * Register a webhook to receive toolkit events. Deliveries are signed with an
+     * HMAC-SHA256 of "<timestamp>.<body>" under the webhook secret, sent in the
+     * X-NGO-Signature header as "t=<timestamp>,v1=<hex signature>".
+     * @param {Object} details - Webhook details
+     * @param {string} details.url - URL the events are POSTed to
+     * @param {Array} details.events - Event types to deliver, all of them by default
+     * @param {string} details.description - What the webhook is for
+     * @returns {Object} The webhook, including its signing secret
+     */
+    function registerWebhook({ url, events, description } = {}) {
+        try {
+            const protocol = new URL(url).protocol;
+            if (!['http:', 'https:'].includes(protocol)) {
+                throw new Error();
+            }
+        } catch (error) {
+            throw new Error(`Invalid webhook URL ${url}`);
+        }
+
+        const subscribed = events && events.length > 0 ? events : EVENT_TYPES;
+        const unknown = subscribed.filter(type => !EVENT_TYPES.includes(type));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown event types ${unknown.join(', ')}`);
+        }
+
+        const secret = crypto.randomBytes(32).toString('hex');
+        const webhook = {
+            id: crypto.randomUUID(),
+            url: url,
+            events: subscribed,
+            description: description || null,
+            encryptedSecret: encryptSecret(secret),
+            active: true,
+            createdAt: new Date().toISOString()
+        };
+        store.write(`webhooks/${webhook.id}`, webhook);
+
+        const { encryptedSecret, ...details } = webhook;
+        return { ...details, secret };
+    }
+
+    /**
+     * List registered webhooks, without their secrets
+     * @returns {Array} The webhooks
+     */
+    function listWebhooks() {
+        return store.list('webhooks').map(id => {
+            const { encryptedSecret, ...details } = store.read(`webhooks/${id}`);
+            return details;
+        });
+    }
+
+    /**
+     * Stop delivering events to a webhook
+     * @param {string} webhookId - ID of the webhook
+     * @returns {Object} The deactivated webhook
+     */
+    function deactivateWebhook(webhookId) {
+        const webhook = store.read(`webhooks/${webhookId}`);
+        if (!webhook) {
+            throw new Error(`Webhook ${webhookId} not found`);
+        }
+
+        webhook.active = false;
+        webhook.deactivatedAt = new Date().toISOString();
+        store.write(`webhooks/${webhookId}`, webhook);
+
+        const { encryptedSecret, ...details } = webhook;
+        return details;
+    }
+
+    /**
+     * Emit a toolkit event, queueing a delivery for every webhook subscribed to it.
+     * Events with an ID that was already emitted (such as a streamed operation seen
+     * twice) are ignored.
+     * @param {string} type - One of the EVENT_TYPES
+     * @param {Object} data - Event payload
+     * @param {string} id - Stable event ID, random by default
+     * @returns {Object|null} The event, or null if it was a duplicate
+     */
+    function emitEvent(type, data, id = crypto.randomUUID()) {
+        try {
+            if (store.read(`events/${id}`)) {
+                return null;
+            }
+
+            const event = { id, type, createdAt: new Date().toISOString(), data };
+            store.write(`events/${id}`, event);
+
+            for (const webhook of store.list('webhooks').map(webhookId => store.read(`webhooks/${webhookId}`))) {
+                if (webhook.active && webhook.events.includes(type)) {
+                    store.write(`webhook-deliveries/${webhook.id}-${id}`, {
+                        id: `${webhook.id}-${id}`,
+                        webhookId: webhook.id,
+                        event: event,
+                        status: 'pending',
+                        attempts: 0,
+                        nextAttemptAt: event.createdAt
+                    });
+                }
+            }
+
+            // Deliver straight away, failures are retried by the delivery loop
+            deliverPendingWebhooks().catch(error => {
+                logger.error('Error delivering webhooks:', error);
+            });
+
+            eventListeners
+                .filter(subscription => subscription.type === type)
+                .forEach(subscription => {
+                    Promise.resolve()
+                        .then(() => subscription.listener(event))
+                        .catch(error => logger.error(`Error handling ${type} event:`, error));
+                });
+
+            return event;
+        } catch (error) {
+            // A failing event must never break the action that emitted it
+            logger.error(`Error emitting ${type} event:`, error);
+            return null;
+        }
+    }
+
+    // In-process listeners, see subscribeToEvents
+    const eventListeners = [];
+
+    /**
+     * Listen to toolkit events within this process, alongside the webhooks
+     * @param {string} type - One of the EVENT_TYPES
+     * @param {Function} listener - Called with each event, may be async
+     * @returns {Function} Removes the listener
+     */
+    function subscribeToEvents(type, listener) {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown event type ${type}`);
+        }
+
+        const subscription = { type, listener };
+        eventListeners.push(subscription);
+        return () => eventListeners.splice(eventListeners.indexOf(subscription), 1);
+    }
+
+    // Whether a delivery pass is in progress
+    let deliveringWebhooks = false;
+
+    /**
+     * Deliver webhook deliveries that are due. Failed deliveries are retried with
+     * exponential backoff, and every attempt is written to the delivery log.
+     * @returns {Array} The deliveries attempted in this pass
+     */
+    async function deliverPendingWebhooks() {
+        if (deliveringWebhooks) {
+            return [];
+        }
+
+        deliveringWebhooks = true;
+        try {
+            const now = new Date();
+            const due = store.list('webhook-deliveries')
+                .map(id => store.read(`webhook-deliveries/${id}`))
+                .filter(delivery => delivery.status === 'pending' && new Date(delivery.nextAttemptAt) <= now);
+
+            for (const delivery of due) {
+                await attemptWebhookDelivery(delivery);
+            }
+
+            return due;
+        } finally {
+            deliveringWebhooks = false;
+        }
+    }
+
+    /**
+     * List webhook delivery attempts from the delivery log
+     * @param {Object} filters - Filters to apply (webhookId, eventId, status)
+     * @returns {Array} The attempts, oldest first
+     */
+    function listWebhookDeliveries(filters = {}) {
+        return store.readLines('webhook-delivery-log').filter(attempt =>
+            (!filters.webhookId || attempt.webhookId === filters.webhookId) &&
+            (!filters.eventId || attempt.eventId === filters.eventId) &&
+            (!filters.status || attempt.status === filters.status)
+        );
+    }
+
+    /**
+     * Stream the operations of every account the toolkit manages (NGO and beneficiary
+     * keys in the vault, registry beneficiaries and active escrows) and emit events
+     * for payments received and claimable balances claimed. Stream positions are kept
+     * in the data directory so a restart picks up where it left off.
+     * @param {Object} options - Stream options
+     * @param {Object} options.horizon - Horizon server to stream from, the toolkit's server by default
+     * @param {number} options.refreshInterval - Milliseconds between checks for new accounts to stream
+     * @returns {Function} Closes every stream
+     */
+    function startEventStream(options = {}) {
+        const horizon = options.horizon || server;
+        const streams = new Map();
+
+        const refresh = () => {
+            for (const accountId of listManagedAccounts()) {
+                if (streams.has(accountId)) {
+                    continue;
+                }
+
+                const cursor = store.read(`stream-cursors/${accountId}`, { cursor: 'now' }).cursor;
+                streams.set(accountId, horizon.operations()
+                    .forAccount(accountId)
+                    .cursor(cursor)
+                    .stream({
+                        onmessage: operation => {
+                            emitOperationEvents(accountId, operation);
+                            store.write(`stream-cursors/${accountId}`, { cursor: operation.paging_token });
+                        },
+                        onerror: error => {
+                            logger.error(`Error streaming operations of ${accountId}:`, error && error.message);
+                        }
+                    }));
+            }
+        };
+
+        refresh();
+        const timer = setInterval(refresh, options.refreshInterval || 60 * 1000);
+
+        return () => {
+            clearInterval(timer);
+            streams.forEach(close => close());
+            streams.clear();
+        };
+    }
+
+    /**
+     * Deliver webhooks at a fixed interval, so failed deliveries are retried
+     * @param {number} interval - Milliseconds between delivery passes
+     * @returns {Function} Stops the delivery loop
+     */
+    function startWebhookDelivery(interval = 5 * 1000) {
+        const timer = setInterval(() => {
+            deliverPendingWebhooks().catch(error => {
+                logger.error('Error delivering webhooks:', error);
+            });
+        }, interval);
+        return () => clearInterval(timer);
+    }
+
+    /**
+     * Turn a streamed Horizon operation into toolkit events
+     * @param {string} accountId - The managed account whose stream saw the operation
+     * @param {Object} operation - Horizon operation record
+     */
+    function emitOperationEvents(accountId, operation) {
+        const base = {
+            account: accountId,
+            operationId: operation.id,
+            txHash: operation.transaction_hash,
+            createdAt: operation.created_at
+        };
+
+        const received = ['payment', 'path_payment_strict_receive', 'path_payment_strict_send'].includes(operation.type) &&
+            operation.to === accountId;
+
+        if (received) {
+            emitEvent('payment.received', {
+                ...base,
+                from: operation.from,
+                amount: operation.amount,
+                asset: operation.asset_type === 'native' ? 'XLM' : { code: operation.asset_code, issuer: operation.asset_issuer }
+            }, `payment.received-${operation.id}`);
+        } else if (operation.type === 'create_account' && operation.account === accountId) {
+            emitEvent('payment.received', {
+                ...base,
+                from: operation.funder,
+                amount: operation.starting_balance,
+                asset: 'XLM'
+            }, `payment.received-${operation.id}`);
+        } else if (operation.type === 'claim_claimable_balance') {
+            emitEvent('claimable_balance.claimed', {
+                ...base,
+                balanceId: operation.balance_id,
+                claimant: operation.claimant
+            }, `claimable_balance.claimed-${operation.id}`);
+        }
+    }
+
+    async function attemptWebhookDelivery(delivery) {
+        const webhook = store.read(`webhooks/${delivery.webhookId}`);
+        if (!webhook || !webhook.active) {
+            delivery.status = 'cancelled';
+            store.write(`webhook-deliveries/${delivery.id}`, delivery);
+            return;
+        }
+
+        const body = JSON.stringify(delivery.event);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const signature = crypto.createHmac('sha256', decryptSecret(webhook.encryptedSecret))
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+
+        delivery.attempts++;
+        let statusCode = null;
+        let error = null;
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-NGO-Event': delivery.event.type,
+                    'X-NGO-Delivery': delivery.id,
+                    'X-NGO-Signature': `t=${timestamp},v1=${signature}`
+                },
+                body: body,
+                signal: AbortSignal.timeout(10 * 1000)
+            });
+            statusCode = response.status;
+            if (!response.ok) {
+                error = `Webhook responded with ${response.status}`;
+            }
+        } catch (fetchError) {
+            error = fetchError.message;
+        }
+
+        if (!error) {
+            delivery.status = 'delivered';
+            delivery.deliveredAt = new Date().toISOString();
+        } else if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+            delivery.status = 'failed';
+        } else {
+            const delay = WEBHOOK_RETRY_DELAY * 2 ** (delivery.attempts - 1);
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        }
+        delivery.lastError = error;
+        store.write(`webhook-deliveries/${delivery.id}`, delivery);
+
+        store.append('webhook-delivery-log', {
+            deliveryId: delivery.id,
+            webhookId: delivery.webhookId,
+            eventId: delivery.event.id,
+            eventType: delivery.event.type,
+            attempt: delivery.attempts,
+            statusCode: statusCode,
+            status: delivery.status,
+            error: error,
+            at: new Date().toISOString()
+        });
+    }
+
+    function listManagedAccounts() {
+        const accounts = new Set();
+
+        store.list('keys')
+            .map(id => store.read(`keys/${id}`))
+            .filter(entry => ['ngo', 'beneficiary'].includes(entry.role))
+            .forEach(entry => accounts.add(entry.accountId));
+        store.list('beneficiaries')
+            .map(id => store.read(`beneficiaries/${id}`))
+            .filter(beneficiary => beneficiary.status === 'active')
+            .forEach(beneficiary => accounts.add(beneficiary.publicKey));
+        store.list('escrows')
+            .map(id => store.read(`escrows/${id}`))
+            .filter(escrow => escrow.status === 'active')
+            .forEach(escrow => accounts.add(escrow.escrowPublicKey));
+
+        return [...accounts];
+    }
+
+    // ------------------------------------------
+    // 10. SMS AND USSD GATEWAY
+    // ------------------------------------------
+
+    // Wrong PIN entries before a beneficiary is locked out, and for how long
+    const PIN_MAX_ATTEMPTS = 3;
+    const PIN_LOCKOUT = 15 * 60 * 1000;
+
+    /**
+     * Create the local simulator provider. It keeps sent messages in an outbox in the
+     * data directory and speaks the common USSD callback format: the provider POSTs
+     * sessionId, phoneNumber and text (the inputs so far joined by "*"), and the reply
+     * starts with "CON " to keep the session open or "END " to close it.
+     *
+     * A provider is any object with:
+     * - sendSms(phone, message): send a text message
+     * - parseUssdRequest(req): turn a USSD callback into { sessionId, phone, inputs }
+     * - formatUssdResponse({ message, end }): turn a menu screen into the callback response body
+     * - verifyRequest(req): whether a callback really comes from the provider
+     * @returns {Object} The simulator provider
+     */
+    function createSimulatorProvider() {
+        return {
+            name: 'simulator',
+
+            async sendSms(phone, message) {
+                const sms = { id: crypto.randomUUID(), phone, message, sentAt: new Date().toISOString() };
+                store.append('sms-outbox', sms);
+                return sms;
+            },
+
+            parseUssdRequest(req) {
+                const { sessionId, phoneNumber, text } = req.body;
+                return {
+                    sessionId: sessionId,
+                    phone: phoneNumber,
+                    inputs: text ? text.split('*') : []
+                };
+            },
+
+            formatUssdResponse({ message, end }) {
+                return `${end ? 'END' : 'CON'} ${message}`;
+            },
+
+            verifyRequest(req) {
+                const token = process.env.NGO_GATEWAY_TOKEN;
+                const provided = req.get('x-gateway-token') || '';
+                return Boolean(token) && provided.length === token.length &&
+                    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(token));
+            },
+
+            /**
+             * Walk through a USSD menu as a feature phone would
+             * @param {string} phone - Phone number dialing in
+             * @param {Array} inputs - What the user types on each screen
+             * @returns {Array} The screens shown
+             */
+            async dial(phone, inputs = []) {
+                const sessionId = crypto.randomUUID();
+                const screens = [];
+                for (let step = 0; step <= inputs.length; step++) {
+                    const screen = await handleUssdSession({ sessionId, phone, inputs: inputs.slice(0, step) });
+                    screens.push(screen);
+                    if (screen.end) {
+                        break;
+                    }
+                }
+                return screens;
+            },
+
+            outbox() {
+                return store.readLines('sms-outbox');
+            }
+        };
+    }
+
+    // Gateway settings, see configureGateway
+    const gateway = {
+        provider: createSimulatorProvider(),
+        feeSourceKey: process.env.NGO_GATEWAY_FEE_KEY || null,
+        notifications: true
+    };
+
+    /**
+     * Configure the SMS/USSD gateway
+     * @param {Object} options - Gateway options
+     * @param {Object} options.provider - SMS/USSD provider, see createSimulatorProvider for the interface
+     * @param {string} options.feeSourceKey - Key vault ID or alias of the NGO paying the fees of claims made over USSD
+     * @param {boolean} options.notifications - Whether to text beneficiaries when distributions land
+     * @returns {Object} The gateway settings
+     */
+    function configureGateway(options = {}) {
+        if (options.provider) {
+            for (const method of ['sendSms', 'parseUssdRequest', 'formatUssdResponse', 'verifyRequest']) {
+                if (typeof options.provider[method] !== 'function') {
+                    throw new Error(`Gateway providers must implement ${method}`);
+                }
+            }
+            gateway.provider = options.provider;
+        }
+        if (options.feeSourceKey !== undefined) {
+            gateway.feeSourceKey = options.feeSourceKey;
+        }
+        if (options.notifications !== undefined) {
+            gateway.notifications = Boolean(options.notifications);
+        }
+
+        return gateway;
+    }
+
+    /**
+     * Set the USSD PIN of a registry beneficiary. Only a scrypt hash of the PIN is kept.
+     * @param {string} beneficiaryId - ID of the registry record
+     * @param {string} pin - 4 to 6 digits
+     * @returns {Object} The registry record, without the PIN hash
+     */
+    function setBeneficiaryPin(beneficiaryId, pin) {
+        if (!/^\d{4,6}$/.test(pin || '')) {
+            throw new Error('PIN must be 4 to 6 digits');
+        }
+
+        const beneficiary = getBeneficiary(beneficiaryId);
+        const salt = crypto.randomBytes(16);
+        beneficiary.pin = {
+            salt: salt.toString('base64'),
+            hash: crypto.scryptSync(pin, salt, 32).toString('base64'),
+            failedAttempts: 0,
+            lockedUntil: null,
+            updatedAt: new Date().toISOString()
+        };
+        beneficiary.updatedAt = beneficiary.pin.updatedAt;
+        store.write(`beneficiaries/${beneficiary.id}`, beneficiary);
+
+        return describeBeneficiary(beneficiary);
+    }
+
+    /**
+     * Answer a USSD callback from the gateway provider
+     * @param {Object} req - The provider's HTTP request
+     * @returns {string|null} The response for the provider, or null when the request
+     *                        does not come from the provider
+     */
+    async function answerUssdRequest(req) {
+        if (!gateway.provider.verifyRequest(req)) {
+            return null;
+        }
+
+        const session = gateway.provider.parseUssdRequest(req);
+        const screen = await handleUssdSession(session);
+        return gateway.provider.formatUssdResponse(screen);
+    }
+
+    /**
+     * Answer one step of a USSD session. The first input is always the PIN; the menu
+     * then offers the balance, recent payments and pending claimable balances.
+     * @param {Object} session - The USSD session
+     * @param {string} session.sessionId - Provider session ID
+     * @param {string} session.phone - Phone number dialing in
+     * @param {Array} session.inputs - What the user typed so far, one entry per screen
+     * @returns {Object} The screen to show: message and whether the session ends
+     */
+    async function handleUssdSession({ phone, inputs = [] }) {
+        const screen = (message, end = false) => ({ message, end });
+        const beneficiary = findBeneficiaryByPhone(phone);
+
+        if (!beneficiary || !beneficiary.pin) {
+            return screen('This number is not registered. Please contact your program officer.', true);
+        }
+
+        const [pin, choice, selection] = inputs;
+        if (pin === undefined) {
+            return screen('Welcome. Enter your PIN:');
+        }
+        if (!checkBeneficiaryPin(beneficiary, pin)) {
+            return screen('Wrong PIN, or too many attempts. Please try again later.', true);
+        }
+
+        try {
+            if (choice === undefined) {
+                return screen('1. Check balance\n2. Recent payments\n3. Claim pending funds');
+            }
+
+            if (choice === '1') {
+                const account = await server.loadAccount(beneficiary.publicKey);
+                const lines = account.balances.map(balance =>
+                    `${formatSmsAmount(balance.balance)} ${balance.asset_type === 'native' ? 'XLM' : balance.asset_code}`
+                );
+                return screen(`Your balance:\n${lines.join('\n')}`, true);
+            }
+
+            if (choice === '2') {
+                // Payments the beneficiary sent are skipped, so keep paging until three were received
+                const isReceived = payment => payment.to === beneficiary.publicKey || payment.account === beneficiary.publicKey;
+                let page = await server.payments().forAccount(beneficiary.publicKey).order('desc').limit(50).call();
+                const received = page.records.filter(isReceived);
+                while (received.length < 3 && page.records.length > 0) {
+                    page = await page.next();
+                    received.push(...page.records.filter(isReceived));
+                }
+                received.splice(3);
+                if (received.length === 0) {
+                    return screen('No payments yet.', true);
+                }
+                const lines = received.map(payment => `${payment.created_at.slice(0, 10)}: ${formatSmsAmount(payment.amount || payment.starting_balance)} ${payment.asset_code || 'XLM'}`);
+                return screen(`Recent payments:\n${lines.join('\n')}`, true);
+            }
+
+            if (choice === '3') {
+                const claimable = (await listClaimableBalances(beneficiary.publicKey)).filter(balance => balance.claimableNow);
+                if (claimable.length === 0) {
+                    return screen('You have no funds ready to claim.', true);
+                }
+
+                if (selection === undefined) {
+                    const lines = claimable.map((balance, index) =>
+                        `${index + 1}. ${formatSmsAmount(balance.amount)} ${balance.asset === 'XLM' ? 'XLM' : balance.asset.code}`
+                    );
+                    return screen(`Choose funds to claim:\n${lines.join('\n')}`);
+                }
+
+                const balance = claimable[Number(selection) - 1];
+                if (!balance) {
+                    return screen('Invalid choice.', true);
+                }
+                if (!beneficiary.keyId) {
+                    return screen('Your account is not managed by the program. Please claim with your wallet.', true);
+                }
+
+                await claimClaimableBalance(beneficiary.keyId, balance.balanceId, {
+                    feeSourceKey: gateway.feeSourceKey || undefined
+                });
+                return screen(`You claimed ${formatSmsAmount(balance.amount)} ${balance.asset === 'XLM' ? 'XLM' : balance.asset.code}.`, true);
+            }
+
+            return screen('Invalid choice.', true);
+        } catch (error) {
+            logger.error('Error handling USSD session:', error);
+            return screen('Service unavailable. Please try again later.', true);
+        }
+    }
+
+    /**
+     * Text every registry beneficiary paid by a distribution job
+     * @param {string} jobId - ID of the distribution job
+     * @returns {Array} The messages sent
+     */
+    async function notifyDistributionRecipients(jobId) {
+        const job = loadDistributionJob(jobId);
+        const asset = job.asset === 'XLM' ? 'XLM' : job.asset.code;
+        const beneficiaries = listBeneficiaries({ status: 'active' });
+        const sent = [];
+
+        for (const recipient of job.recipients.filter(candidate => candidate.status === 'paid')) {
+            // A job resumed after finishing must not text anyone twice
+            const marker = `sms-notifications/${job.id}-${recipient.index}`;
+            const beneficiary = beneficiaries.find(candidate => candidate.publicKey === recipient.publicKey);
+            if (!beneficiary || !beneficiary.phone || store.read(marker)) {
+                continue;
+            }
+
+            try {
+                sent.push(await gateway.provider.sendSms(
+                    beneficiary.phone,
+                    `You have received ${formatSmsAmount(recipient.amount)} ${asset}. Dial in to check your balance.`
+                ));
+                store.write(marker, { sentAt: new Date().toISOString() });
+            } catch (error) {
+                logger.error(`Error texting ${beneficiary.id}:`, error);
+            }
+        }
+
+        return sent;
+    }
+
+    function findBeneficiaryByPhone(phone) {
+        const { phone: normalized } = normalizeBeneficiary({ phone });
+        return normalized
+            ? listBeneficiaries({ status: 'active' }).find(beneficiary => beneficiary.phone === normalized)
+            : null;
+    }
+
+    function checkBeneficiaryPin(beneficiary, pin) {
+        const state = beneficiary.pin;
+        if (state.lockedUntil && new Date(state.lockedUntil) > new Date()) {
+            return false;
+        }
+
+        const hash = crypto.scryptSync(String(pin), Buffer.from(state.salt, 'base64'), 32);
+        const valid = crypto.timingSafeEqual(hash, Buffer.from(state.hash, 'base64'));
+
+        state.failedAttempts = valid ? 0 : state.failedAttempts + 1;
+        state.lockedUntil = state.failedAttempts >= PIN_MAX_ATTEMPTS
+            ? new Date(Date.now() + PIN_LOCKOUT).toISOString()
+            : null;
+        if (state.lockedUntil) {
+            state.failedAttempts = 0;
+        }
+        store.write(`beneficiaries/${beneficiary.id}`, beneficiary);
+
+        return valid;
+    }
+
+    function formatSmsAmount(amount) {
+        return parseFloat(amount).toString();
+    }
+
+    // Text beneficiaries when a distribution lands
+    subscribeToEvents('distribution_job.finished', event => {
+        if (gateway.notifications) {
+            return notifyDistributionRecipients(event.data.jobId);
+        }
+    });
+
+    // ------------------------------------------
+    // 11. ANCHOR CASH-OUT
+    // ------------------------------------------
+
+    /**
+     * Discover an anchor from its stellar.toml (SEP-1)
+     * @param {string} domain - Home domain of the anchor
+     * @param {Object} options - Discovery options
+     * @param {boolean} options.allowHttp - Fetch over plain HTTP, for local test anchors only
+     * @returns {Object} The anchor's endpoints, signing key and currencies
+     */
+    async function discoverAnchor(domain, options = {}) {
+        try {
+            const toml = await StellarSdk.StellarToml.Resolver.resolve(domain, { allowHttp: Boolean(options.allowHttp) });
+
+            if (toml.NETWORK_PASSPHRASE && toml.NETWORK_PASSPHRASE !== networkPassphrase) {
+                throw new Error(`Anchor ${domain} runs on "${toml.NETWORK_PASSPHRASE}", not "${networkPassphrase}"`);
+            }
+            if (!toml.WEB_AUTH_ENDPOINT || !toml.SIGNING_KEY) {
+                throw new Error(`Anchor ${domain} does not support SEP-10 web authentication`);
+            }
+
+            const anchor = {
+                domain: domain,
+                allowHttp: Boolean(options.allowHttp),
+                signingKey: toml.SIGNING_KEY,
+                webAuthEndpoint: toml.WEB_AUTH_ENDPOINT,
+                transferServer: toml.TRANSFER_SERVER || null,
+                transferServerSep24: toml.TRANSFER_SERVER_SEP0024 || null,
+                currencies: (toml.CURRENCIES || []).map(currency => ({ code: currency.code, issuer: currency.issuer })),
+                discoveredAt: new Date().toISOString()
+            };
+            store.write(`anchors/${encodeURIComponent(domain)}`, anchor);
+
+            return anchor;
+        } catch (error) {
+            logger.error('Error discovering anchor:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List the anchors discovered so far
+     * @returns {Array} The anchors
+     */
+    function listAnchors() {
+        return store.list('anchors').map(name => store.read(`anchors/${name}`));
+    }
+
+    /**
+     * Authenticate a beneficiary account with an anchor (SEP-10). The challenge is
+     * checked against the anchor's signing key before it is signed, and the session
+     * token is kept encrypted until it expires.
+     * @param {string} domain - Home domain of a discovered anchor
+     * @param {string} accountKey - Key vault ID or alias (or secret key) of the account
+     * @returns {Object} The authenticated account and when the session expires
+     */
+    async function authenticateWithAnchor(domain, accountKey) {
+        const anchor = loadAnchor(domain);
+        const keypair = resolveKeypair(accountKey);
+        const accountId = resolveAccountId(accountKey);
+
+        try {
+            const challenge = await anchorRequest(`${anchor.webAuthEndpoint}?account=${encodeURIComponent(accountId)}`);
+
+            // Throws unless the challenge was built by the anchor for this account
+            StellarSdk.WebAuth.readChallengeTx(
+                challenge.transaction,
+                anchor.signingKey,
+                networkPassphrase,
+                domain,
+                new URL(anchor.webAuthEndpoint).host
+            );
+
+            const transaction = new StellarSdk.Transaction(challenge.transaction, networkPassphrase);
+            transaction.sign(keypair);
+
+            const { token } = await anchorRequest(anchor.webAuthEndpoint, {
+                method: 'POST',
+                body: { transaction: transaction.toXDR() }
+            });
+
+            const claims = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+            const session = {
+                domain: domain,
+                account: accountId,
+                encryptedToken: encryptSecret(token),
+                expiresAt: new Date(claims.exp * 1000).toISOString()
+            };
+            store.write(`anchor-sessions/${encodeURIComponent(domain)}/${accountId}`, session);
+
+            return { domain, account: accountId, expiresAt: session.expiresAt };
+        } catch (error) {
+            logger.error('Error authenticating with anchor:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start a withdrawal to local cash with an anchor. SEP-24 withdrawals return an
+     * interactive URL where the beneficiary (or a field agent with them) fills in the
+     * anchor's details; SEP-6 withdrawals are ready to pay straight away.
+     * @param {string} domain - Home domain of a discovered anchor
+     * @param {string} beneficiaryKey - Key vault ID or alias of the withdrawing beneficiary
+     * @param {Object} details - Withdrawal details
+     * @param {string} details.assetCode - Code of the asset to withdraw, or "native" for XLM
+     * @param {string} details.amount - Amount to withdraw
+     * @param {string} details.protocol - "sep24" (interactive, the default) or "sep6"
+     * @param {string} details.type - Withdrawal method for SEP-6, "cash" by default
+     * @returns {Object} The stored withdrawal
+     */
+    async function startAnchorWithdrawal(domain, beneficiaryKey, { assetCode, amount, protocol = 'sep24', type = 'cash' } = {}) {
+        const anchor = loadAnchor(domain);
+        const accountId = resolveAccountId(beneficiaryKey);
+
+        if (!['sep24', 'sep6'].includes(protocol)) {
+            throw new Error('Protocol must be "sep24" or "sep6"');
+        }
+        const transferServer = protocol === 'sep24' ? anchor.transferServerSep24 : anchor.transferServer;
+        if (!transferServer) {
+            throw new Error(`Anchor ${domain} does not support ${protocol.toUpperCase()}`);
+        }
+        resolveAnchorAsset(anchor, assetCode);
+
+        try {
+            const token = await getAnchorToken(domain, beneficiaryKey);
+
+            const withdrawal = {
+                id: crypto.randomUUID(),
+                domain: domain,
+                protocol: protocol,
+                account: accountId,
+                beneficiaryKey: findVaultKey(beneficiaryKey).id,
+                assetCode: assetCode,
+                amount: amount ? amount.toString() : null,
+                status: null,
+                anchorTransactionId: null,
+                interactiveUrl: null,
+                payment: null,
+                createdAt: new Date().toISOString()
+            };
+
+            if (protocol === 'sep24') {
+                const response = await anchorRequest(`${transferServer}/transactions/withdraw/interactive`, {
+                    method: 'POST',
+                    token: token,
+                    body: { asset_code: assetCode, account: accountId, amount: withdrawal.amount || undefined }
+                });
+                withdrawal.anchorTransactionId = response.id;
+                withdrawal.interactiveUrl = response.url;
+                withdrawal.status = 'incomplete';
+            } else {
+                const query = new URLSearchParams({ asset_code: assetCode, type: type, account: accountId });
+                if (withdrawal.amount) {
+                    query.set('amount', withdrawal.amount);
+                }
+                const response = await anchorRequest(`${transferServer}/withdraw?${query}`, { token });
+                withdrawal.anchorTransactionId = response.id;
+                withdrawal.status = 'pending_user_transfer_start';
+                withdrawal.instructions = {
+                    account: response.account_id,
+                    memoType: response.memo_type,
+                    memo: response.memo
+                };
+            }
+
+            store.write(`withdrawals/${withdrawal.id}`, withdrawal);
+            return withdrawal;
+        } catch (error) {
+            logger.error('Error starting anchor withdrawal:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a withdrawal with its latest status from the anchor
+     * @param {string} withdrawalId - ID of the withdrawal
+     * @returns {Object} The withdrawal
+     */
+    async function refreshAnchorWithdrawal(withdrawalId) {
+        const withdrawal = loadWithdrawal(withdrawalId);
+        const anchor = loadAnchor(withdrawal.domain);
+        const transferServer = withdrawal.protocol === 'sep24' ? anchor.transferServerSep24 : anchor.transferServer;
+
+        try {
+            const token = await getAnchorToken(withdrawal.domain, withdrawal.beneficiaryKey);
+            const { transaction } = await anchorRequest(
+                `${transferServer}/transaction?id=${encodeURIComponent(withdrawal.anchorTransactionId)}`,
+                { token }
+            );
+
+            withdrawal.status = transaction.status;
+            withdrawal.amount = transaction.amount_in || withdrawal.amount;
+            withdrawal.amountOut = transaction.amount_out || null;
+            if (transaction.withdraw_anchor_account) {
+                withdrawal.instructions = {
+                    account: transaction.withdraw_anchor_account,
+                    memoType: transaction.withdraw_memo_type,
+                    memo: transaction.withdraw_memo
+                };
+            }
+            withdrawal.updatedAt = new Date().toISOString();
+            store.write(`withdrawals/${withdrawal.id}`, withdrawal);
+
+            return withdrawal;
+        } catch (error) {
+            logger.error('Error refreshing anchor withdrawal:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send the beneficiary's payment to the anchor once it is waiting for it
+     * (status pending_user_transfer_start), with the memo the anchor asked for
+     * @param {string} withdrawalId - ID of the withdrawal
+     * @param {Object} options - Payment options
+     * @param {string} options.feeSourceKey - Key vault ID or alias of an NGO paying the fee with a fee bump
+     * @returns {Object} The withdrawal with its payment
+     */
+    async function sendAnchorWithdrawalPayment(withdrawalId, options = {}) {
+        if (loadWithdrawal(withdrawalId).payment) {
+            throw new Error(`Withdrawal ${withdrawalId} has already been paid`);
+        }
+
+        const withdrawal = await refreshAnchorWithdrawal(withdrawalId);
+        if (withdrawal.status !== 'pending_user_transfer_start') {
+            throw new Error(`Anchor is not waiting for a payment, withdrawal ${withdrawalId} is ${withdrawal.status}`);
+        }
+        if (!withdrawal.amount) {
+            throw new Error(`The anchor did not confirm an amount for withdrawal ${withdrawalId}`);
+        }
+
+        const anchor = loadAnchor(withdrawal.domain);
+        const keypair = resolveKeypair(withdrawal.beneficiaryKey);
+        const { account, memoType, memo } = withdrawal.instructions;
+
+        try {
+            const beneficiaryAccount = await server.loadAccount(withdrawal.account);
+
+            const transaction = new StellarSdk.TransactionBuilder(beneficiaryAccount, {
+                fee: StellarSdk.BASE_FEE,
+                networkPassphrase: networkPassphrase,
+                memo: toAnchorMemo(memoType, memo)
+            })
+            .addOperation(StellarSdk.Operation.payment({
+                destination: account,
+                asset: resolveAnchorAsset(anchor, withdrawal.assetCode),
+                amount: withdrawal.amount
+            }))
+            .setTimeout(30)
+            .build();
+
+            transaction.sign(keypair);
+
+            const result = options.feeSourceKey
+                ? await submitFeeBumpTransaction(options.feeSourceKey, transaction.toXDR(), { type: 'anchor_withdrawal' })
+                : await submitTransaction(transaction, { type: 'anchor_withdrawal' });
+
+            withdrawal.payment = { hash: result.hash, paidAt: new Date().toISOString() };
+            store.write(`withdrawals/${withdrawal.id}`, withdrawal);
+
+            return withdrawal;
+        } catch (error) {
+            logger.error('Error paying anchor withdrawal:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List withdrawals as last seen, without asking the anchors
+     * @param {Object} filters - Filters to apply (domain, account, status)
+     * @returns {Array} The withdrawals
+     */
+    function listAnchorWithdrawals(filters = {}) {
+        return store.list('withdrawals')
+            .map(loadWithdrawal)
+            .filter(withdrawal =>
+                (!filters.domain || withdrawal.domain === filters.domain) &&
+                (!filters.account || withdrawal.account === filters.account) &&
+                (!filters.status || withdrawal.status === filters.status)
+            );
+    }
+
+    /**
+     * Make a JSON request to an anchor
+     * @param {string} url - Endpoint URL
+     * @param {Object} options - Request options (method, token, body)
+     * @returns {Object} The parsed response
+     */
+    async function anchorRequest(url, { method = 'GET', token, body } = {}) {
+        const headers = { Accept: 'application/json' };
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(url, {
+            method: method,
+            headers: headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(30 * 1000)
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Anchor responded with ${response.status}: ${data.error || data.type || response.statusText}`);
+        }
+        return data;
+    }
+
+    async function getAnchorToken(domain, accountKey) {
+        const accountId = resolveAccountId(accountKey);
+        let session = store.read(`anchor-sessions/${encodeURIComponent(domain)}/${accountId}`);
+
+        // Renew sessions that are about to expire
+        if (!session || new Date(session.expiresAt) <= new Date(Date.now() + 60 * 1000)) {
+            await authenticateWithAnchor(domain, accountKey);
+            session = store.read(`anchor-sessions/${encodeURIComponent(domain)}/${accountId}`);
+        }
+
+        return decryptSecret(session.encryptedToken);
+    }
+
+    function resolveAnchorAsset(anchor, assetCode) {
+        if (assetCode === 'native' || assetCode === 'XLM') {
+            return StellarSdk.Asset.native();
+        }
+
+        const currency = anchor.currencies.find(candidate => candidate.code === assetCode);
+        if (!currency) {
+            throw new Error(`Anchor ${anchor.domain} does not list ${assetCode}`);
+        }
+        return new StellarSdk.Asset(currency.code, currency.issuer);
+    }
+
+    function toAnchorMemo(memoType, memo) {
+        if (!memo) {
+            return StellarSdk.Memo.none();
+        }
+
+        switch (memoType) {
+            case 'id':
+                return StellarSdk.Memo.id(memo.toString());
+            case 'hash':
+                return StellarSdk.Memo.hash(Buffer.from(memo, 'base64'));
+            default:
+                return StellarSdk.Memo.text(memo);
+        }
+    }
+
+    function loadAnchor(domain) {
+        const anchor = store.read(`anchors/${encodeURIComponent(domain)}`);
+        if (!anchor) {
+            throw new Error(`Anchor ${domain} has not been discovered`);
+        }
+        return anchor;
+    }
+
+    function loadWithdrawal(withdrawalId) {
+        const withdrawal = store.read(`withdrawals/${withdrawalId}`);
+        if (!withdrawal) {
+            throw new Error(`Withdrawal ${withdrawalId} not found`);
+        }
+        return withdrawal;
+    }
+
+    // ------------------------------------------
+    // 12. GRANTS AND BUDGETS
+    // ------------------------------------------
+
+    /**
+     * Record a donor grant. Distributions, escrows and milestones charged to the grant
+     * allocate part of its budget, and are refused once the budget would be exceeded.
+     * @param {Object} details - Grant details
+     * @param {string} details.donor - Name of the donor
+     * @param {string} details.name - Name or reference of the grant
+     * @param {string} details.amount - Total budget of the grant
+     * @param {string|Object} details.asset - Asset the budget is in ("XLM" or { code, issuer })
+     * @param {Date} details.startDate - First day funds can be disbursed
+     * @param {Date} details.endDate - Last day funds can be disbursed
+     * @param {Array} details.programs - Programs the grant is restricted to, any program when empty
+     * @returns {Object} The stored grant
+     */
+    function createGrant(details = {}) {
+        if (!details.donor) {
+            throw new Error('A grant needs a donor');
+        }
+        if (!/^\d+(\.\d{1,7})?$/.test((details.amount || '').toString()) || toStroops(details.amount) <= 0n) {
+            throw new Error('Amount must be a positive number with at most 7 decimals');
+        }
+        if (!details.startDate || isNaN(new Date(details.startDate)) || !details.endDate || isNaN(new Date(details.endDate))) {
+            throw new Error('A grant needs a valid start and end date');
+        }
+        if (new Date(details.endDate) < new Date(details.startDate)) {
+            throw new Error('End date must be after the start date');
+        }
+
+        const grant = {
+            id: crypto.randomUUID(),
+            donor: details.donor,
+            name: details.name || null,
+            amount: details.amount.toString(),
+            asset: describeAsset(resolveAsset(details.asset)),
+            startDate: new Date(details.startDate).toISOString(),
+            endDate: new Date(details.endDate).toISOString(),
+            programs: details.programs || [],
+            allocations: [],
+            createdAt: new Date().toISOString()
+        };
+        store.write(`grants/${grant.id}`, grant);
+
+        return getGrant(grant.id);
+    }
+
+    /**
+     * Get a grant with its budget lines: what is committed per program and what is left
+     * @param {string} grantId - ID of the grant
+     * @returns {Object} The grant and its budget
+     */
+    function getGrant(grantId) {
+        const grant = loadGrant(grantId);
+        const committed = allocation => toStroops(allocation.amount) - toStroops(allocation.released);
+
+        const lines = {};
+        for (const allocation of grant.allocations) {
+            const program = allocation.program || 'unassigned';
+            lines[program] = (lines[program] || 0n) + committed(allocation);
+        }
+        const total = grant.allocations.reduce((sum, allocation) => sum + committed(allocation), 0n);
+        const now = new Date().toISOString();
+
+        return {
+            ...grant,
+            status: now < grant.startDate ? 'upcoming' : now > grant.endDate ? 'ended' : 'active',
+            committed: fromStroops(total),
+            remaining: fromStroops(toStroops(grant.amount) - total),
+            budgetLines: Object.entries(lines).map(([program, amount]) => ({ program, committed: fromStroops(amount) }))
+        };
+    }
+
+    /**
+     * List grants
+     * @param {Object} filters - Filters to apply (donor, program, status)
+     * @returns {Array} The matching grants
+     */
+    function listGrants(filters = {}) {
+        return store.list('grants')
+            .map(getGrant)
+            .filter(grant =>
+                (!filters.donor || grant.donor === filters.donor) &&
+                (!filters.program || grant.programs.length === 0 || grant.programs.includes(filters.program)) &&
+                (!filters.status || grant.status === filters.status)
+            );
+    }
+
+    /**
+     * Check whether a disbursement can be charged to a grant
+     * @param {string} grantId - ID of the grant
+     * @param {Object} spending - The disbursement
+     * @param {string} spending.amount - Amount charged to the grant
+     * @param {string|Object} spending.asset - Asset of the disbursement
+     * @param {string} spending.program - Program of the disbursement
+     * @returns {string|null} Why the grant cannot pay for it, or null when it can
+     */
+    function checkGrantBudget(grantId, { amount, asset, program }) {
+        const grant = getGrant(grantId);
+
+        if (grant.status !== 'active') {
+            return `Grant ${grantId} runs from ${grant.startDate} to ${grant.endDate}`;
+        }
+        if (!resolveAsset(asset).equals(resolveAsset(grant.asset))) {
+            return `Grant ${grantId} is in ${resolveAsset(grant.asset).getCode()}, not ${resolveAsset(asset).getCode()}`;
+        }
+        if (grant.programs.length > 0 && !grant.programs.includes(program)) {
+            return `Grant ${grantId} is restricted to the programs ${grant.programs.join(', ')}`;
+        }
+        if (toStroops(amount) > toStroops(grant.remaining)) {
+            return `Grant ${grantId} has ${grant.remaining} left, not enough for ${fromStroops(toStroops(amount))}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Charge a disbursement to a grant, refusing it when it exceeds the remaining budget
+     * @param {string} grantId - ID of the grant
+     * @param {Object} allocation - The disbursement
+     * @param {string} allocation.type - "distribution", "escrow" or "milestone"
+     * @param {string} allocation.reference - ID of the job, escrow or milestone
+     * @param {string} allocation.amount - Amount charged to the grant
+     * @param {string|Object} allocation.asset - Asset of the disbursement
+     * @param {string} allocation.program - Program of the disbursement
+     * @returns {Object} The allocation
+     */
+    function allocateGrantFunds(grantId, { type, reference, amount, asset, program }) {
+        const error = checkGrantBudget(grantId, { amount, asset, program });
+        if (error) {
+            throw new Error(error);
+        }
+
+        const grant = loadGrant(grantId);
+        const allocation = {
+            type: type,
+            reference: reference,
+            program: program || null,
+            amount: fromStroops(toStroops(amount)),
+            released: '0',
+            createdAt: new Date().toISOString()
+        };
+        grant.allocations.push(allocation);
+        store.write(`grants/${grantId}`, grant);
+
+        return allocation;
+    }
+
+    /**
+     * Settle an allocation once its final cost is known, returning what was not
+     * spent (quarantined recipients, refunds, expired milestones) to the budget
+     * @param {string} grantId - ID of the grant
+     * @param {string} reference - ID of the job, escrow or milestone
+     * @param {string} spent - What the disbursement ended up costing
+     */
+    function settleGrantAllocation(grantId, reference, spent) {
+        const grant = loadGrant(grantId);
+        const allocation = grant.allocations.find(entry => entry.reference === reference);
+        if (!allocation) {
+            return;
+        }
+
+        const unspent = toStroops(allocation.amount) - toStroops(spent);
+        allocation.released = fromStroops(unspent > 0n ? unspent : 0n);
+        allocation.settledAt = new Date().toISOString();
+        store.write(`grants/${grantId}`, grant);
+    }
+
+    /**
+     * Charge part of a settled allocation to the grant again, for disbursements
+     * that are retried after the allocation released them
+     * @param {string} grantId - ID of the grant
+     * @param {string} reference - ID of the job, escrow or milestone
+     * @param {Object} spending - The retried disbursement
+     * @param {string} spending.amount - Amount charged to the grant again
+     * @param {string|Object} spending.asset - Asset of the disbursement
+     * @param {string} spending.program - Program of the disbursement
+     */
+    function reopenGrantAllocation(grantId, reference, { amount, asset, program }) {
+        const grant = loadGrant(grantId);
+        const allocation = grant.allocations.find(entry => entry.reference === reference);
+        if (!allocation || !allocation.settledAt || toStroops(amount) === 0n) {
+            return;
+        }
+
+        const error = checkGrantBudget(grantId, { amount, asset, program });
+        if (error) {
+            throw new Error(error);
+        }
+
+        const released = toStroops(allocation.released) - toStroops(amount);
+        allocation.released = fromStroops(released > 0n ? released : 0n);
+        delete allocation.settledAt;
+        store.write(`grants/${grantId}`, grant);
+    }
+
+    /**
+     * Reconcile the NGO's on-chain outflows with its grants. Each outgoing payment
+     * found on Horizon is matched to the local ledger by transaction hash: payments
+     * charged to a grant count towards that grant's budget line for their program,
+     * payments the toolkit made without a grant are untagged, and payments the
+     * toolkit has no record of are unexplained.
+     * @param {string} ngoKey - Key vault ID or alias of the NGO (or its public key)
+     * @param {Object} options - Report options
+     * @param {Date} options.from - Start of the period, all history by default
+     * @param {Date} options.to - End of the period, now by default
+     * @returns {Object} Spending per grant and budget line, and the outflows that do not match a grant
+     */
+    async function reconcileGrants(ngoKey, options = {}) {
+        const ngoPublicKey = StellarSdk.StrKey.isValidEd25519PublicKey(ngoKey) ? ngoKey : resolveAccountId(ngoKey);
+        const from = options.from ? new Date(options.from).toISOString() : '';
+        const to = (options.to ? new Date(options.to) : new Date()).toISOString();
+
+        try {
+            const history = await syncOperationHistory(ngoPublicKey);
+            const outflows = history.operations.filter(op =>
+                op.direction === 'out' && op.createdAt >= from && op.createdAt <= to
+            );
+
+            // What the toolkit submitted, by transaction hash
+            const ledgerByHash = new Map();
+            for (const record of store.readLines('ledger')) {
+                if (record.status === 'success' || !ledgerByHash.has(record.txHash)) {
+                    ledgerByHash.set(record.txHash, record);
+                }
+            }
+
+            const grants = new Map(listGrants().map(grant => [grant.id, { grant, lines: new Map() }]));
+            const untagged = [];
+            const unexplained = [];
+
+            for (const op of outflows) {
+                const record = ledgerByHash.get(op.txHash);
+                const outflow = {
+                    txHash: op.txHash,
+                    createdAt: op.createdAt,
+                    type: op.type,
+                    to: op.to,
+                    amount: op.amount,
+                    asset: op.asset
+                };
+
+                if (!record) {
+                    unexplained.push(outflow);
+                } else if (!record.grantId || !grants.has(record.grantId)) {
+                    untagged.push({ ...outflow, action: record.type, program: record.program });
+                } else {
+                    const { lines } = grants.get(record.grantId);
+                    const program = record.program || 'unassigned';
+                    if (!lines.has(program)) {
+                        lines.set(program, { spent: new Map(), payments: 0 });
+                    }
+                    const line = lines.get(program);
+                    line.spent.set(op.asset, (line.spent.get(op.asset) || 0n) + toStroops(op.amount));
+                    line.payments += 1;
+                }
+            }
+
+            const formatTotals = totals => Object.fromEntries(
+                [...totals].map(([asset, amount]) => [asset, fromStroops(amount)])
+            );
+
+            return {
+                organizationId: ngoPublicKey,
+                period: { from: from || null, to: to },
+                grants: [...grants.values()].map(({ grant, lines }) => ({
+                    id: grant.id,
+                    donor: grant.donor,
+                    name: grant.name,
+                    asset: grant.asset,
+                    amount: grant.amount,
+                    committed: grant.committed,
+                    remaining: grant.remaining,
+                    budgetLines: [...lines].map(([program, line]) => ({
+                        program,
+                        payments: line.payments,
+                        spent: formatTotals(line.spent)
+                    }))
+                })),
+                untagged: untagged,
+                unexplained: unexplained,
+                flagged: untagged.length + unexplained.length,
+                generatedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            logger.error('Error reconciling grants:', error);
+            throw error;
+        }
+    }
+
+    function loadGrant(grantId) {
+        const grant = store.read(`grants/${grantId}`);
+        if (!grant) {
+            throw new Error(`Grant ${grantId} not found`);
+        }
+        return grant;
+    }
+
+    // ------------------------------------------
+    // 13. DONOR TRANSPARENCY
+    // ------------------------------------------
+
+    // Ledger actions that deliver funds to beneficiaries, as published to donors
+    const DISBURSEMENT_TYPES = ['distribution', 'time_lock', 'escrow_release', 'beneficiary_account'];
+
+    /**
+     * Aggregate what was disbursed per program, for publishing. Beneficiaries only
+     * appear as pseudonyms, and every transaction links to Horizon so anyone can
+     * check it on-chain.
+     * @param {Object} filters - Filters to apply
+     * @param {string} filters.program - Only report this program
+     * @param {Date} filters.from - Start of the period, all history by default
+     * @param {Date} filters.to - End of the period, now by default
+     * @param {number} filters.limit - Recent transactions listed per program, 20 by default
+     * @returns {Object} Totals, payment counts and recent transactions per program
+     */
+    function getPublicFlows(filters = {}) {
+        const limit = Math.min(Number(filters.limit) || 20, 100);
+        const programs = summarizeDisbursements(listDisbursements(filters), record => record.program || 'unassigned');
+        const signer = findReceiptSigningKey();
+
+        return {
+            network: network.name,
+            period: {
+                from: filters.from ? new Date(filters.from).toISOString() : null,
+                to: (filters.to ? new Date(filters.to) : new Date()).toISOString()
+            },
+            programs: [...programs].map(([program, summary]) => ({
+                program,
+                totals: summary.totals,
+                payments: summary.payments,
+                beneficiaries: summary.beneficiaries,
+                transactions: summary.transactions.length,
+                recentTransactions: summary.transactions.slice(-limit).reverse()
+            })),
+            receiptSigner: signer ? signer.publicKey : null,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Issue a signed receipt telling a donor where the money of their grants went:
+     * per grant and program what was disbursed, to how many beneficiaries, and in
+     * which transactions. The receipt is signed with the NGO's receipt key and can
+     * be checked offline with verifyDonorReceipt.
+     * @param {string} donor - Donor as recorded on their grants
+     * @param {Object} options - Receipt options
+     * @param {Date} options.from - Start of the period, all history by default
+     * @param {Date} options.to - End of the period, now by default
+     * @returns {Object} The signed receipt
+     */
+    function issueDonorReceipt(donor, options = {}) {
+        const grants = listGrants({ donor });
+        if (grants.length === 0) {
+            throw new Error(`No grants found for donor ${donor}`);
+        }
+
+        const disbursements = listDisbursements(options);
+        const keypair = resolveKeypair(getReceiptSigningKey().id);
+
+        const receipt = {
+            id: crypto.randomUUID(),
+            type: 'donor_receipt',
+            donor: donor,
+            network: network.name,
+            networkPassphrase: networkPassphrase,
+            period: {
+                from: options.from ? new Date(options.from).toISOString() : null,
+                to: (options.to ? new Date(options.to) : new Date()).toISOString()
+            },
+            grants: grants.map(grant => {
+                const records = disbursements.filter(record => record.grantId === grant.id);
+                const programs = summarizeDisbursements(records, record => record.program || 'unassigned');
+                return {
+                    id: grant.id,
+                    name: grant.name,
+                    amount: grant.amount,
+                    asset: grant.asset,
+                    committed: grant.committed,
+                    remaining: grant.remaining,
+                    programs: [...programs].map(([program, summary]) => ({
+                        program,
+                        totals: summary.totals,
+                        payments: summary.payments,
+                        beneficiaries: summary.beneficiaries,
+                        transactions: summary.transactions.map(({ hash, link, date, totals }) => ({ hash, link, date, totals }))
+                    }))
+                };
+            }),
+            issuedAt: new Date().toISOString(),
+            signer: keypair.publicKey()
+        };
+
+        return {
+            ...receipt,
+            signature: keypair.sign(Buffer.from(JSON.stringify(receipt))).toString('base64')
+        };
+    }
+
+    /**
+     * Replace a beneficiary account with a stable pseudonym. The pseudonym is an HMAC
+     * under a secret kept in the data directory, so it cannot be recomputed from a
+     * list of known accounts.
+     * @param {string} publicKey - Public key of the beneficiary
+     * @returns {string} The pseudonym, such as "B-3f9a1c27d0e4"
+     */
+    function pseudonymizeBeneficiary(publicKey) {
+        let settings = store.read('transparency');
+        if (!settings) {
+            settings = { pseudonymSecret: crypto.randomBytes(32).toString('base64') };
+            store.write('transparency', settings);
+        }
+
+        const digest = crypto.createHmac('sha256', Buffer.from(settings.pseudonymSecret, 'base64'))
+            .update(publicKey)
+            .digest('hex');
+        return `B-${digest.slice(0, 12)}`;
+    }
+
+    /**
+     * Get the key that signs donor receipts, creating it in the key vault on first use
+     * @returns {Object} The key details, without the secret
+     */
+    function getReceiptSigningKey() {
+        return findReceiptSigningKey() ||
+            storeVaultKey(StellarSdk.Keypair.random(), { role: 'receipt_signer' });
+    }
+
+    function findReceiptSigningKey() {
+        return listKeys('receipt_signer').find(entry => entry.custody === 'vault') || null;
+    }
+
+    /**
+     * Successful ledger records that delivered funds to a beneficiary
+     * @param {Object} filters - Filters to apply (program, from, to)
+     * @returns {Array} The ledger records, oldest first
+     */
+    function listDisbursements(filters = {}) {
+        const from = filters.from ? new Date(filters.from) : null;
+        const to = filters.to ? new Date(filters.to) : null;
+
+        return latestLedgerRecords().filter(record =>
+            DISBURSEMENT_TYPES.includes(record.type) &&
+            record.status === 'success' &&
+            record.beneficiary &&
+            record.amount && toStroops(record.amount) > 0n &&
+            (!filters.program || record.program === filters.program) &&
+            (!from || new Date(record.timestamp) >= from) &&
+            (!to || new Date(record.timestamp) <= to)
+        );
+    }
+
+    /**
+     * Group disbursements, totalling them per asset and per transaction
+     * @param {Array} records - Ledger records from listDisbursements
+     * @param {Function} groupOf - Returns the group of a record
+     * @returns {Map} Totals, payment and beneficiary counts, and transactions per group
+     */
+    function summarizeDisbursements(records, groupOf) {
+        const assetOf = asset => (asset === "XLM" ? "XLM" : `${asset.code}:${asset.issuer}`);
+        const addTo = (totals, asset, amount) => {
+            totals[asset] = fromStroops(toStroops(totals[asset] || '0') + toStroops(amount));
+        };
+
+        const groups = new Map();
+        for (const record of records) {
+            const name = groupOf(record);
+            if (!groups.has(name)) {
+                groups.set(name, { totals: {}, payments: 0, beneficiaries: new Set(), transactions: new Map() });
+            }
+            const group = groups.get(name);
+            const beneficiary = pseudonymizeBeneficiary(record.beneficiary);
+
+            addTo(group.totals, assetOf(record.asset), record.amount);
+            group.payments += 1;
+            group.beneficiaries.add(beneficiary);
+
+            if (!group.transactions.has(record.txHash)) {
+                group.transactions.set(record.txHash, {
+                    hash: record.txHash,
+                    link: `${network.horizonUrl.replace(/\/$/, '')}/transactions/${record.txHash}`,
+                    date: record.timestamp,
+                    type: record.type,
+                    totals: {},
+                    payments: []
+                });
+            }
+            const transaction = group.transactions.get(record.txHash);
+            addTo(transaction.totals, assetOf(record.asset), record.amount);
+            transaction.payments.push({ beneficiary, amount: record.amount, asset: assetOf(record.asset) });
+        }
+
+        for (const group of groups.values()) {
+            group.beneficiaries = group.beneficiaries.size;
+            group.transactions = [...group.transactions.values()];
+        }
+        return groups;
+    }
+
+    // ------------------------------------------
+    // 14. FRAUD AND ANOMALY CHECKS
+    // ------------------------------------------
+
+    // Rules every distribution is screened with, until changed with configureFraudRules.
+    // Amount limits are keyed by asset code, "*" for any asset.
+    const DEFAULT_FRAUD_RULES = {
+        duplicates: { enabled: true },
+        crossProgram: { enabled: true, cycleDays: 30 },
+        velocity: { enabled: true, windowDays: 30, maxPayments: 4 },
+        amount: { enabled: true, multiplier: 10, windowDays: 90, minSample: 5, maxAmount: {} },
+        unknownDestination: { enabled: false },
+        newSigners: { enabled: false, windowDays: 30 }
+    };
+
+    const DAY = 24 * 60 * 60 * 1000;
+
+    /**
+     * Get the rules distributions are screened with
+     * @returns {Object} Each rule with whether it is enabled and its settings
+     */
+    function getFraudRules() {
+        const configured = store.read('fraud/rules') || {};
+        return Object.fromEntries(Object.entries(DEFAULT_FRAUD_RULES).map(([rule, settings]) =>
+            [rule, { ...settings, ...configured[rule] }]
+        ));
+    }
+
+    /**
+     * Change the rules distributions are screened with. Rules and settings that are
+     * left out keep their current value.
+     * @param {Object} changes - Settings per rule, such as { velocity: { maxPayments: 2 } }
+     * @returns {Object} The rules now in force
+     */
+    function configureFraudRules(changes = {}) {
+        const configured = store.read('fraud/rules') || {};
+
+        for (const [rule, settings] of Object.entries(changes)) {
+            if (!DEFAULT_FRAUD_RULES[rule]) {
+                throw new Error(`Unknown rule ${rule}, expected one of ${Object.keys(DEFAULT_FRAUD_RULES).join(', ')}`);
+            }
+            for (const name of Object.keys(settings || {})) {
+                if (!(name in DEFAULT_FRAUD_RULES[rule])) {
+                    throw new Error(`Rule ${rule} has no setting ${name}`);
+                }
+            }
+            configured[rule] = { ...configured[rule], ...settings };
+        }
+
+        store.write('fraud/rules', configured);
+        return getFraudRules();
+    }
+
+    /**
+     * Screen the pending recipients of a distribution job before anything is signed.
+     * Recipients that hit a rule are held instead of being paid; openReviews then
+     * puts them up for manual review.
+     * @param {Object} job - The planned distribution job, changed in place
+     * @returns {Array} The rule hits as { rule, publicKey, amount, message }
+     */
+    async function screenDistribution(job) {
+        const rules = getFraudRules();
+        const recipients = job.recipients.filter(recipient => recipient.status === 'pending');
+        const hits = [];
+        const flag = (recipient, rule, message) => hits.push({ recipient, rule, message });
+
+        if (rules.duplicates.enabled) {
+            const counts = new Map();
+            recipients.forEach(recipient => counts.set(recipient.publicKey, (counts.get(recipient.publicKey) || 0) + 1));
+            recipients
+                .filter(recipient => counts.get(recipient.publicKey) > 1)
+                .forEach(recipient => flag(recipient, 'duplicates', `Appears ${counts.get(recipient.publicKey)} times in this distribution`));
+        }
+
+        // Earlier payments to beneficiaries, from the local ledger
+        const ledger = latestLedgerRecords();
+        const payments = ledger.filter(record =>
+            DISBURSEMENT_TYPES.includes(record.type) &&
+            record.status === 'success' &&
+            record.beneficiary &&
+            record.amount &&
+            toStroops(record.amount) > 0n
+        );
+        const paidSince = (publicKey, days) => payments.filter(record =>
+            record.beneficiary === publicKey && new Date(record.timestamp) >= new Date(Date.now() - days * DAY)
+        );
+
+        if (rules.crossProgram.enabled && job.program) {
+            for (const recipient of recipients) {
+                const programs = [...new Set(paidSince(recipient.publicKey, rules.crossProgram.cycleDays)
+                    .map(record => record.program)
+                    .filter(program => program && program !== job.program))];
+                if (programs.length > 0) {
+                    flag(recipient, 'crossProgram', `Already paid by ${programs.join(', ')} in the last ${rules.crossProgram.cycleDays} days`);
+                }
+            }
+        }
+
+        if (rules.velocity.enabled) {
+            for (const recipient of recipients) {
+                const count = paidSince(recipient.publicKey, rules.velocity.windowDays).length + 1;
+                if (count > rules.velocity.maxPayments) {
+                    flag(recipient, 'velocity', `Would be payment ${count} in ${rules.velocity.windowDays} days, above the limit of ${rules.velocity.maxPayments}`);
+                }
+            }
+        }
+
+        if (rules.amount.enabled) {
+            for (const { flagged, message } of checkAmountNorms(job, recipients, payments, rules.amount)) {
+                flag(flagged, 'amount', message);
+            }
+        }
+
+        if (rules.unknownDestination.enabled) {
+            const created = new Set([
+                ...ledger
+                    .filter(record => record.operation === 'createAccount' && record.status === 'success' && record.source === job.ngoPublicKey)
+                    .map(record => record.beneficiary),
+                ...listKeys('beneficiary').map(key => key.accountId),
+                ...listSponsorships().map(sponsorship => sponsorship.accountId)
+            ]);
+            recipients
+                .filter(recipient => !created.has(recipient.publicKey))
+                .forEach(recipient => flag(recipient, 'unknownDestination', 'Account was not created by this NGO'));
+        }
+
+        if (rules.newSigners.enabled) {
+            for (const publicKey of new Set(recipients.map(recipient => recipient.publicKey))) {
+                const added = await findNewSigners(publicKey, rules.newSigners.windowDays);
+                if (added.length > 0) {
+                    recipients
+                        .filter(recipient => recipient.publicKey === publicKey)
+                        .forEach(recipient => flag(recipient, 'newSigners', `Signer ${added.join(', ')} added in the last ${rules.newSigners.windowDays} days`));
+                }
+            }
+        }
+
+        // Hold each flagged recipient once, with every rule it hit
+        for (const { recipient, rule, message } of hits) {
+            if (recipient.status !== 'held') {
+                recipient.status = 'held';
+                recipient.holds = [];
+            }
+            recipient.holds.push({ rule, message });
+            recipient.error = `Held for review: ${recipient.holds.map(hold => hold.message).join('; ')}`;
+        }
+
+        return hits.map(({ recipient, rule, message }) => ({ rule, publicKey: recipient.publicKey, amount: recipient.amount, message }));
+    }
+
+    /**
+     * Open a review for each recipient of a job held by screenDistribution, and
+     * write every rule it hit to the rule hit log
+     * @param {Object} job - The screened distribution job, changed in place
+     * @param {Object} options - Review options
+     * @param {boolean} options.dryRun - Only log the hits, for a job that will not run
+     * @returns {Array} The opened reviews
+     */
+    function openReviews(job, options = {}) {
+        const now = new Date().toISOString();
+        const held = job.recipients.filter(recipient => recipient.status === 'held' && !recipient.reviewId);
+        const reviews = [];
+
+        for (const recipient of held) {
+            const asset = recipient.receiveAsset || job.asset;
+            if (!options.dryRun) {
+                const review = {
+                    id: crypto.randomUUID(),
+                    jobId: job.id,
+                    recipientIndex: recipient.index,
+                    publicKey: recipient.publicKey,
+                    amount: recipient.amount,
+                    asset: asset,
+                    program: job.program || null,
+                    hits: recipient.holds,
+                    status: 'pending',
+                    createdAt: now,
+                    decidedAt: null,
+                    decidedBy: null,
+                    note: null
+                };
+                store.write(`reviews/${review.id}`, review);
+                recipient.reviewId = review.id;
+                reviews.push(review);
+            }
+
+            for (const hold of recipient.holds) {
+                store.append('rule-hits', {
+                    id: crypto.randomUUID(),
+                    timestamp: now,
+                    rule: hold.rule,
+                    message: hold.message,
+                    action: options.dryRun ? 'dry_run' : 'held',
+                    jobId: job.id,
+                    reviewId: recipient.reviewId || null,
+                    publicKey: recipient.publicKey,
+                    amount: recipient.amount,
+                    asset: asset,
+                    program: job.program || null
+                });
+            }
+        }
+
+        if (held.length > 0) {
+            logger.warn(`${options.dryRun ? 'Would hold' : 'Held'} ${held.length} recipient(s) of distribution job ${job.id} for review`);
+        }
+        return reviews;
+    }
+
+    /**
+     * Find recipients paid far more than is usual for the asset (and program), or
+     * more than the absolute limit. The norm is the median of this distribution's
+     * amounts and recent payments, once there are enough of them.
+     * @param {Object} job - The planned distribution job
+     * @param {Array} recipients - Recipients to check
+     * @param {Array} payments - Earlier disbursements from the ledger
+     * @param {Object} settings - The amount rule settings
+     * @returns {Array} The flagged recipients as { flagged, message }
+     */
+    function checkAmountNorms(job, recipients, payments, settings) {
+        const since = new Date(Date.now() - settings.windowDays * DAY);
+        const assetKey = asset => JSON.stringify(asset);
+        const assetCode = asset => (asset === "XLM" ? "XLM" : asset.code);
+        const flagged = [];
+
+        const groups = new Map();
+        for (const recipient of recipients) {
+            const asset = recipient.receiveAsset || job.asset;
+            if (!groups.has(assetKey(asset))) {
+                groups.set(assetKey(asset), { asset, recipients: [] });
+            }
+            groups.get(assetKey(asset)).recipients.push(recipient);
+        }
+
+        for (const { asset, recipients: group } of groups.values()) {
+            const cap = settings.maxAmount[assetCode(asset)] !== undefined ? settings.maxAmount[assetCode(asset)] : settings.maxAmount['*'];
+
+            const sample = [
+                ...group.map(recipient => Number(recipient.amount)),
+                ...payments
+                    .filter(record =>
+                        assetKey(record.asset) === assetKey(asset) &&
+                        (!job.program || record.program === job.program) &&
+                        new Date(record.timestamp) >= since
+                    )
+                    .map(record => Number(record.amount))
+            ].sort((a, b) => a - b);
+            const middle = Math.floor(sample.length / 2);
+            const median = sample.length % 2 ? sample[middle] : (sample[middle - 1] + sample[middle]) / 2;
+
+            for (const recipient of group) {
+                if (cap !== undefined && cap !== null && toStroops(recipient.amount) > toStroops(cap)) {
+                    flagged.push({ flagged: recipient, message: `Amount ${recipient.amount} is above the limit of ${cap} ${assetCode(asset)}` });
+                } else if (sample.length >= settings.minSample && Number(recipient.amount) > median * settings.multiplier) {
+                    flagged.push({
+                        flagged: recipient,
+                        message: `Amount ${recipient.amount} is more than ${settings.multiplier} times the usual ${fromStroops(toStroops(median))} ${assetCode(asset)}`
+                    });
+                }
+            }
+        }
+
+        return flagged;
+    }
+
+    /**
+     * Find signers added to an account recently. Beneficiary accounts normally only
+     * have their master key, so a new signer may mean someone else took control.
+     * @param {string} publicKey - The account to check
+     * @param {number} windowDays - How far back an added signer counts as new
+     * @returns {Array} Public keys of the signers added in the window
+     */
+    async function findNewSigners(publicKey, windowDays) {
+        let account;
+        try {
+            account = await server.loadAccount(publicKey);
+        } catch (error) {
+            // Missing accounts are reported when the payment fails
+            return [];
+        }
+
+        const extraSigners = (account.signers || [])
+            .filter(signer => signer.key !== publicKey && signer.weight > 0)
+            .map(signer => signer.key);
+        if (extraSigners.length === 0) {
+            return [];
+        }
+
+        const since = new Date(Date.now() - windowDays * DAY);
+        const operations = await server.operations().forAccount(publicKey).order('desc').limit(200).call();
+        return [...new Set(operations.records
+            .filter(operation =>
+                operation.type === 'set_options' &&
+                extraSigners.includes(operation.signer_key) &&
+                new Date(operation.created_at) >= since
+            )
+            .map(operation => operation.signer_key))];
+    }
+
+    /**
+     * List the reviews of held recipients
+     * @param {Object} filters - Filters to apply
+     * @param {string} filters.status - "pending", "approved" or "rejected"
+     * @param {string} filters.jobId - Distribution job the recipient belongs to
+     * @returns {Array} The reviews, oldest first
+     */
+    function listReviews(filters = {}) {
+        return store.list('reviews')
+            .map(loadReview)
+            .filter(review =>
+                (!filters.status || review.status === filters.status) &&
+                (!filters.jobId || review.jobId === filters.jobId)
+            )
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Get the review of a held recipient
+     * @param {string} reviewId - ID of the review
+     * @returns {Object} The review
+     */
+    function getReview(reviewId) {
+        return loadReview(reviewId);
+    }
+
+    /**
+     * Release a held recipient. It is paid when its distribution job is resumed.
+     * @param {string} reviewId - ID of the review
+     * @param {string} note - Why the payment is fine
+     * @param {string} actor - Who approved it
+     * @returns {Object} The decided review
+     */
+    function approveReview(reviewId, note, actor = null) {
+        return decideReview(reviewId, 'approved', note, actor);
+    }
+
+    /**
+     * Refuse to pay a held recipient. It is quarantined in its distribution job.
+     * @param {string} reviewId - ID of the review
+     * @param {string} reason - Why the payment is refused
+     * @param {string} actor - Who rejected it
+     * @returns {Object} The decided review
+     */
+    function rejectReview(reviewId, reason, actor = null) {
+        if (!reason) {
+            throw new Error('A reason is required to reject a held payment');
+        }
+        return decideReview(reviewId, 'rejected', reason, actor);
+    }
+
+    /**
+     * List rule hits, newest last
+     * @param {Object} filters - Filters to apply
+     * @param {string} filters.rule - Rule that was hit
+     * @param {string} filters.jobId - Distribution job
+     * @param {string} filters.publicKey - Recipient account
+     * @param {Date} filters.from - Earliest hit time
+     * @param {Date} filters.to - Latest hit time
+     * @param {number} filters.limit - Maximum number of hits to return
+     * @param {number} filters.offset - Number of matching hits to skip
+     * @returns {Object} The total number of matches and the requested page of hits
+     */
+    function listRuleHits(filters = {}) {
+        const from = filters.from ? new Date(filters.from) : null;
+        const to = filters.to ? new Date(filters.to) : null;
+
+        const matches = store.readLines('rule-hits').filter(hit =>
+            (!filters.rule || hit.rule === filters.rule) &&
+            (!filters.jobId || hit.jobId === filters.jobId) &&
+            (!filters.publicKey || hit.publicKey === filters.publicKey) &&
+            (!from || new Date(hit.timestamp) >= from) &&
+            (!to || new Date(hit.timestamp) <= to)
+        );
+
+        const offset = Number(filters.offset) || 0;
+        const limit = Math.min(Number(filters.limit) || 100, 1000);
+
+        return {
+            total: matches.length,
+            offset: offset,
+            limit: limit,
+            hits: matches.slice(offset, offset + limit)
+        };
+    }
+
+    function decideReview(reviewId, status, note, actor) {
+        const review = loadReview(reviewId);
+        if (review.status !== 'pending') {
+            throw new Error(`Review ${reviewId} was already ${review.status}`);
+        }
+
+        const job = loadDistributionJob(review.jobId);
+        if (runningJobs.has(job.id)) {
+            throw new Error(`Job ${job.id} is running, decide once it is done`);
+        }
+
+        const recipient = job.recipients[review.recipientIndex];
+        if (status === 'approved') {
+            recipient.status = 'pending';
+            recipient.error = null;
+        } else {
+            quarantineRecipient(recipient, `Rejected in review: ${note}`);
+        }
+        saveDistributionJob(job);
+
+        review.status = status;
+        review.note = note || null;
+        review.decidedBy = actor;
+        review.decidedAt = new Date().toISOString();
+        store.write(`reviews/${review.id}`, review);
+
+        return review;
+    }
+
+    function loadReview(reviewId) {
+        const review = store.read(`reviews/${reviewId}`);
+        if (!review) {
+            throw new Error(`Review ${reviewId} not found`);
+        }
+        return review;
+    }
+
+    // ------------------------------------------
+    // PERSISTENCE AND HORIZON HELPERS
+    // ------------------------------------------
+
+    /**
+     * Describe the active network without anything sensitive
+     * @returns {Object} Network name, Horizon URL, passphrase, Friendbot support and guard rails
+     */
+    function getNetworkProfile() {
+        return {
+            name: network.name,
+            horizonUrl: network.horizonUrl,
+            networkPassphrase: network.networkPassphrase,
+            friendbot: Boolean(network.friendbotUrl),
+            guarded: Boolean(network.guarded),
+            confirmed: Boolean(network.confirmed),
+            limits: network.limits
+        };
+    }
+
+    /**
+     * Refuse transactions the network profile does not allow. Guarded networks (the
+     * public network) need the operator's confirmation, and every profile can cap the
+     * amount of each asset a single transaction sends.
+     * @param {StellarSdk.Transaction} transaction - The transaction about to be submitted
+     */
+    function checkNetworkGuardRails(transaction) {
+        if (network.guarded && !network.confirmed) {
+            throw new Error(
+                `Refusing to submit to the ${network.name} network, set NGO_CONFIRM_PUBLIC_NETWORK=true once you mean to move real funds`
+            );
+        }
+
+        const caps = network.limits.maxTransactionAmount;
+        if (!caps) {
+            return;
+        }
+
+        // Fee bumps are capped by what their inner transaction sends
+        const innerTransaction = transaction.innerTransaction || transaction;
+        const totals = new Map();
+        for (const operation of innerTransaction.operations) {
+            const outgoing = describeOutgoingAmount(operation);
+            if (outgoing) {
+                const code = outgoing.asset.isNative() ? "XLM" : outgoing.asset.getCode();
+                totals.set(code, (totals.get(code) || 0n) + toStroops(outgoing.amount));
+            }
+        }
+
+        for (const [code, total] of totals) {
+            const cap = caps[code] !== undefined ? caps[code] : caps['*'];
+            if (cap !== undefined && total > toStroops(cap)) {
+                throw new Error(
+                    `Transaction sends ${fromStroops(total)} ${code}, above the ${cap} ${code} cap for the ${network.name} network`
+                );
+            }
+        }
+    }
+
+    /**
+     * Find the amount an operation takes out of its source account
+     * @param {Object} operation - Decoded operation
+     * @returns {Object|null} The amount and asset, or null for operations that move no funds
+     */
+    function describeOutgoingAmount(operation) {
+        switch (operation.type) {
+            case 'payment':
+                return { amount: operation.amount, asset: operation.asset };
+            case 'createAccount':
+                return { amount: operation.startingBalance, asset: StellarSdk.Asset.native() };
+            case 'createClaimableBalance':
+                return { amount: operation.amount, asset: operation.asset };
+            case 'pathPaymentStrictReceive':
+                return { amount: operation.sendMax, asset: operation.sendAsset };
+            case 'pathPaymentStrictSend':
+                return { amount: operation.sendAmount, asset: operation.sendAsset };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Submit a transaction to Horizon and record its operations in the local ledger
+     * @param {StellarSdk.Transaction} transaction - The signed transaction
+     * @param {Object} meta - Toolkit action (type), program and tag for the ledger
+     * @returns {Object} Horizon's submission result
+     */
+    async function submitTransaction(transaction, meta = {}) {
+        checkNetworkGuardRails(transaction);
+
+        // Log the hash before submitting, so the outcome can be found if Horizon does not answer
+        trackSubmission(transaction, meta);
+
+        try {
+            const result = await server.submitTransaction(transaction);
+            settleSubmission(transaction, meta, 'succeeded');
+            return result;
+        } catch (error) {
+            const resultCodes = getResultCodes(error);
+            settleSubmission(transaction, meta, resultCodes || !isTimeoutError(error) ? 'failed' : 'pending', resultCodes);
+            throw translateSubmissionError(error, transaction);
+        }
+    }
+
+    /**
+     * Add a transaction to the submission log before it is sent to Horizon
+     * @param {StellarSdk.Transaction} transaction - The signed transaction
+     * @param {Object} meta - Toolkit action (type), program, tag and grant of the submission
+     * @returns {Object} The stored submission
+     */
+    function trackSubmission(transaction, meta) {
+        const hash = transaction.hash().toString('hex');
+        const timeBounds = (transaction.innerTransaction || transaction).timeBounds;
+        const previous = store.read(`submissions/${hash}`);
+        const now = new Date().toISOString();
+
+        const submission = {
+            hash: hash,
+            xdr: transaction.toXDR(),
+            type: meta.type || null,
+            program: meta.program || null,
+            tag: meta.tag || null,
+            grantId: meta.grantId || null,
+            // Transactions without an upper time bound never expire
+            maxTime: timeBounds && Number(timeBounds.maxTime) > 0 ? Number(timeBounds.maxTime) : null,
+            status: 'pending',
+            resultCodes: null,
+            attempts: previous ? previous.attempts + 1 : 1,
+            submittedAt: previous ? previous.submittedAt : now,
+            updatedAt: now
+        };
+        store.write(`submissions/${hash}`, submission);
+        return submission;
+    }
+
+    // Ledger statuses of the submission log statuses
+    const LEDGER_STATUSES = { succeeded: 'success', failed: 'failed', pending: 'unknown', expired: 'expired' };
+
+    /**
+     * Record the outcome of a submission in the submission log and the local ledger
+     * @param {StellarSdk.Transaction} transaction - The submitted transaction
+     * @param {Object} meta - Toolkit action (type), program, tag and grant of the submission
+     * @param {string} status - "succeeded", "failed", "expired", or "pending" when Horizon gave no answer
+     * @param {Object} resultCodes - Horizon result codes of a rejected submission
+     */
+    function settleSubmission(transaction, meta, status, resultCodes) {
+        recordTransaction(transaction, meta, LEDGER_STATUSES[status], resultCodes);
+
+        const hash = transaction.hash().toString('hex');
+        try {
+            const submission = store.read(`submissions/${hash}`);
+            if (submission) {
+                store.write(`submissions/${hash}`, {
+                    ...submission,
+                    status: status,
+                    resultCodes: resultCodes || null,
+                    updatedAt: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            // Like the ledger, the log must never hide the outcome of a submission
+            logger.error('Error updating submission log:', error);
+        }
+    }
+
+    // Idempotency keys of the requests this process is handling
+    const activeIdempotencyKeys = new Set();
+
+    /**
+     * Start a request made with an idempotency key. A key can only be used again for
+     * the same request, and not while the first use is still being handled.
+     * @param {string} scope - Action the key is used for, such as "distribution"
+     * @param {string} key - Idempotency key chosen by the client, none to skip the checks
+     * @param {Object} request - What was asked, compared with the first use of the key
+     * @returns {Object|null} The claim on the key, with the record of its first use when this is a retry, or null without a key
+     */
+    function beginIdempotentRequest(scope, key, request) {
+        if (!key) {
+            return null;
+        }
+
+        const id = crypto.createHash('sha256').update(`${scope}:${key}`).digest('hex');
+        const fingerprint = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+        const previous = store.read(`idempotency/${id}`);
+
+        if (previous && previous.fingerprint !== fingerprint) {
+            const error = new Error(`Idempotency key ${key} was already used for a different request`);
+            error.code = 'IDEMPOTENCY_KEY_REUSED';
+            error.status = 422;
+            throw error;
+        }
+        if (activeIdempotencyKeys.has(id)) {
+            const error = new Error(`A request with idempotency key ${key} is still being processed`);
+            error.code = 'IDEMPOTENCY_KEY_IN_USE';
+            error.status = 409;
+            throw error;
+        }
 
-// Initialize our application
-const app = express();
-app.use(bodyParser.json());
-app.use(express.static('public'));
+        activeIdempotencyKeys.add(id);
+        return { id, scope, key, fingerprint, previous };
+    }
 
-// ------------------------------------------
-// 1. AID DISTRIBUTION SYSTEM
-// ------------------------------------------
+    /**
+     * Store what a request made with an idempotency key led to, for its retries
+     * @param {Object|null} claim - Claim returned by beginIdempotentRequest
+     * @param {Object} outcome - What to remember, such as the job ID or transaction hash
+     */
+    function saveIdempotentRequest(claim, outcome) {
+        if (!claim) {
+            return;
+        }
 
-/**
- * Create a new NGO account on the Stellar testnet
- * @returns {Object} Object containing the public and secret keys
- */
-async function createNGOAccount() {
-    // Generate a new keypair
-    const pair = StellarSdk.Keypair.random();
-    
-    try {
-        // Fund the account using Friendbot (testnet only)
-        await fetch(
-            `https://friendbot.stellar.org?addr=${encodeURIComponent(pair.publicKey())}`
-        );
-        
-        return {
-            publicKey: pair.publicKey(),
-            secretKey: pair.secret()
+        const now = new Date().toISOString();
+        claim.previous = {
+            scope: claim.scope,
+            key: claim.key,
+            fingerprint: claim.fingerprint,
+            createdAt: claim.previous ? claim.previous.createdAt : now,
+            ...outcome,
+            updatedAt: now
         };
-    } catch (error) {
-        console.error('Error creating NGO account:', error);
-        throw error;
+        store.write(`idempotency/${claim.id}`, claim.previous);
     }
-}
 
-/**
- * Create a new beneficiary account
- * @param {string} ngoSecretKey - Secret key of the NGO funding the account
- * @param {string} initialBalance - Initial XLM amount for the beneficiary
- * @returns {Object} The new beneficiary account details
- */
-async function createBeneficiaryAccount(ngoSecretKey, initialBalance = '5') {
-    const ngoKeypair = StellarSdk.Keypair.fromSecret(ngoSecretKey);
-    const beneficiaryKeypair = StellarSdk.Keypair.random();
-    
-    try {
-        // Load NGO account
-        const ngoAccount = await server.loadAccount(ngoKeypair.publicKey());
-        
-        // Create transaction to create beneficiary account
-        const transaction = new StellarSdk.TransactionBuilder(ngoAccount, {
-            fee: StellarSdk.BASE_FEE,
-            networkPassphrase: networkPassphrase
-        })
-        .addOperation(StellarSdk.Operation.createAccount({
-            destination: beneficiaryKeypair.publicKey(),
-            startingBalance: initialBalance
-        }))
-        .setTimeout(30)
-        .build();
-        
-        // Sign the transaction
-        transaction.sign(ngoKeypair);
-        
-        // Submit the transaction
-        await server.submitTransaction(transaction);
-        
-        return {
-            publicKey: beneficiaryKeypair.publicKey(),
-            secretKey: beneficiaryKeypair.secret()
-        };
-    } catch (error) {
-        console.error('Error creating beneficiary account:', error);
-        throw error;
+    function finishIdempotentRequest(claim) {
+        if (claim) {
+            activeIdempotencyKeys.delete(claim.id);
+        }
     }
-}
 
-/**
- * Distribute tokens to multiple beneficiaries
- * @param {string} ngoSecretKey - Secret key of the distributing NGO
- * @param {Array} beneficiaries - Array of objects containing beneficiary publicKey and amount
- * @param {string} assetCode - Code of the asset to distribute (use "XLM" for native token)
- * @returns {Object} Result of the distribution transaction
- */
-async function distributeFunds(ngoSecretKey, beneficiaries, assetCode = "XLM") {
-    const ngoKeypair = StellarSdk.Keypair.fromSecret(ngoSecretKey);
-    
-    try {
-        // Load NGO account
-        const ngoAccount = await server.loadAccount(ngoKeypair.publicKey());
-        
-        // Create a transaction builder
-        const transactionBuilder = new StellarSdk.TransactionBuilder(ngoAccount, {
-            fee: StellarSdk.BASE_FEE,
-            networkPassphrase: networkPassphrase
-        });
-        
-        // Add payment operations for each beneficiary
-        for (const beneficiary of beneficiaries) {
-            if (assetCode === "XLM") {
-                transactionBuilder.addOperation(StellarSdk.Operation.payment({
-                    destination: beneficiary.publicKey,
-                    asset: StellarSdk.Asset.native(),
-                    amount: beneficiary.amount.toString()
-                }));
-            } else {
-                // For custom assets (not implemented in this example)
-                // Would need to create and issue the asset first
-                console.log("Custom asset distribution not implemented in this example");
-            }
-        }
-        
-        // Build and sign the transaction
-        const transaction = transactionBuilder
-            .setTimeout(100)
-            .build();
-        
-        transaction.sign(ngoKeypair);
-        
-        // Submit the transaction
-        const result = await server.submitTransaction(transaction);
-        return result;
-    } catch (error) {
-        console.error('Error distributing funds:', error);
-        throw error;
+    /**
+     * Extract the Horizon result codes from a failed submission
+     * @param {Error} error - Error thrown by submitTransaction
+     * @returns {Object|undefined} The transaction and operation result codes
+     */
+    function getResultCodes(error) {
+        const data = error && error.response && error.response.data;
+        return data && data.extras ? data.extras.result_codes : undefined;
     }
-}
 
-// ------------------------------------------
-// 2. OFFLINE TRANSACTION CAPABILITY
-// ------------------------------------------
+    // Stable error codes for Horizon result codes, and what they mean
+    const RESULT_CODE_ERRORS = {
+        tx_bad_seq: ['BAD_SEQUENCE', 'the sequence number is out of date, rebuild the transaction'],
+        tx_bad_auth: ['MISSING_SIGNATURE', 'the transaction is not signed by the right keys'],
+        tx_bad_auth_extra: ['EXTRA_SIGNATURE', 'the transaction carries signatures that are not needed'],
+        tx_insufficient_fee: ['FEE_TOO_LOW', 'the fee is below what the network currently charges'],
+        tx_insufficient_balance: ['INSUFFICIENT_FUNDS', 'the source account cannot pay the fee on top of its reserve'],
+        tx_no_source_account: ['SOURCE_NOT_FOUND', 'the source account does not exist'],
+        tx_too_early: ['TRANSACTION_TOO_EARLY', 'the transaction is not valid yet'],
+        tx_too_late: ['TRANSACTION_EXPIRED', 'the transaction expired before it reached the ledger'],
+        tx_bad_sponsorship: ['BAD_SPONSORSHIP', 'a reserve sponsorship in the transaction is not closed'],
+        op_underfunded: ['INSUFFICIENT_FUNDS', 'the source account does not hold enough of the asset'],
+        op_low_reserve: ['INSUFFICIENT_RESERVE', 'the account would fall below its minimum XLM reserve'],
+        op_no_destination: ['DESTINATION_NOT_FOUND', 'the destination account does not exist'],
+        op_no_trust: ['RECIPIENT_NO_TRUSTLINE', 'the recipient has no trustline for the asset'],
+        op_not_authorized: ['RECIPIENT_NOT_AUTHORIZED', 'the issuer has not authorized the recipient trustline'],
+        op_line_full: ['RECIPIENT_LINE_FULL', 'the payment would exceed the recipient trustline limit'],
+        op_src_no_trust: ['SOURCE_NO_TRUSTLINE', 'the source account has no trustline for the asset'],
+        op_src_not_authorized: ['SOURCE_NOT_AUTHORIZED', 'the issuer has not authorized the source trustline'],
+        op_no_issuer: ['ASSET_ISSUER_NOT_FOUND', 'the asset issuer does not exist'],
+        op_already_exists: ['ACCOUNT_EXISTS', 'the account already exists'],
+        op_no_source_account: ['SOURCE_NOT_FOUND', 'the source account of the operation does not exist'],
+        op_bad_auth: ['MISSING_SIGNATURE', 'the operation is not signed by the right keys'],
+        op_too_few_offers: ['NO_PATH', 'no path on the exchange can deliver the amount'],
+        op_over_source_max: ['PATH_TOO_EXPENSIVE', 'the path costs more than the maximum send amount'],
+        op_under_dest_min: ['PATH_BELOW_MINIMUM', 'the path delivers less than the minimum amount'],
+        op_does_not_exist: ['BALANCE_NOT_FOUND', 'the claimable balance does not exist or was already claimed'],
+        op_cannot_claim: ['CANNOT_CLAIM', 'the claimable balance cannot be claimed by this account yet, or any more'],
+        op_too_many_subentries: ['TOO_MANY_SUBENTRIES', 'the account has too many trustlines, offers or signers'],
+        op_malformed: ['MALFORMED_OPERATION', 'the operation is invalid'],
+        op_not_supported: ['NOT_SUPPORTED', 'the network does not support the operation']
+    };
 
-/**
- * Generate offline transaction that can be submitted later
- * @param {string} senderSecretKey - Secret key of the sender
- * @param {string} recipientPublicKey - Public key of the recipient
- * @param {string} amount - Amount to send
- * @returns {Object} The signed transaction and transaction XDR
- */
-async function generateOfflineTransaction(senderSecretKey, recipientPublicKey, amount) {
-    const senderKeypair = StellarSdk.Keypair.fromSecret(senderSecretKey);
-    
-    try {
-        // Load sender account
-        const senderAccount = await server.loadAccount(senderKeypair.publicKey());
-        
-        // Create a transaction
-        const transaction = new StellarSdk.TransactionBuilder(senderAccount, {
-            fee: StellarSdk.BASE_FEE,
-            networkPassphrase: networkPassphrase
-        })
-        .addOperation(StellarSdk.Operation.payment({
-            destination: recipientPublicKey,
-            asset: StellarSdk.Asset.native(),
-            amount: amount.toString()
-        }))
-        .setTimeout(0) // No timeout for offline transactions
-        .build();
-        
-        // Sign the transaction
-        transaction.sign(senderKeypair);
-        
-        // Convert to XDR format for storage
-        const transactionXDR = transaction.toXDR();
-        
-        return {
-            transaction: transaction,
-            xdr: transactionXDR
-        };
-    } catch (error) {
-        console.error('Error generating offline transaction:', error);
-        throw error;
+    /**
+     * Turn a failed submission into an error staff can act on. Rejected transactions
+     * get a stable code and, for each failed operation, its index, type, recipient
+     * and Horizon result code. The Horizon response is kept on the error, so
+     * getResultCodes and isTimeoutError still work on it.
+     * @param {Error} error - Error thrown by Horizon
+     * @param {StellarSdk.Transaction} transaction - The submitted transaction
+     * @returns {Error} The translated error, or the original one when Horizon did not reject or time out
+     */
+    function translateSubmissionError(error, transaction) {
+        const resultCodes = getResultCodes(error);
+        const hash = transaction.hash().toString('hex');
+        let translated;
+
+        if (resultCodes) {
+            // Fee bumps report the result of the transaction they wrap
+            const innerTransaction = transaction.innerTransaction || transaction;
+            const failures = (resultCodes.operations || []).flatMap((resultCode, index) => {
+                if (resultCode === 'op_success') {
+                    return [];
+                }
+
+                const operation = innerTransaction.operations[index];
+                const recipient = operation ? describeOperation(operation).beneficiary : null;
+                const [code, meaning] = RESULT_CODE_ERRORS[resultCode] || ['OPERATION_FAILED', resultCode];
+                return [{
+                    operationIndex: index,
+                    operation: operation ? operation.type : null,
+                    recipient: recipient,
+                    resultCode: resultCode,
+                    code: code,
+                    message: `Operation ${index} (${operation ? operation.type : 'unknown'}${recipient ? ` to ${recipient}` : ''}) failed: ${meaning}`
+                }];
+            });
+
+            const transactionCode = resultCodes.inner_transaction || resultCodes.transaction;
+            const [code, meaning] = RESULT_CODE_ERRORS[transactionCode] || ['TRANSACTION_FAILED', transactionCode];
+            translated = new Error(failures.length > 0
+                ? failures.slice(0, 3).map(failure => failure.message).join('; ') +
+                    (failures.length > 3 ? `; and ${failures.length - 3} more` : '')
+                : `Transaction failed: ${meaning}`);
+            translated.code = failures.length > 0 ? failures[0].code : code;
+            translated.status = 422;
+            translated.failures = failures;
+        } else if (isTimeoutError(error)) {
+            translated = new Error(`Horizon did not answer in time, transaction ${hash} may still reach the ledger`);
+            translated.code = 'SUBMISSION_TIMEOUT';
+            translated.status = 504;
+        } else {
+            return error;
+        }
+
+        translated.hash = hash;
+        translated.response = error.response;
+        translated.cause = error;
+        return translated;
     }
-}
 
-/**
- * Submit a previously generated offline transaction
- * @param {string} transactionXDR - The XDR representation of the signed transaction
- * @returns {Object} Result of the transaction submission
- */
-async function submitOfflineTransaction(transactionXDR) {
-    try {
-        // Convert XDR back to a transaction object
-        const transaction = StellarSdk.TransactionBuilder.fromXDR(
-            transactionXDR,
-            networkPassphrase
-        );
-        
-        // Submit the transaction
-        const result = await server.submitTransaction(transaction);
-        return result;
-    } catch (error) {
-        console.error('Error submitting offline transaction:', error);
-        throw error;
+    // Transport errors after which a submitted transaction may still have reached Horizon
+    const TRANSPORT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EPIPE', 'ERR_NETWORK'];
+
+    /**
+     * Whether a submission failed without a definite answer from Horizon
+     * @param {Error} error - Error thrown by submitTransaction
+     * @returns {boolean} True for gateway timeouts and dropped connections
+     */
+    function isTimeoutError(error) {
+        if (error.response) {
+            return error.response.status === 504;
+        }
+        // Errors thrown before the request went out, such as guard rails, are not timeouts
+        return TRANSPORT_ERROR_CODES.includes(error.code) || (Boolean(error.isAxiosError) && !error.code);
     }
-}
 
-/**
- * Batch and store offline transactions for later submission
- * @param {Array} transactions - Array of transaction XDRs to store
- * @param {string} filename - Filename to store the transactions
- */
-function storeOfflineTransactions(transactions, filename) {
-    try {
-        const data = JSON.stringify(transactions);
-        fs.writeFileSync(filename, data);
-        console.log(`Stored ${transactions.length} transactions in ${filename}`);
-    } catch (error) {
-        console.error('Error storing offline transactions:', error);
-        throw error;
+    /**
+     * Look up a transaction on Horizon by hash
+     * @param {string} hash - Hex transaction hash
+     * @returns {Object|null} The transaction record, or null if Horizon does not know it
+     */
+    async function findTransaction(hash) {
+        try {
+            return await server.transactions().transaction(hash).call();
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return null;
+            }
+            throw error;
+        }
     }
-}
 
-/**
- * Load and submit stored offline transactions
- * @param {string} filename - Filename containing stored transactions
- * @returns {Array} Results of the transaction submissions
- */
-async function submitStoredTransactions(filename) {
-    try {
-        const data = fs.readFileSync(filename);
-        const transactions = JSON.parse(data);
-        
-        const results = [];
-        for (const txXDR of transactions) {
-            try {
-                const result = await submitOfflineTransaction(txXDR);
-                results.push({
-                    success: true,
-                    result: result
-                });
-            } catch (error) {
-                results.push({
-                    success: false,
-                    error: error.message
-                });
+    /**
+     * Wait for a submitted transaction to reach the ledger or expire
+     * @param {string} hash - Hex transaction hash
+     * @param {number} maxTime - UNIX time after which the transaction can no longer be included
+     * @returns {Object|null} The transaction record, or null once it has expired
+     */
+    async function waitForTransaction(hash, maxTime) {
+        for (;;) {
+            const record = await findTransaction(hash);
+            if (record) {
+                return record;
             }
+
+            if (hasExpired(maxTime)) {
+                return null;
+            }
+
+            await sleep(5000);
         }
-        
-        return results;
-    } catch (error) {
-        console.error('Error submitting stored transactions:', error);
-        throw error;
     }
-}
 
-// ------------------------------------------
-// 3. CONDITIONAL TRANSFERS (SMART CONTRACTS)
-// ------------------------------------------
+    /**
+     * Whether a transaction can no longer be included in a ledger
+     * @param {number} maxTime - UNIX time bound of the transaction, none if it never expires
+     * @returns {boolean} True once the time bound has passed
+     */
+    function hasExpired(maxTime) {
+        // Allow a ledger close past the time bound before giving up
+        return Boolean(maxTime) && Date.now() / 1000 > maxTime + 10;
+    }
 
-/**
- * Create a time-locked transaction that can only be redeemed after a certain time
- * @param {string} senderSecretKey - Secret key of the sender
- * @param {string} recipientPublicKey - Public key of the recipient
- * @param {string} amount - Amount to send
- * @param {Date} unlockDate - Date when the funds can be claimed
- * @returns {Object} The signed transaction and transaction XDR
- */
-async function createTimeLockedTransfer(senderSecretKey, recipientPublicKey, amount, unlockDate) {
-    const senderKeypair = StellarSdk.Keypair.fromSecret(senderSecretKey);
-    
-    try {
-        // Load sender account
-        const senderAccount = await server.loadAccount(senderKeypair.publicKey());
-        
-        // Calculate the UNIX timestamp for the unlock date
-        const timeBounds = {
-            minTime: Math.floor(unlockDate.getTime() / 1000).toString(),
-            maxTime: 0 // 0 means no upper time bound
-        };
-        
-        // Create a transaction with time bounds
-        const transaction = new StellarSdk.TransactionBuilder(senderAccount, {
-            fee: StellarSdk.BASE_FEE,
-            networkPassphrase: networkPassphrase,
-            timebounds: timeBounds
-        })
-        .addOperation(StellarSdk.Operation.payment({
-            destination: recipientPublicKey,
-            asset: StellarSdk.Asset.native(),
-            amount: amount.toString()
-        }))
-        .build();
-        
-        // Sign the transaction
-        transaction.sign(senderKeypair);
-        
-        // Convert to XDR format for storage
-        const transactionXDR = transaction.toXDR();
-        
-        return {
-            transaction: transaction,
-            xdr: transactionXDR,
-            unlockDate: unlockDate
-        };
-    } catch (error) {
-        console.error('Error creating time-locked transfer:', error);
-        throw error;
+    // Base reserve in XLM for each account entry and subentry
+    const BASE_RESERVE = 0.5;
+
+    /**
+     * Convert an amount to stroops (1/10,000,000 of a unit) for exact arithmetic
+     * @param {string|number} amount - Amount with at most 7 decimals, negative for shortfalls such as an overspent grant
+     * @returns {BigInt} The amount in stroops
+     */
+    function toStroops(amount) {
+        const text = Number.isFinite(amount) ? amount.toFixed(7) : amount.toString();
+        // The sign applies to the whole amount, so convert the absolute value and negate it
+        const negative = text.startsWith('-');
+        const [whole, fraction = ''] = (negative ? text.slice(1) : text).split('.');
+        const stroops = BigInt(whole || '0') * 10000000n + BigInt(fraction.padEnd(7, '0').slice(0, 7));
+        return negative ? -stroops : stroops;
     }
-}
 
-/**
- * Create a multi-signature escrow account requiring approval from multiple parties
- * @param {string} ngoSecretKey - Secret key of the NGO
- * @param {string} beneficiaryPublicKey - Public key of the beneficiary
- * @param {string} thirdPartyPublicKey - Public key of the third party (e.g., local official)
- * @param {string} amount - Amount to place in escrow
- * @returns {Object} Details of the escrow account
- */
-async function createMultiSigEscrow(ngoSecretKey, beneficiaryPublicKey, thirdPartyPublicKey, amount) {
-    const ngoKeypair = StellarSdk.Keypair.fromSecret(ngoSecretKey);
-    const escrowKeypair = StellarSdk.Keypair.random();
-    
-    try {
-        // Load NGO account
-        const ngoAccount = await server.loadAccount(ngoKeypair.publicKey());
-        
-        // Step 1: Create the escrow account
-        const createAccountTx = new StellarSdk.TransactionBuilder(ngoAccount, {
-            fee: StellarSdk.BASE_FEE,
-            networkPassphrase: networkPassphrase
-        })
-        .addOperation(StellarSdk.Operation.createAccount({
-            destination: escrowKeypair.publicKey(),
-            startingBalance: (parseFloat(amount) + 5).toString() // Extra XLM for account minimum + fees
-        }))
-        .setTimeout(30)
-        .build();
-        
-        createAccountTx.sign(ngoKeypair);
-        await server.submitTransaction(createAccountTx);
-        
-        // Step 2: Set up multi-signature requirements
-        const escrowAccount = await server.loadAccount(escrowKeypair.publicKey());
-        
-        const multiSigTx = new StellarSdk.TransactionBuilder(escrowAccount, {
-            fee: StellarSdk.BASE_FEE,
-            networkPassphrase: networkPassphrase
-        })
-        .addOperation(StellarSdk.Operation.setOptions({
-            masterWeight: 0, // Remove ability for the master key to sign transactions
-            lowThreshold: 2,
-            medThreshold: 2,
-            highThreshold: 2,
-            signer: {
-                ed25519PublicKey: ngoKeypair.publicKey(),
-                weight: 1
-            }
-        }))
-        .addOperation(StellarSdk.Operation.setOptions({
-            signer: {
-                ed25519PublicKey: beneficiaryPublicKey,
-                weight: 1
-            }
-        }))
-        .addOperation(StellarSdk.Operation.setOptions({
-            signer: {
-                ed25519PublicKey: thirdPartyPublicKey,
-                weight: 1
-            }
-        }))
-        .setTimeout(30)
-        .build();
-        
-        multiSigTx.sign(escrowKeypair);
-        await server.submitTransaction(multiSigTx);
-        
-        return {
-            escrowPublicKey: escrowKeypair.publicKey(),
-            escrowSecretKey: escrowKeypair.secret(), // Normally you would secure this or discard it
-            requiredSigners: [ngoKeypair.publicKey(), beneficiaryPublicKey, thirdPartyPublicKey],
-            requiredSignatures: 2
-        };
-    } catch (error) {
-        console.error('Error creating multi-signature escrow:', error);
-        throw error;
+    /**
+     * Convert stroops back to a Stellar amount string
+     * @param {BigInt} stroops - Amount in stroops
+     * @returns {string} The amount with 7 decimals
+     */
+    function fromStroops(stroops) {
+        const sign = stroops < 0n ? '-' : '';
+        const absolute = stroops < 0n ? -stroops : stroops;
+        return `${sign}${absolute / 10000000n}.${(absolute % 10000000n).toString().padStart(7, '0')}`;
     }
-}
 
-/**
- * Create a transaction to release funds from an escrow account
- * @param {string} escrowPublicKey - Public key of the escrow account
- * @param {string} beneficiaryPublicKey - Public key of the beneficiary
- * @param {string} amount - Amount to release
- * @returns {Object} The unsigned transaction for multi-signature
- */
-async function createEscrowReleaseTransaction(escrowPublicKey, beneficiaryPublicKey, amount) {
-    try {
-        // Load escrow account
-        const escrowAccount = await server.loadAccount(escrowPublicKey);
-        
-        // Create a transaction to release funds
-        const transaction = new StellarSdk.TransactionBuilder(escrowAccount, {
-            fee: StellarSdk.BASE_FEE,
-            networkPassphrase: networkPassphrase
-        })
-        .addOperation(StellarSdk.Operation.payment({
-            destination: beneficiaryPublicKey,
-            asset: StellarSdk.Asset.native(),
-            amount: amount.toString()
-        }))
-        .setTimeout(30)
-        .build();
-        
-        // Convert to XDR for passing around to be signed
-        const transactionXDR = transaction.toXDR();
-        
-        return {
-            transaction: transaction,
-            xdr: transactionXDR
-        };
-    } catch (error) {
-        console.error('Error creating escrow release transaction:', error);
-        throw error;
+    function sleep(milliseconds) {
+        return new Promise(resolve => setTimeout(resolve, milliseconds));
     }
+    
+    return {
+        logger,
+        createNGOAccount,
+        getNetworkProfile,
+        createBeneficiaryAccount,
+        submitFeeBumpTransaction,
+        revokeSponsorship,
+        listSponsorships,
+        enrollBeneficiary,
+        findDuplicateBeneficiaries,
+        importBeneficiariesCsv,
+        getBeneficiary,
+        listBeneficiaries,
+        describeBeneficiary,
+        createCohort,
+        listCohorts,
+        setCohortMembership,
+        resolveCohortRecipients,
+        createCohortDistributionJob,
+        distributeToCohort,
+        createNGOAsset,
+        establishTrustline,
+        authorizeTrustline,
+        resolveAsset,
+        distributeFunds,
+        createDistributionJob,
+        quoteDistribution,
+        simulateDistributionJob,
+        findStrictReceivePath,
+        runDistributionJob,
+        resumeDistributionJob,
+        getDistributionJob,
+        listDistributionJobs,
+        summarizeDistributionJob,
+        generateOfflineTransaction,
+        submitOfflineTransaction,
+        generateOfflineBatch,
+        storeOfflineTransactions,
+        submitStoredTransactions,
+        submitOfflineBatch,
+        createTimeLockedTransfer,
+        listClaimableBalances,
+        claimClaimableBalance,
+        createMultiSigEscrow,
+        createEscrowReleaseTransaction,
+        signTransaction,
+        requestEscrowTransfer,
+        addEscrowSignature,
+        getEscrowRequest,
+        getEscrow,
+        createMilestonePayments,
+        submitMilestoneEvidence,
+        approveMilestone,
+        rejectMilestone,
+        releaseMilestone,
+        getMilestone,
+        listMilestones,
+        createSchedule,
+        runDueSchedules,
+        startScheduler,
+        pauseSchedule,
+        resumeSchedule,
+        skipScheduleOccurrence,
+        getScheduleRuns,
+        listSchedules,
+        EVENT_TYPES,
+        registerWebhook,
+        listWebhooks,
+        deactivateWebhook,
+        emitEvent,
+        deliverPendingWebhooks,
+        listWebhookDeliveries,
+        startEventStream,
+        startWebhookDelivery,
+        subscribeToEvents,
+        createSimulatorProvider,
+        configureGateway,
+        setBeneficiaryPin,
+        handleUssdSession,
+        answerUssdRequest,
+        notifyDistributionRecipients,
+        discoverAnchor,
+        listAnchors,
+        authenticateWithAnchor,
+        startAnchorWithdrawal,
+        refreshAnchorWithdrawal,
+        sendAnchorWithdrawalPayment,
+        listAnchorWithdrawals,
+        createGrant,
+        getGrant,
+        listGrants,
+        checkGrantBudget,
+        reconcileGrants,
+        getPublicFlows,
+        issueDonorReceipt,
+        pseudonymizeBeneficiary,
+        getReceiptSigningKey,
+        getFraudRules,
+        configureFraudRules,
+        listReviews,
+        getReview,
+        approveReview,
+        rejectReview,
+        listRuleHits,
+        importKey,
+        resolveKeypair,
+        resolveAccountId,
+        listKeys,
+        getKey,
+        rotateKey,
+        exportKey,
+        ROLES,
+        authenticate,
+        requireRole,
+        createApiCredential,
+        listApiCredentials,
+        revokeApiCredential,
+        appendAuditEntry,
+        queryAuditLog,
+        verifyAuditLog,
+        trackTransaction,
+        queryLedger,
+        getLedgerRecord,
+        getTransactionStatus,
+        generateImpactReport
+    };
 }
 
+// ------------------------------------------
+// DONOR RECEIPTS
+// ------------------------------------------
+
 /**
- * Sign a transaction with a given secret key
- * @param {string} transactionXDR - XDR representation of the transaction
- * @param {string} signerSecretKey - Secret key of a signer
- * @returns {string} The XDR of the signed transaction
+ * Check the signature of a donor receipt. Only the receipt is needed, so a donor
+ * can verify it offline and then compare its signer with the key the NGO publishes.
+ * @param {Object|string} receipt - The receipt, or its JSON
+ * @returns {Object} Whether the signature is valid, and the key that made it
  */
-function signTransaction(transactionXDR, signerSecretKey) {
+function verifyDonorReceipt(receipt) {
+    const { signature, ...content } = typeof receipt === 'string' ? JSON.parse(receipt) : receipt;
+
+    let valid = false;
     try {
-        const signerKeypair = StellarSdk.Keypair.fromSecret(signerSecretKey);
-        
-        // Convert XDR to transaction object
-        const transaction = StellarSdk.TransactionBuilder.fromXDR(
-            transactionXDR,
-            networkPassphrase
-        );
-        
-        // Sign the transaction
-        transaction.sign(signerKeypair);
-        
-        // Return the new XDR
-        return transaction.toXDR();
+        valid = StellarSdk.Keypair.fromPublicKey(content.signer)
+            .verify(Buffer.from(JSON.stringify(content)), Buffer.from(signature, 'base64'));
     } catch (error) {
-        console.error('Error signing transaction:', error);
-        throw error;
+        // A missing or malformed signer or signature is simply not valid
     }
+
+    return { valid, signer: content.signer || null };
 }
 
+// ------------------------------------------
+// WEBHOOK SIGNATURES
+// ------------------------------------------
+
 /**
- * Create a milestone-based conditional payment
- * @param {string} ngoSecretKey - Secret key of the NGO
- * @param {Array} milestones - Array of objects containing milestone details
- * @returns {Object} Details of the milestone payments
+ * Check the X-NGO-Signature header of a webhook delivery, for receivers of the
+ * toolkit's webhooks. The signature must match the raw request body, and its
+ * timestamp must be recent so that old deliveries cannot be replayed.
+ * @param {string} secret - Secret returned when the webhook was registered
+ * @param {string} header - The X-NGO-Signature header
+ * @param {string|Buffer} body - The raw request body
+ * @param {number} tolerance - Seconds a delivery stays valid, 5 minutes by default
+ * @returns {boolean} Whether the delivery is genuine
  */
-async function createMilestonePayments(ngoSecretKey, milestones) {
-    const ngoKeypair = StellarSdk.Keypair.fromSecret(ngoSecretKey);
-    const results = [];
-    
-    try {
-        for (const milestone of milestones) {
-            // Based on milestone type, create appropriate conditional transfer
-            if (milestone.type === 'time') {
-                // Time-based milestone
-                const unlockDate = new Date(milestone.unlockDate);
-                const result = await createTimeLockedTransfer(
-                    ngoSecretKey,
-                    milestone.beneficiaryPublicKey,
-                    milestone.amount,
-                    unlockDate
-                );
-                
-                results.push({
-                    milestoneId: milestone.id,
-                    milestoneName: milestone.name,
-                    type: 'time',
-                    transactionXDR: result.xdr,
-                    unlockDate: unlockDate
-                });
-            } else if (milestone.type === 'approval') {
-                // Approval-based milestone requiring multiple signatures
-                const result = await createMultiSigEscrow(
-                    ngoSecretKey,
-                    milestone.beneficiaryPublicKey,
-                    milestone.approverPublicKey,
-                    milestone.amount
-                );
-                
-                results.push({
-                    milestoneId: milestone.id,
-                    milestoneName: milestone.name,
-                    type: 'approval',
-                    escrowAccount: result.escrowPublicKey,
-                    requiredSigners: result.requiredSigners,
-                    requiredSignatures: result.requiredSignatures
-                });
-            }
-        }
-        
-        return results;
-    } catch (error) {
-        console.error('Error creating milestone payments:', error);
-        throw error;
+function verifyWebhookSignature(secret, header, body, tolerance = 300) {
+    const parts = Object.fromEntries((header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!parts.v1 || !Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > tolerance) {
+        return false;
     }
+
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return parts.v1.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected));
 }
 
 // ------------------------------------------
-// 4. ANALYTICS DASHBOARD INTEGRATION
+// CONFIGURATION AND STORAGE
 // ------------------------------------------
 
 /**
- * Track transaction for analytics
- * @param {Object} transaction - Transaction details to track
- * @returns {Object} The stored transaction record
+ * Load the network profile from the optional NGO_NETWORK_CONFIG file and the
+ * environment. STELLAR_NETWORK picks a profile (testnet by default), and
+ * HORIZON_URL, NETWORK_PASSPHRASE and FRIENDBOT_URL override its settings, which
+ * is how a standalone network with its own passphrase is configured. Settings
+ * passed in take precedence over both.
+ * @param {string|Object} overrides - Profile name, or settings such as { network, horizonUrl, networkPassphrase, limits }
+ * @returns {Object} The network profile
  */
-function trackTransaction(transaction) {
-    // In a real implementation, this would store to a database
-    const record = {
-        id: crypto.randomUUID(),
-        timestamp: new Date(),
-        ...transaction,
+function loadNetworkProfile(overrides = {}) {
+    if (typeof overrides === 'string') {
+        overrides = { network: overrides };
+    }
+    
+    const config = process.env.NGO_NETWORK_CONFIG
+        ? JSON.parse(fs.readFileSync(process.env.NGO_NETWORK_CONFIG, 'utf8'))
+        : {};
+    
+    const name = overrides.network || process.env.STELLAR_NETWORK || config.network || 'testnet';
+    const base = NETWORK_PROFILES[name];
+    if (!base) {
+        throw new Error(`Unknown network ${name}, use one of ${Object.keys(NETWORK_PROFILES).join(', ')}`);
+    }
+    
+    const profile = {
+        name: name,
+        ...base,
+        ...config,
+        limits: { ...base.limits, ...config.limits }
     };
+    delete profile.network;
+    
+    if (process.env.HORIZON_URL) {
+        profile.horizonUrl = process.env.HORIZON_URL;
+    }
+    if (process.env.NETWORK_PASSPHRASE) {
+        profile.networkPassphrase = process.env.NETWORK_PASSPHRASE;
+    }
+    if (process.env.FRIENDBOT_URL !== undefined) {
+        profile.friendbotUrl = process.env.FRIENDBOT_URL || null;
+    }
+    if (process.env.NGO_MAX_TRANSACTION_AMOUNT) {
+        // For example "XLM=10000,USDC=5000,*=1000"
+        profile.limits.maxTransactionAmount = Object.fromEntries(
+            process.env.NGO_MAX_TRANSACTION_AMOUNT.split(',').map(entry => entry.trim().split('='))
+        );
+    }
+    if (process.env.NGO_CONFIRM_PUBLIC_NETWORK !== undefined) {
+        profile.confirmed = process.env.NGO_CONFIRM_PUBLIC_NETWORK === 'true';
+    }
     
-    // For this example, we'll just console.log the record
-    console.log('Transaction tracked:', record);
+    Object.assign(profile, overrides, { name: name, limits: { ...profile.limits, ...overrides.limits } });
+    delete profile.network;
     
-    return record;
+    if (!profile.horizonUrl || !profile.networkPassphrase) {
+        throw new Error(`Network ${name} needs a Horizon URL and a network passphrase`);
+    }
+    
+    // Plain HTTP is only acceptable for a Horizon running next to us
+    profile.allowHttp = /^http:\/\/(localhost|127\.0\.0\.1)(:|\/|$)/.test(profile.horizonUrl);
+    
+    return profile;
 }
 
 /**
- * Generate impact report based on tracked transactions
- * @param {string} ngoPublicKey - Public key of the NGO
- * @param {Date} startDate - Start date for the report
- * @param {Date} endDate - End date for the report
- * @returns {Object} The impact report
+ * Create a store that keeps JSON documents as files in a directory
+ * @param {string} directory - Directory holding the documents
+ * @returns {Object} Store with read, write, remove and list functions for documents,
+ *                   and append and readLines for append-only logs
  */
-async function generateImpactReport(ngoPublicKey, startDate, endDate) {
-    try {
-        // In a real implementation, this would query from a database
-        // For this example, we'll use the Stellar operations history
-        
-        // Convert dates to timestamps
-        const startTimestamp = startDate.toISOString();
-        const endTimestamp = endDate.toISOString();
+function createFileStore(directory) {
+    const pathFor = name => path.join(directory, `${name}.json`);
+    
+    return {
+        read(name, fallback = null) {
+            try {
+                return JSON.parse(fs.readFileSync(pathFor(name), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return fallback;
+                }
+                throw error;
+            }
+        },
         
-        // Get payment operations from the NGO account
-        const operations = await server.operations()
-            .forAccount(ngoPublicKey)
-            .includeFailed(false)
-            .cursor('now')
-            .limit(200)
-            .call();
+        write(name, data) {
+            const file = pathFor(name);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            
+            // Write to a temporary file first so a crash never leaves half a document
+            const temporaryFile = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(temporaryFile, JSON.stringify(data, null, 2));
+            fs.renameSync(temporaryFile, file);
+        },
         
-        // Filter operations by type and date
-        const payments = operations.records
-            .filter(op => 
-                op.type === 'payment' && 
-                op.created_at >= startTimestamp && 
-                op.created_at <= endTimestamp
-            );
+        remove(name) {
+            fs.rmSync(pathFor(name), { force: true });
+        },
         
-        // Aggregate data
-        let totalDistributed = 0;
-        const beneficiaries = new Set();
-        const distributionByDate = {};
+        append(name, record) {
+            const file = path.join(directory, `${name}.jsonl`);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+        },
         
-        payments.forEach(payment => {
-            if (payment.asset_type === 'native') {
-                totalDistributed += parseFloat(payment.amount);
-                beneficiaries.add(payment.to);
-                
-                // Group by date
-                const date = payment.created_at.split('T')[0];
-                if (!distributionByDate[date]) {
-                    distributionByDate[date] = 0;
+        readLines(name) {
+            let data;
+            try {
+                data = fs.readFileSync(path.join(directory, `${name}.jsonl`), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return [];
                 }
-                distributionByDate[date] += parseFloat(payment.amount);
+                throw error;
             }
-        });
+            
+            // A crash mid-append can leave a partial last line, which is skipped
+            return data.split('\n').filter(Boolean).flatMap(line => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (error) {
+                    return [];
+                }
+            });
+        },
         
-        // Create the report
-        return {
-            organizationId: ngoPublicKey,
-            reportPeriod: {
-                start: startDate,
-                end: endDate
-            },
-            summary: {
-                totalDistributed: totalDistributed,
-                totalBeneficiaries: beneficiaries.size,
-                averagePerBeneficiary: totalDistributed / (beneficiaries.size || 1)
-            },
-            distributionTimeline: Object.entries(distributionByDate).map(([date, amount]) => ({
-                date,
-                amount
-            })),
-            lastUpdated: new Date()
-        };
-    } catch (error) {
-        console.error('Error generating impact report:', error);
-        throw error;
-    }
+        list(prefix) {
+            try {
+                return fs.readdirSync(path.join(directory, prefix))
+                    .filter(file => file.endsWith('.json'))
+                    .map(file => file.slice(0, -'.json'.length));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return [];
+                }
+                throw error;
+            }
+        }
+    };
 }
 
-// ------------------------------------------
-// API ENDPOINTS
-// ------------------------------------------
-
-// Create NGO account
-app.post('/api/ngo/create', async (req, res) => {
-    try {
-        const account = await createNGOAccount();
-        res.json(account);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Create beneficiary account
-app.post('/api/beneficiary/create', async (req, res) => {
-    try {
-        const { ngoSecretKey, initialBalance } = req.body;
-        const account = await createBeneficiaryAccount(ngoSecretKey, initialBalance);
-        res.json(account);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Distribute funds
-app.post('/api/funds/distribute', async (req, res) => {
-    try {
-        const { ngoSecretKey, beneficiaries, assetCode } = req.body;
-        const result = await distributeFunds(ngoSecretKey, beneficiaries, assetCode);
-        res.json(result);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Generate offline transaction
-app.post('/api/transaction/offline/generate', async (req, res) => {
-    try {
-        const { senderSecretKey, recipientPublicKey, amount } = req.body;
-        const transaction = await generateOfflineTransaction(senderSecretKey, recipientPublicKey, amount);
-        res.json({ xdr: transaction.xdr });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Submit offline transaction
-app.post('/api/transaction/offline/submit', async (req, res) => {
-    try {
-        const { xdr } = req.body;
-        const result = await submitOfflineTransaction(xdr);
-        res.json(result);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Create milestone payments
-app.post('/api/milestone/create', async (req, res) => {
-    try {
-        const { ngoSecretKey, milestones } = req.body;
-        const results = await createMilestonePayments(ngoSecretKey, milestones);
-        res.json(results);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Generate impact report
-app.post('/api/analytics/report', async (req, res) => {
-    try {
-        const { ngoPublicKey, startDate, endDate } = req.body;
-        const report = await generateImpactReport(
-            ngoPublicKey,
-            new Date(startDate),
-            new Date(endDate)
-        );
-        res.json(report);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`Financial Inclusion Toolkit server running on port ${PORT}`);
-});
-
-// Export the functions for usage in other modules
 module.exports = {
-    createNGOAccount,
-    createBeneficiaryAccount,
-    distributeFunds,
-    generateOfflineTransaction,
-    submitOfflineTransaction,
-    storeOfflineTransactions,
-    submitStoredTransactions,
-    createTimeLockedTransfer,
-    createMultiSigEscrow,
-    createEscrowReleaseTransaction,
-    signTransaction,
-    createMilestonePayments,
-    trackTransaction,
-    generateImpactReport
-};
\ No newline at end of file
+    createToolkit,
+    createFileStore,
+    loadNetworkProfile,
+    verifyDonorReceipt,
+    verifyWebhookSignature,
+    NETWORK_PROFILES
+};
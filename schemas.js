@@ -0,0 +1,961 @@
+// Request schemas of the HTTP API
+// The body, query, path parameters and headers of every route are described with
+// a subset of JSON Schema. server.js checks each request against its route's schema before
+// it reaches the toolkit, and buildOpenApiDocument() turns the same schemas into
+// the OpenAPI document served at /openapi.json.
+
+const StellarSdk = require('stellar-sdk');
+
+// Largest stroop amount Stellar can represent (a signed 64-bit integer)
+const MAX_STROOPS = 9223372036854775807n;
+
+// ------------------------------------------
+// SHARED TYPES
+// ------------------------------------------
+
+const publicKey = { type: 'string', format: 'stellar-public-key', description: 'Stellar public key (G...)' };
+const keyRef = { type: 'string', minLength: 1, maxLength: 100, description: 'Key vault ID or alias' };
+const amount = { type: ['string', 'number'], format: 'amount', description: 'Positive amount with at most 7 decimals' };
+const date = { type: 'string', format: 'date-time', description: 'ISO 8601 date, or date and time' };
+const id = { type: 'string', minLength: 1, maxLength: 100 };
+const flag = { type: 'boolean' };
+const count = (minimum, maximum) => ({ type: 'integer', minimum, maximum });
+const text = (maxLength = 200) => ({ type: 'string', maxLength });
+const choice = (...values) => ({ type: 'string', enum: values });
+const array = (items, maxItems, minItems = 0) => ({ type: 'array', items, minItems, maxItems });
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+
+const assetCode = { type: 'string', pattern: '^[A-Za-z0-9]{1,12}$', description: 'Asset code, 1 to 12 letters and digits' };
+const issuedAsset = object({ code: assetCode, issuer: publicKey }, ['code', 'issuer']);
+const asset = {
+    anyOf: [
+        { type: 'string', pattern: '^(XLM|native|[A-Za-z0-9]{1,12}:G[A-Z2-7]{55})$' },
+        object({ code: assetCode, issuer: publicKey }, ['code'])
+    ],
+    description: '"XLM", "CODE:ISSUER", or { code, issuer }'
+};
+
+const program = text(100);
+const tag = text(100);
+const slippage = { type: 'number', minimum: 0, maximum: 1, description: 'Extra cost allowed over the quote, as a fraction' };
+const xdr = { type: 'string', minLength: 1, maxLength: 100000, description: 'Base64 transaction envelope XDR' };
+const txHash = { type: 'string', pattern: '^[0-9a-fA-F]{64}$', description: 'A 64 character hex transaction hash' };
+
+// Retries with the same key return the first answer instead of paying again
+const idempotent = object({
+    'Idempotency-Key': { type: 'string', minLength: 1, maxLength: 255, description: 'Key chosen by the client for this request' }
+});
+
+// Distribution jobs are sized for thousands of recipients
+const MAX_RECIPIENTS = 10000;
+
+const beneficiary = object({
+    publicKey: publicKey,
+    amount: amount,
+    receiveAsset: asset,
+    maxSlippage: slippage
+}, ['publicKey', 'amount']);
+
+const cohortRule = object({
+    type: choice('fixed', 'byRegion'),
+    amount: amount,
+    amounts: { type: 'object', additionalProperties: amount },
+    default: amount
+}, ['type']);
+
+const signer = object({ publicKey: publicKey, weight: count(1, 255) }, ['publicKey']);
+const signers = { anyOf: [publicKey, array({ anyOf: [publicKey, signer] }, 20, 1)] };
+
+const milestone = object({
+    name: text(200),
+    type: choice('time', 'approval'),
+    beneficiaryPublicKey: publicKey,
+    amount: amount,
+    asset: asset,
+    program: program,
+    grantId: id,
+    unlockDate: date,
+    reclaimDate: date,
+    dueDate: date,
+    approverPublicKey: publicKey,
+    signers: signers,
+    threshold: count(1, 255)
+}, ['name', 'type', 'beneficiaryPublicKey', 'amount']);
+
+const page = {
+    limit: count(1, 1000),
+    offset: count(0)
+};
+
+// ------------------------------------------
+// ROUTES
+// ------------------------------------------
+
+// Routes keyed by "METHOD /path", path parameters are named as in Express
+const ROUTES = {
+    'GET /api/network': {
+        summary: 'Describe the Stellar network the toolkit is connected to'
+    },
+    'POST /api/ngo/create': {
+        summary: 'Create an NGO account',
+        body: object({ alias: text(100), funderKey: keyRef, startingBalance: amount })
+    },
+    'POST /api/beneficiary/create': {
+        summary: 'Create a beneficiary account',
+        body: object({
+            ngoKey: keyRef,
+            initialBalance: { type: ['string', 'number'], format: 'amount-or-zero' },
+            alias: text(100),
+            sponsored: flag,
+            assets: array(issuedAsset, 20),
+            program: program
+        }, ['ngoKey'])
+    },
+    'GET /api/sponsorships': {
+        summary: 'List sponsored beneficiary accounts',
+        query: object({ status: text(50) })
+    },
+    'POST /api/sponsorships/:publicKey/revoke': {
+        summary: 'End the sponsorship of a beneficiary leaving a program',
+        params: object({ publicKey: publicKey }),
+        body: object({ ngoKey: keyRef, reclaim: flag }, ['ngoKey'])
+    },
+    'POST /api/transaction/fee-bump': {
+        summary: 'Pay the fee of a beneficiary-signed transaction',
+        body: object({
+            ngoKey: keyRef,
+            transactionXDR: xdr,
+            baseFee: { type: ['string', 'integer'], pattern: '^\\d+$' },
+            program: program
+        }, ['ngoKey', 'transactionXDR'])
+    },
+    'POST /api/registry/beneficiaries': {
+        summary: 'Enroll a beneficiary in the registry',
+        body: object({
+            ngoKey: keyRef,
+            name: text(200),
+            householdId: text(100),
+            region: text(100),
+            phone: { type: 'string', pattern: '^\\+?[0-9 ().-]{5,25}$' },
+            publicKey: publicKey,
+            cohorts: array(id, 50),
+            assets: array(issuedAsset, 20),
+            sponsored: flag,
+            program: program
+        }, ['ngoKey', 'name'])
+    },
+    'POST /api/registry/import': {
+        summary: 'Enroll beneficiaries from a CSV file',
+        body: object({
+            ngoKey: keyRef,
+            csv: { type: 'string', minLength: 1, maxLength: 5000000 },
+            cohortId: id,
+            assets: array(issuedAsset, 20),
+            sponsored: flag,
+            program: program
+        }, ['ngoKey', 'csv'])
+    },
+    'GET /api/registry/beneficiaries': {
+        summary: 'List beneficiaries in the registry',
+        query: object({ cohort: id, region: text(100), status: text(50) })
+    },
+    'GET /api/registry/beneficiaries/:beneficiaryId': {
+        summary: 'Get a beneficiary from the registry',
+        params: object({ beneficiaryId: id })
+    },
+    'POST /api/registry/beneficiaries/:beneficiaryId/pin': {
+        summary: 'Set the USSD PIN of a beneficiary',
+        params: object({ beneficiaryId: id }),
+        body: object({ pin: { type: 'string', pattern: '^\\d{4,6}$' } }, ['pin'])
+    },
+    'POST /api/cohorts': {
+        summary: 'Create a cohort',
+        body: object({ name: text(200), program: program, description: text(1000) }, ['name'])
+    },
+    'GET /api/cohorts': {
+        summary: 'List cohorts with their member counts'
+    },
+    'POST /api/cohorts/:cohortId/members': {
+        summary: 'Add beneficiaries to a cohort',
+        params: object({ cohortId: id }),
+        body: object({ beneficiaryIds: array(id, MAX_RECIPIENTS, 1) }, ['beneficiaryIds'])
+    },
+    'POST /api/cohorts/:cohortId/members/remove': {
+        summary: 'Remove beneficiaries from a cohort',
+        params: object({ cohortId: id }),
+        body: object({ beneficiaryIds: array(id, MAX_RECIPIENTS, 1) }, ['beneficiaryIds'])
+    },
+    'POST /api/cohorts/:cohortId/distribute': {
+        summary: 'Distribute funds to every member of a cohort as a background job',
+        params: object({ cohortId: id }),
+        body: object({
+            ngoKey: keyRef,
+            rule: cohortRule,
+            asset: asset,
+            batchSize: count(1, 100),
+            maxAttempts: count(1, 20),
+            program: program,
+            tag: tag,
+            grantId: id
+        }, ['ngoKey', 'rule'])
+    },
+    'POST /api/funds/quote': {
+        summary: 'Quote the cost of a distribution without signing anything',
+        body: object({
+            beneficiaries: array(beneficiary, MAX_RECIPIENTS, 1),
+            asset: asset,
+            assetCode: asset,
+            batchSize: count(1, 100),
+            maxSlippage: slippage
+        }, ['beneficiaries'])
+    },
+    'POST /api/funds/distribute': {
+        summary: 'Distribute funds as a background job',
+        headers: idempotent,
+        body: object({
+            ngoKey: keyRef,
+            beneficiaries: array(beneficiary, MAX_RECIPIENTS, 1),
+            asset: asset,
+            assetCode: asset,
+            batchSize: count(1, 100),
+            maxAttempts: count(1, 20),
+            maxSlippage: slippage,
+            program: program,
+            tag: tag,
+            grantId: id,
+            dryRun: flag
+        }, ['ngoKey', 'beneficiaries'])
+    },
+    'GET /api/funds/distribute': {
+        summary: 'List distribution jobs',
+        query: object({ status: text(50) })
+    },
+    'GET /api/funds/distribute/:jobId': {
+        summary: 'Report the progress of a distribution job',
+        params: object({ jobId: id })
+    },
+    'POST /api/funds/distribute/:jobId/resume': {
+        summary: 'Resume an interrupted distribution job',
+        params: object({ jobId: id }),
+        body: object({ ngoKey: keyRef }, ['ngoKey'])
+    },
+    'POST /api/asset/create': {
+        summary: 'Create an issuer/distributor pair and issue an NGO asset',
+        body: object({
+            ngoKey: keyRef,
+            assetCode: assetCode,
+            supply: amount,
+            authRequired: flag,
+            authRevocable: flag,
+            clawbackEnabled: flag,
+            startingBalance: amount,
+            alias: text(100)
+        }, ['ngoKey', 'assetCode'])
+    },
+    'POST /api/asset/trustline': {
+        summary: 'Establish a beneficiary trustline',
+        body: object({
+            beneficiaryKey: keyRef,
+            asset: asset,
+            issuerKey: keyRef,
+            limit: amount,
+            sponsorKey: keyRef
+        }, ['beneficiaryKey', 'asset'])
+    },
+    'POST /api/asset/authorize': {
+        summary: 'Authorize or revoke a beneficiary trustline',
+        body: object({
+            issuerKey: keyRef,
+            trustorPublicKey: publicKey,
+            asset: asset,
+            authorized: flag
+        }, ['issuerKey', 'trustorPublicKey', 'asset'])
+    },
+    'POST /api/transaction/offline/generate': {
+        summary: 'Generate an offline transaction',
+        body: object({ senderKey: keyRef, recipientPublicKey: publicKey, amount: amount }, ['senderKey', 'recipientPublicKey', 'amount'])
+    },
+    'POST /api/transaction/offline/submit': {
+        summary: 'Submit a previously generated transaction',
+        headers: idempotent,
+        body: object({ xdr: xdr }, ['xdr'])
+    },
+    'POST /api/transaction/offline/batch': {
+        summary: 'Generate a batch of offline payments',
+        body: object({
+            senderKey: keyRef,
+            payments: array(object({ publicKey: publicKey, amount: amount }, ['publicKey', 'amount']), 1000, 1),
+            channelKeys: array(keyRef, 100),
+            asset: asset,
+            program: program
+        }, ['senderKey', 'payments'])
+    },
+    'POST /api/transaction/offline/submit-batch': {
+        summary: 'Submit a batch of offline transactions in sequence order',
+        body: object({
+            transactions: array({ anyOf: [xdr, object({ xdr: xdr, index: count(0), program: program, tag: tag }, ['xdr'])] }, 1000, 1)
+        }, ['transactions'])
+    },
+    'POST /api/transfer/timelock': {
+        summary: 'Create a time-locked transfer',
+        body: object({
+            senderKey: keyRef,
+            recipientPublicKey: publicKey,
+            amount: amount,
+            unlockDate: date,
+            reclaimDate: date,
+            asset: asset,
+            program: program
+        }, ['senderKey', 'recipientPublicKey', 'amount', 'unlockDate'])
+    },
+    'GET /api/claimable/:publicKey': {
+        summary: 'List pending claimable balances of an account',
+        params: object({ publicKey: publicKey }),
+        query: object({ role: choice('claimant', 'sponsor') })
+    },
+    'POST /api/claimable/claim': {
+        summary: 'Claim a claimable balance as the beneficiary',
+        body: object({ claimantKey: keyRef, balanceId: { type: 'string', pattern: '^[0-9a-fA-F]{72}$' }, feeSourceKey: keyRef }, ['claimantKey', 'balanceId'])
+    },
+    'POST /api/claimable/reclaim': {
+        summary: 'Reclaim an expired claimable balance as the NGO',
+        body: object({ ngoKey: keyRef, balanceId: { type: 'string', pattern: '^[0-9a-fA-F]{72}$' } }, ['ngoKey', 'balanceId'])
+    },
+    'POST /api/escrow/create': {
+        summary: 'Create a multi-signature escrow',
+        body: object({
+            ngoKey: keyRef,
+            beneficiaryPublicKey: publicKey,
+            signers: signers,
+            thirdPartyPublicKey: publicKey,
+            amount: amount,
+            threshold: count(1, 255),
+            program: program,
+            grantId: id,
+            dryRun: flag
+        }, ['ngoKey', 'beneficiaryPublicKey', 'amount'])
+    },
+    'GET /api/escrow/:escrowPublicKey': {
+        summary: 'Get an escrow and the status of its requests',
+        params: object({ escrowPublicKey: publicKey })
+    },
+    'POST /api/escrow/:escrowPublicKey/release': {
+        summary: 'Request a release of escrowed funds to the beneficiary',
+        params: object({ escrowPublicKey: publicKey }),
+        body: object({ amount: amount, validFor: count(60, 30 * 24 * 60 * 60) })
+    },
+    'POST /api/escrow/:escrowPublicKey/refund': {
+        summary: 'Request a refund of escrowed funds to the NGO',
+        params: object({ escrowPublicKey: publicKey }),
+        body: object({ amount: amount, validFor: count(60, 30 * 24 * 60 * 60) })
+    },
+    'GET /api/escrow/requests/:requestId': {
+        summary: 'See which signers have signed a pending release or refund',
+        params: object({ requestId: id })
+    },
+    'POST /api/escrow/requests/:requestId/sign': {
+        summary: 'Add a signature to a pending release or refund',
+        params: object({ requestId: id }),
+        body: object({ signedXdr: xdr, signerKey: keyRef })
+    },
+    'POST /api/milestone/create': {
+        summary: 'Create milestone payments',
+        body: object({ ngoKey: keyRef, milestones: array(milestone, 100, 1), grantId: id, dryRun: flag }, ['ngoKey', 'milestones'])
+    },
+    'GET /api/milestones': {
+        summary: 'List milestones',
+        query: object({ status: text(50), program: program, beneficiary: publicKey })
+    },
+    'GET /api/milestones/:milestoneId': {
+        summary: 'Get a milestone with its evidence and history',
+        params: object({ milestoneId: id })
+    },
+    'POST /api/milestones/:milestoneId/evidence': {
+        summary: 'Submit evidence that a milestone was reached',
+        params: object({ milestoneId: id }),
+        body: object({
+            content: { type: 'string', minLength: 1, maxLength: 20000000, description: 'File content, base64 encoded' },
+            filename: text(255),
+            contentType: text(100)
+        }, ['content'])
+    },
+    'POST /api/milestones/:milestoneId/approve': {
+        summary: 'Approve the evidence of a milestone',
+        params: object({ milestoneId: id }),
+        body: object({ note: text(1000) })
+    },
+    'POST /api/milestones/:milestoneId/reject': {
+        summary: 'Reject the evidence of a milestone',
+        params: object({ milestoneId: id }),
+        body: object({ reason: text(1000) }, ['reason'])
+    },
+    'POST /api/milestones/:milestoneId/release': {
+        summary: 'Release the funds of an approved milestone',
+        params: object({ milestoneId: id }),
+        body: object({ ngoKey: keyRef }, ['ngoKey'])
+    },
+    'POST /api/schedules': {
+        summary: 'Create a schedule of recurring disbursements',
+        body: object({
+            name: text(200),
+            ngoKey: keyRef,
+            frequency: choice('monthly', 'biweekly', 'cron'),
+            cron: text(100),
+            startDate: date,
+            endDate: date,
+            recipients: array({ anyOf: [publicKey, object({ publicKey: publicKey, amount: amount }, ['publicKey'])] }, MAX_RECIPIENTS, 1),
+            amount: amount,
+            cohortId: id,
+            rule: cohortRule,
+            asset: asset,
+            program: program,
+            tag: tag,
+            grantId: id
+        }, ['ngoKey', 'frequency', 'startDate'])
+    },
+    'GET /api/schedules': {
+        summary: 'List schedules',
+        query: object({ status: choice('active', 'paused', 'ended') })
+    },
+    'GET /api/schedules/:scheduleId': {
+        summary: 'List the past runs and upcoming occurrences of a schedule',
+        params: object({ scheduleId: id }),
+        query: object({ upcoming: count(0, 100) })
+    },
+    'POST /api/schedules/:scheduleId/pause': {
+        summary: 'Pause a schedule',
+        params: object({ scheduleId: id })
+    },
+    'POST /api/schedules/:scheduleId/resume': {
+        summary: 'Resume a paused schedule',
+        params: object({ scheduleId: id })
+    },
+    'POST /api/schedules/:scheduleId/skip': {
+        summary: 'Skip an upcoming occurrence of a schedule',
+        params: object({ scheduleId: id }),
+        body: object({ occurrence: date, reason: text(1000) }, ['occurrence'])
+    },
+    'POST /api/webhooks': {
+        summary: 'Register a webhook',
+        body: object({
+            url: { type: 'string', format: 'uri', maxLength: 2000 },
+            events: array(text(100), 20),
+            description: text(1000)
+        }, ['url'])
+    },
+    'GET /api/webhooks': {
+        summary: 'List webhooks'
+    },
+    'POST /api/webhooks/:webhookId/deactivate': {
+        summary: 'Stop delivering events to a webhook',
+        params: object({ webhookId: id })
+    },
+    'GET /api/webhooks/deliveries': {
+        summary: 'List webhook delivery attempts',
+        query: object({ webhookId: id, eventId: id, status: text(50) })
+    },
+    'POST /api/anchors/discover': {
+        summary: 'Discover an anchor from its stellar.toml',
+        body: object({ domain: { type: 'string', pattern: '^[A-Za-z0-9.-]+(:\\d+)?$', maxLength: 255 }, allowHttp: flag }, ['domain'])
+    },
+    'GET /api/anchors': {
+        summary: 'List discovered anchors'
+    },
+    'POST /api/anchors/:domain/auth': {
+        summary: 'Authenticate a beneficiary account with an anchor',
+        params: object({ domain: text(255) }),
+        body: object({ accountKey: keyRef }, ['accountKey'])
+    },
+    'POST /api/anchors/:domain/withdrawals': {
+        summary: 'Start a cash-out withdrawal with an anchor',
+        params: object({ domain: text(255) }),
+        body: object({
+            beneficiaryKey: keyRef,
+            assetCode: { anyOf: [assetCode, choice('native')] },
+            amount: amount,
+            protocol: choice('sep24', 'sep6'),
+            type: text(50)
+        }, ['beneficiaryKey', 'assetCode'])
+    },
+    'GET /api/anchors/withdrawals': {
+        summary: 'List withdrawals',
+        query: object({ domain: text(255), account: publicKey, status: text(50) })
+    },
+    'GET /api/anchors/withdrawals/:withdrawalId': {
+        summary: 'Get the latest status of a withdrawal from its anchor',
+        params: object({ withdrawalId: id })
+    },
+    'POST /api/anchors/withdrawals/:withdrawalId/pay': {
+        summary: "Send the beneficiary's payment to the anchor",
+        params: object({ withdrawalId: id }),
+        body: object({ feeSourceKey: keyRef })
+    },
+    'POST /api/grants': {
+        summary: 'Record a donor grant and its budget',
+        body: object({
+            donor: text(200),
+            name: text(200),
+            amount: amount,
+            asset: asset,
+            startDate: date,
+            endDate: date,
+            programs: array(program, 50)
+        }, ['donor', 'amount', 'startDate', 'endDate'])
+    },
+    'GET /api/grants': {
+        summary: 'List grants',
+        query: object({ donor: text(200), program: program, status: choice('upcoming', 'active', 'ended') })
+    },
+    'GET /api/grants/reconciliation': {
+        summary: 'Reconcile on-chain outflows with grants and budget lines',
+        query: object({ ngoKey: { anyOf: [publicKey, keyRef] }, from: date, to: date }, ['ngoKey'])
+    },
+    'GET /api/grants/:grantId': {
+        summary: 'Get a grant with its committed and remaining budget',
+        params: object({ grantId: id })
+    },
+    'POST /api/transparency/receipts': {
+        summary: 'Issue a signed receipt showing a donor where the money of their grants went',
+        body: object({ donor: text(200), from: date, to: date }, ['donor'])
+    },
+    'GET /api/fraud/rules': {
+        summary: 'Describe the fraud rules distributions are screened with'
+    },
+    'POST /api/fraud/rules': {
+        summary: 'Enable, disable or tune fraud rules',
+        body: object({
+            duplicates: object({ enabled: flag }),
+            crossProgram: object({ enabled: flag, cycleDays: count(1, 366) }),
+            velocity: object({ enabled: flag, windowDays: count(1, 366), maxPayments: count(1, 1000) }),
+            amount: object({
+                enabled: flag,
+                multiplier: { type: 'number', minimum: 1 },
+                windowDays: count(1, 366),
+                minSample: count(1, 10000),
+                maxAmount: { type: 'object', additionalProperties: amount, description: 'Limit per payment by asset code, "*" for any asset' }
+            }),
+            unknownDestination: object({ enabled: flag }),
+            newSigners: object({ enabled: flag, windowDays: count(1, 366) })
+        })
+    },
+    'GET /api/fraud/reviews': {
+        summary: 'List the reviews of recipients held by a fraud rule',
+        query: object({ status: choice('pending', 'approved', 'rejected'), jobId: id })
+    },
+    'GET /api/fraud/reviews/:reviewId': {
+        summary: 'Get the review of a held recipient',
+        params: object({ reviewId: id })
+    },
+    'POST /api/fraud/reviews/:reviewId/approve': {
+        summary: 'Release a held recipient, paid when its distribution job is resumed',
+        params: object({ reviewId: id }),
+        body: object({ note: text(1000) })
+    },
+    'POST /api/fraud/reviews/:reviewId/reject': {
+        summary: 'Refuse to pay a held recipient',
+        params: object({ reviewId: id }),
+        body: object({ reason: text(1000) }, ['reason'])
+    },
+    'GET /api/fraud/hits': {
+        summary: 'List fraud rule hits',
+        query: object({
+            rule: choice('duplicates', 'crossProgram', 'velocity', 'amount', 'unknownDestination', 'newSigners'),
+            jobId: id,
+            publicKey: publicKey,
+            from: date,
+            to: date,
+            ...page
+        })
+    },
+    'POST /api/analytics/report': {
+        summary: 'Generate an impact report',
+        body: object({ ngoPublicKey: publicKey, startDate: date, endDate: date }, ['ngoPublicKey', 'startDate', 'endDate'])
+    },
+    'POST /api/keys/import': {
+        summary: 'Import an existing secret key into the key vault',
+        body: object({
+            secretKey: { type: 'string', format: 'stellar-secret-key' },
+            alias: text(100),
+            role: text(50),
+            accountId: publicKey
+        }, ['secretKey'])
+    },
+    'GET /api/keys': {
+        summary: 'List the keys held in the key vault',
+        query: object({ role: text(50) })
+    },
+    'GET /api/keys/:keyRef': {
+        summary: 'Get a key by ID or alias',
+        params: object({ keyRef: keyRef })
+    },
+    'POST /api/keys/:keyRef/rotate': {
+        summary: 'Rotate the signing key of a vault account on-chain',
+        params: object({ keyRef: keyRef })
+    },
+    'POST /api/keys/:keyRef/export': {
+        summary: 'Export a key for self-custody, removing it from the vault',
+        params: object({ keyRef: keyRef }),
+        body: object({ confirm: flag }, ['confirm'])
+    },
+    'GET /api/ledger': {
+        summary: 'List and filter the local transaction ledger',
+        query: object({
+            program: program,
+            tag: tag,
+            beneficiary: publicKey,
+            asset: text(12),
+            status: choice('success', 'failed', 'expired', 'unknown'),
+            type: text(50),
+            txHash: txHash,
+            from: date,
+            to: date,
+            ...page
+        })
+    },
+    'GET /api/ledger/:recordId': {
+        summary: 'Get a single ledger record',
+        params: object({ recordId: id })
+    },
+    'GET /api/transaction/:hash': {
+        summary: 'Report whether a transaction is pending, succeeded, failed or expired',
+        params: object({ hash: txHash })
+    },
+    'POST /api/auth/credentials': {
+        summary: 'Issue an API credential',
+        body: object({ name: text(200), role: choice('admin', 'program_manager', 'field_agent', 'approver', 'auditor') }, ['name', 'role'])
+    },
+    'GET /api/auth/credentials': {
+        summary: 'List API credentials'
+    },
+    'POST /api/auth/credentials/:credentialId/revoke': {
+        summary: 'Revoke an API credential',
+        params: object({ credentialId: id })
+    },
+    'GET /api/audit': {
+        summary: 'List audit log entries',
+        query: object({ actor: id, action: text(200), from: date, to: date, ...page })
+    },
+    'GET /api/audit/verify': {
+        summary: 'Check that the audit log has not been tampered with'
+    },
+    'POST /gateway/ussd': {
+        // The form fields depend on the provider, which checks them itself
+        summary: 'USSD callback from the gateway provider',
+        public: true
+    },
+    'GET /transparency/flows': {
+        summary: 'Funds disbursed per program, with pseudonymized beneficiaries',
+        public: true,
+        query: object({ program: program, from: date, to: date, limit: count(1, 100) })
+    },
+    'POST /transparency/receipts/verify': {
+        summary: 'Check the signature of a donor receipt',
+        public: true,
+        body: object({ signer: publicKey, signature: text(200) }, ['signer', 'signature'])
+    },
+    'GET /openapi.json': {
+        summary: 'This OpenAPI document',
+        public: true
+    }
+};
+
+// ------------------------------------------
+// VALIDATION
+// ------------------------------------------
+
+const FORMATS = {
+    'stellar-public-key': value => StellarSdk.StrKey.isValidEd25519PublicKey(value) || 'must be a Stellar public key',
+    'stellar-secret-key': value => StellarSdk.StrKey.isValidEd25519SecretSeed(value) || 'must be a Stellar secret key',
+    'amount': value => isAmount(value, false) || 'must be a positive amount with at most 7 decimals',
+    'amount-or-zero': value => isAmount(value, true) || 'must be an amount with at most 7 decimals',
+    'date-time': value => (!isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}/.test(value)) || 'must be an ISO 8601 date',
+    'uri': value => /^https?:\/\/[^\s]+$/.test(value) || 'must be an http(s) URL'
+};
+
+function isAmount(value, allowZero) {
+    const amountText = value.toString();
+    if (!/^\d+(\.\d{1,7})?$/.test(amountText)) {
+        return false;
+    }
+
+    const [whole, fraction = ''] = amountText.split('.');
+    const stroops = BigInt(whole) * 10000000n + BigInt(fraction.padEnd(7, '0'));
+    return (allowZero || stroops > 0n) && stroops <= MAX_STROOPS;
+}
+
+/**
+ * Check a value against a schema
+ * @param {Object} schema - The schema
+ * @param {*} value - The value to check
+ * @param {string} path - Where the value is, for error messages
+ * @param {boolean} fromString - The value comes from a URL, so numbers and booleans are still strings
+ * @returns {Array} Errors as { field, message }, empty when the value is valid
+ */
+function validate(schema, value, path, fromString = false) {
+    if (schema.anyOf) {
+        // Report the errors of the closest option, one of the value's own type
+        const options = schema.anyOf.filter(option => {
+            const types = [].concat(option.type || []);
+            return types.length === 0 || types.includes(typeOf(value, types, fromString));
+        });
+        if (options.length === 0) {
+            return [{ field: path, message: `must be ${schema.description || 'one of the allowed types'}` }];
+        }
+
+        const attempts = options.map(option => validate(option, value, path, fromString));
+        return attempts.some(errors => errors.length === 0) ? [] : attempts.reduce((best, errors) =>
+            errors.length < best.length ? errors : best
+        );
+    }
+
+    const types = [].concat(schema.type || []);
+    const type = typeOf(value, types, fromString);
+    if (types.length > 0 && !types.includes(type)) {
+        return [{ field: path, message: `must be ${types.map(name => (name === 'integer' ? 'an integer' : `a ${name}`)).join(' or ')}` }];
+    }
+
+    const errors = [];
+    const fail = message => errors.push({ field: path, message });
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map(option => `"${option}"`).join(', ')}`);
+    }
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(schema.description ? `must be ${schema.description[0].toLowerCase()}${schema.description.slice(1)}` : 'has an invalid format');
+        }
+    }
+    if (schema.format && ['string', 'number'].includes(type)) {
+        const result = FORMATS[schema.format](value);
+        if (result !== true) {
+            fail(result);
+        }
+    }
+    if (type === 'number' || type === 'integer') {
+        const number = Number(value);
+        if (schema.minimum !== undefined && number < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && number > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+    }
+    if (type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        } else if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`, fromString)));
+        }
+    }
+    if (type === 'object') {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined || value[name] === null || value[name] === '') {
+                errors.push({ field: `${path}.${name}`, message: 'is required' });
+            }
+        }
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+            if (value[name] !== undefined && value[name] !== null) {
+                errors.push(...validate(property, value[name], `${path}.${name}`, fromString));
+            }
+        }
+        if (schema.additionalProperties) {
+            for (const [name, item] of Object.entries(value)) {
+                errors.push(...validate(schema.additionalProperties, item, `${path}.${name}`, fromString));
+            }
+        }
+    }
+
+    return errors;
+}
+
+function typeOf(value, types, fromString) {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (value === null) {
+        return 'null';
+    }
+    if (fromString && typeof value === 'string') {
+        if (types.includes('integer') && /^-?\d+$/.test(value)) {
+            return 'integer';
+        }
+        if (types.includes('number') && value.trim() !== '' && !isNaN(Number(value))) {
+            return 'number';
+        }
+        if (types.includes('boolean') && ['true', 'false'].includes(value)) {
+            return 'boolean';
+        }
+    }
+    if (typeof value === 'number' && Number.isInteger(value) && types.includes('integer')) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+/**
+ * Check a request against the schema of its route
+ * @param {Object} route - Route from ROUTES
+ * @param {Object} req - Express request, with its params resolved
+ * @returns {Array} Errors as { field, message }, empty when the request is valid
+ */
+function validateRequest(route, req) {
+    return [
+        ...(route.headers ? validate(route.headers, headersOf(route, req), 'headers', true) : []),
+        ...(route.params ? validate(route.params, req.params, 'params', true) : []),
+        ...(route.query ? validate(route.query, req.query, 'query', true) : []),
+        ...(route.body ? validate(route.body, req.body || {}, 'body') : [])
+    ];
+}
+
+// Express lowercases header names
+function headersOf(route, req) {
+    return Object.fromEntries(Object.keys(route.headers.properties).map(name => [name, (req.headers || {})[name.toLowerCase()]]));
+}
+
+/**
+ * Find the route a request is for. Literal path segments win over parameters, as
+ * in Express, where /api/grants/reconciliation is mounted before /api/grants/:grantId.
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @returns {Object|null} The route and its path parameters, or null for unknown routes
+ */
+function matchRoute(method, path) {
+    const segments = path.replace(/\/+$/, '').split('/');
+    let best = null;
+
+    for (const [key, route] of Object.entries(ROUTES)) {
+        const [routeMethod, routePath] = key.split(' ');
+        const routeSegments = routePath.split('/');
+        if (routeMethod !== method || routeSegments.length !== segments.length) {
+            continue;
+        }
+
+        const params = {};
+        const matches = routeSegments.every((segment, index) => {
+            if (segment.startsWith(':')) {
+                params[segment.slice(1)] = decodeURIComponent(segments[index]);
+                return segments[index] !== '';
+            }
+            return segment === segments[index];
+        });
+
+        const literals = routeSegments.filter(segment => !segment.startsWith(':')).length;
+        if (matches && (!best || literals > best.literals)) {
+            best = { route, params, literals };
+        }
+    }
+
+    return best && { route: best.route, params: best.params };
+}
+
+// ------------------------------------------
+// OPENAPI
+// ------------------------------------------
+
+/**
+ * Describe the API as an OpenAPI 3.1 document, generated from the route schemas
+ * @param {Object} info - Title, version and description of the API
+ * @returns {Object} The OpenAPI document
+ */
+function buildOpenApiDocument(info = {}) {
+    const errorResponse = description => ({
+        description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    });
+
+    const paths = {};
+    for (const [key, route] of Object.entries(ROUTES)) {
+        const [method, routePath] = key.split(' ');
+        const openApiPath = routePath.replace(/:(\w+)/g, '{$1}');
+
+        const parameters = [
+            ...Object.entries(route.params ? route.params.properties : {}).map(([name, schema]) => ({
+                name, in: 'path', required: true, schema
+            })),
+            ...Object.entries(route.query ? route.query.properties : {}).map(([name, schema]) => ({
+                name, in: 'query', required: (route.query.required || []).includes(name), schema
+            })),
+            ...Object.entries(route.headers ? route.headers.properties : {}).map(([name, schema]) => ({
+                name, in: 'header', required: false, schema
+            }))
+        ];
+
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][method.toLowerCase()] = {
+            summary: route.summary,
+            tags: [routePath.split('/')[routePath.startsWith('/api/') ? 2 : 1]],
+            ...(route.public ? { security: [] } : {}),
+            ...(parameters.length > 0 ? { parameters } : {}),
+            ...(route.body ? {
+                requestBody: {
+                    required: (route.body.required || []).length > 0,
+                    content: { 'application/json': { schema: route.body } }
+                }
+            } : {}),
+            responses: {
+                200: { description: 'Success', content: { 'application/json': { schema: { type: 'object' } } } },
+                400: errorResponse('The request does not match the schema (INVALID_REQUEST)'),
+                ...(route.public ? {} : {
+                    401: errorResponse('A valid API token is required'),
+                    403: errorResponse('The token does not have a role that allows this action')
+                }),
+                404: errorResponse('The resource does not exist (NOT_FOUND)'),
+                ...(route.headers ? {
+                    409: errorResponse('A request with this idempotency key is still being processed (IDEMPOTENCY_KEY_IN_USE)')
+                } : {}),
+                422: errorResponse('Horizon rejected the transaction, see code and failures'),
+                500: errorResponse('The request failed (REQUEST_FAILED)'),
+                504: errorResponse('Horizon did not answer in time (SUBMISSION_TIMEOUT)')
+            }
+        };
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: info.title || 'Financial Inclusion Toolkit API',
+            version: info.version || '1.0.0',
+            description: info.description
+        },
+        paths,
+        security: [{ bearerAuth: [] }],
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer' }
+            },
+            schemas: {
+                Error: object({
+                    error: { type: 'string', description: 'What went wrong' },
+                    code: { type: 'string', description: 'Stable error code, such as INVALID_REQUEST or DESTINATION_NOT_FOUND' },
+                    hash: txHash,
+                    fields: array(object({ field: text(), message: text() }), 20),
+                    failures: array(object({
+                        operationIndex: count(0),
+                        operation: text(),
+                        recipient: publicKey,
+                        resultCode: text(),
+                        code: text(),
+                        message: text()
+                    }), 100)
+                }, ['error', 'code'])
+            }
+        }
+    };
+}
+
+module.exports = {
+    ROUTES,
+    validate,
+    validateRequest,
+    matchRoute,
+    buildOpenApiDocument
+};
@@ -0,0 +1,1177 @@
+// HTTP API of the Financial Inclusion Toolkit
+// mountRoutes() adds the API to an Express app or router for a toolkit created
+// with createToolkit(). Run this file directly to start a standalone server.
+
+const StellarSdk = require('stellar-sdk');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { createToolkit, verifyDonorReceipt } = require('./ngo');
+const { matchRoute, validateRequest, buildOpenApiDocument } = require('./schemas');
+const { version } = require('./package.json');
+
+/**
+ * Mount the API routes, the USSD callback and the static files onto an Express app or router
+ * @param {express.Application|express.Router} app - Where the routes are mounted
+ * @param {Object} toolkit - Toolkit created with createToolkit()
+ * @returns {express.Application|express.Router} The app or router, with the routes mounted
+ */
+function mountRoutes(app, toolkit) {
+    const {
+        createNGOAccount,
+        getNetworkProfile,
+        createBeneficiaryAccount,
+        submitFeeBumpTransaction,
+        revokeSponsorship,
+        listSponsorships,
+        enrollBeneficiary,
+        importBeneficiariesCsv,
+        getBeneficiary,
+        listBeneficiaries,
+        describeBeneficiary,
+        createCohort,
+        listCohorts,
+        setCohortMembership,
+        createCohortDistributionJob,
+        createNGOAsset,
+        establishTrustline,
+        authorizeTrustline,
+        createDistributionJob,
+        quoteDistribution,
+        simulateDistributionJob,
+        runDistributionJob,
+        resumeDistributionJob,
+        getDistributionJob,
+        listDistributionJobs,
+        summarizeDistributionJob,
+        generateOfflineTransaction,
+        submitOfflineTransaction,
+        generateOfflineBatch,
+        submitOfflineBatch,
+        createTimeLockedTransfer,
+        listClaimableBalances,
+        claimClaimableBalance,
+        createMultiSigEscrow,
+        requestEscrowTransfer,
+        addEscrowSignature,
+        getEscrowRequest,
+        getEscrow,
+        createMilestonePayments,
+        submitMilestoneEvidence,
+        approveMilestone,
+        rejectMilestone,
+        releaseMilestone,
+        getMilestone,
+        listMilestones,
+        createSchedule,
+        pauseSchedule,
+        resumeSchedule,
+        skipScheduleOccurrence,
+        getScheduleRuns,
+        listSchedules,
+        registerWebhook,
+        listWebhooks,
+        deactivateWebhook,
+        listWebhookDeliveries,
+        setBeneficiaryPin,
+        answerUssdRequest,
+        discoverAnchor,
+        listAnchors,
+        authenticateWithAnchor,
+        startAnchorWithdrawal,
+        refreshAnchorWithdrawal,
+        sendAnchorWithdrawalPayment,
+        listAnchorWithdrawals,
+        createGrant,
+        getGrant,
+        listGrants,
+        reconcileGrants,
+        getPublicFlows,
+        issueDonorReceipt,
+        getFraudRules,
+        configureFraudRules,
+        listReviews,
+        getReview,
+        approveReview,
+        rejectReview,
+        listRuleHits,
+        importKey,
+        resolveAccountId,
+        listKeys,
+        getKey,
+        rotateKey,
+        exportKey,
+        ROLES,
+        authenticate,
+        requireRole,
+        createApiCredential,
+        listApiCredentials,
+        revokeApiCredential,
+        queryAuditLog,
+        verifyAuditLog,
+        queryLedger,
+        getLedgerRecord,
+        getTransactionStatus,
+        generateImpactReport,
+        logger
+    } = toolkit;
+    
+    app.use(bodyParser.json());
+    // USSD providers post their callbacks as forms
+    app.use('/gateway', bodyParser.urlencoded({ extended: false }));
+    app.use(express.static('public'));
+    app.use('/api', authenticate, rejectSecretKeys);
+    app.use(checkRequestSchema);
+
+    // Describe the API, generated from the request schemas
+    const openApiDocument = buildOpenApiDocument({ version });
+    app.get('/openapi.json', (req, res) => {
+        res.json(openApiDocument);
+    });
+    
+    // Describe the Stellar network the toolkit is connected to
+    app.get('/api/network', requireRole(ROLES.PROGRAM_MANAGER, ROLES.FIELD_AGENT, ROLES.APPROVER, ROLES.AUDITOR), (req, res) => {
+        res.json(getNetworkProfile());
+    });
+
+    // Create NGO account
+    app.post('/api/ngo/create', requireRole(), async (req, res) => {
+        try {
+            const { alias, funderKey, startingBalance } = req.body;
+            const account = await createNGOAccount({ alias, funderKey, startingBalance });
+            res.json(account);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Create beneficiary account
+    app.post('/api/beneficiary/create', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { ngoKey, initialBalance, alias, sponsored, assets, program } = req.body;
+            const account = await createBeneficiaryAccount(ngoKey, initialBalance, { alias, sponsored, assets, program });
+            res.json(account);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List sponsored beneficiary accounts
+    app.get('/api/sponsorships', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listSponsorships(req.query.status));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // End the sponsorship of a beneficiary leaving a program
+    app.post('/api/sponsorships/:publicKey/revoke', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { ngoKey, reclaim } = req.body;
+            const sponsorship = await revokeSponsorship(ngoKey, req.params.publicKey, { reclaim });
+            res.json(sponsorship);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Pay the fee of a beneficiary-signed transaction
+    app.post('/api/transaction/fee-bump', requireRole(ROLES.PROGRAM_MANAGER, ROLES.FIELD_AGENT), async (req, res) => {
+        try {
+            const { ngoKey, transactionXDR, baseFee, program } = req.body;
+            const result = await submitFeeBumpTransaction(ngoKey, transactionXDR, { baseFee, program });
+            res.json(result);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Enroll a beneficiary in the registry
+    app.post('/api/registry/beneficiaries', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { ngoKey, name, householdId, region, phone, publicKey, cohorts, assets, sponsored, program } = req.body;
+            const beneficiary = await enrollBeneficiary(
+                ngoKey,
+                { name, householdId, region, phone, publicKey, cohorts },
+                { assets, sponsored, program }
+            );
+            res.json(beneficiary);
+        } catch (error) {
+            if (error.duplicates) {
+                return res.status(409).json({ error: error.message, code: 'DUPLICATE_BENEFICIARY', duplicates: error.duplicates });
+            }
+            sendError(res, error);
+        }
+    });
+
+    // Enroll beneficiaries from a CSV file
+    app.post('/api/registry/import', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { ngoKey, csv, cohortId, assets, sponsored, program } = req.body;
+            const result = await importBeneficiariesCsv(ngoKey, csv, { cohortId, assets, sponsored, program });
+            res.json(result);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List beneficiaries in the registry
+    app.get('/api/registry/beneficiaries', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listBeneficiaries(req.query).map(describeBeneficiary));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Get a beneficiary from the registry
+    app.get('/api/registry/beneficiaries/:beneficiaryId', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(describeBeneficiary(getBeneficiary(req.params.beneficiaryId)));
+        } catch (error) {
+            sendError(res, error, 404);
+        }
+    });
+
+    // Set the USSD PIN of a beneficiary
+    app.post('/api/registry/beneficiaries/:beneficiaryId/pin', requireRole(ROLES.PROGRAM_MANAGER), (req, res) => {
+        try {
+            res.json(setBeneficiaryPin(req.params.beneficiaryId, req.body.pin));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Create a cohort
+    app.post('/api/cohorts', requireRole(ROLES.PROGRAM_MANAGER), (req, res) => {
+        try {
+            const { name, program, description } = req.body;
+            res.json(createCohort({ name, program, description }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List cohorts
+    app.get('/api/cohorts', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listCohorts());
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Add beneficiaries to a cohort
+    app.post('/api/cohorts/:cohortId/members', requireRole(ROLES.PROGRAM_MANAGER), (req, res) => {
+        try {
+            const { beneficiaryIds } = req.body;
+            res.json(setCohortMembership(req.params.cohortId, beneficiaryIds, true).map(describeBeneficiary));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Remove beneficiaries from a cohort
+    app.post('/api/cohorts/:cohortId/members/remove', requireRole(ROLES.PROGRAM_MANAGER), (req, res) => {
+        try {
+            const { beneficiaryIds } = req.body;
+            res.json(setCohortMembership(req.params.cohortId, beneficiaryIds, false).map(describeBeneficiary));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Distribute funds to every member of a cohort as a background job
+    app.post('/api/cohorts/:cohortId/distribute', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { ngoKey, rule, asset, batchSize, maxAttempts, program, tag, grantId } = req.body;
+            const job = await createCohortDistributionJob(
+                ngoKey,
+                req.params.cohortId,
+                rule,
+                asset,
+                { batchSize, maxAttempts, program, tag, grantId }
+            );
+
+            runDistributionJob(job.id, ngoKey).catch(error => {
+                logger.error(`Error running distribution job ${job.id}:`, error);
+            });
+
+            res.status(202).json({ ...summarizeDistributionJob(job), skipped: job.skipped });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Quote the cost of a distribution, including path payments, without signing anything
+    app.post('/api/funds/quote', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), async (req, res) => {
+        try {
+            const { beneficiaries, asset, assetCode, batchSize, maxSlippage } = req.body;
+            res.json(await quoteDistribution(beneficiaries, asset || assetCode, { batchSize, maxSlippage }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Distribute funds as a background job, poll the job ID for progress
+    app.post('/api/funds/distribute', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { ngoKey, beneficiaries, asset, assetCode, batchSize, maxAttempts, maxSlippage, program, tag, grantId, dryRun } = req.body;
+            const job = await createDistributionJob(
+                resolveAccountId(ngoKey),
+                beneficiaries,
+                asset || assetCode,
+                { batchSize, maxAttempts, maxSlippage, program, tag, grantId, dryRun, idempotencyKey: req.get('Idempotency-Key') }
+            );
+
+            // A dry run reports what would happen instead of starting the job
+            if (dryRun) {
+                return res.json(await simulateDistributionJob(job));
+            }
+
+            // A retry gets the job its idempotency key already started
+            if (job.replayed) {
+                res.set('Idempotent-Replayed', 'true');
+                return res.json(summarizeDistributionJob(job));
+            }
+
+            runDistributionJob(job.id, ngoKey).catch(error => {
+                logger.error(`Error running distribution job ${job.id}:`, error);
+            });
+
+            res.status(202).json(summarizeDistributionJob(job));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List distribution jobs
+    app.get('/api/funds/distribute', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listDistributionJobs(req.query.status));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Report the progress of a distribution job
+    app.get('/api/funds/distribute/:jobId', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(getDistributionJob(req.params.jobId));
+        } catch (error) {
+            sendError(res, error, 404);
+        }
+    });
+
+    // Resume an interrupted distribution job
+    app.post('/api/funds/distribute/:jobId/resume', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { ngoKey } = req.body;
+            const job = getDistributionJob(req.params.jobId);
+
+            resumeDistributionJob(job.id, ngoKey).catch(error => {
+                logger.error(`Error resuming distribution job ${job.id}:`, error);
+            });
+
+            res.status(202).json({ id: job.id, status: 'running' });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Create an NGO asset with an issuer/distributor pair
+    app.post('/api/asset/create', requireRole(), async (req, res) => {
+        try {
+            const { ngoKey, assetCode, ...options } = req.body;
+            const result = await createNGOAsset(ngoKey, assetCode, options);
+            res.json(result);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Establish (and optionally authorize) a beneficiary trustline
+    app.post('/api/asset/trustline', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { beneficiaryKey, asset, issuerKey, limit, sponsorKey } = req.body;
+            const result = await establishTrustline(beneficiaryKey, asset, { issuerKey, limit, sponsorKey });
+            res.json(result);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Authorize or revoke a beneficiary trustline
+    app.post('/api/asset/authorize', requireRole(), async (req, res) => {
+        try {
+            const { issuerKey, trustorPublicKey, asset, authorized = true } = req.body;
+            const result = await authorizeTrustline(issuerKey, trustorPublicKey, asset, authorized);
+            res.json(result);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Generate offline transaction
+    app.post('/api/transaction/offline/generate', requireRole(ROLES.FIELD_AGENT), async (req, res) => {
+        try {
+            const { senderKey, recipientPublicKey, amount } = req.body;
+            const transaction = await generateOfflineTransaction(senderKey, recipientPublicKey, amount);
+            res.json({ xdr: transaction.xdr });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Submit offline transaction
+    app.post('/api/transaction/offline/submit', requireRole(ROLES.FIELD_AGENT), async (req, res) => {
+        try {
+            const { xdr } = req.body;
+            const result = await submitOfflineTransaction(xdr, { idempotencyKey: req.get('Idempotency-Key') });
+            if (result.replayed) {
+                res.set('Idempotent-Replayed', 'true');
+            }
+            res.json(result);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Generate a batch of offline transactions with consecutive sequence numbers
+    app.post('/api/transaction/offline/batch', requireRole(ROLES.FIELD_AGENT), async (req, res) => {
+        try {
+            const { senderKey, payments, channelKeys, asset, program } = req.body;
+            const entries = await generateOfflineBatch(senderKey, payments, { channelKeys, asset, program });
+            res.json(entries);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Submit a batch of offline transactions in sequence order
+    app.post('/api/transaction/offline/submit-batch', requireRole(ROLES.FIELD_AGENT), async (req, res) => {
+        try {
+            const { transactions } = req.body;
+            const results = await submitOfflineBatch(transactions);
+            res.json(results);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Create a time-locked transfer held in a claimable balance
+    app.post('/api/transfer/timelock', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { senderKey, recipientPublicKey, amount, unlockDate, reclaimDate, asset, program } = req.body;
+            const result = await createTimeLockedTransfer(
+                senderKey,
+                recipientPublicKey,
+                amount,
+                new Date(unlockDate),
+                { reclaimDate, asset, program }
+            );
+            res.json(result);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List pending claimable balances for a beneficiary (claimant) or NGO (sponsor)
+    app.get('/api/claimable/:publicKey', requireRole(ROLES.PROGRAM_MANAGER, ROLES.FIELD_AGENT, ROLES.APPROVER, ROLES.AUDITOR), async (req, res) => {
+        try {
+            const balances = await listClaimableBalances(req.params.publicKey, req.query.role);
+            res.json(balances);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Claim a claimable balance as the beneficiary
+    app.post('/api/claimable/claim', requireRole(ROLES.PROGRAM_MANAGER, ROLES.FIELD_AGENT), async (req, res) => {
+        try {
+            const { claimantKey, balanceId, feeSourceKey } = req.body;
+            const result = await claimClaimableBalance(claimantKey, balanceId, { feeSourceKey });
+            res.json(result);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Reclaim an expired claimable balance as the NGO
+    app.post('/api/claimable/reclaim', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { ngoKey, balanceId } = req.body;
+            const result = await claimClaimableBalance(ngoKey, balanceId);
+            res.json(result);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Create a multi-signature escrow
+    app.post('/api/escrow/create', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { ngoKey, beneficiaryPublicKey, signers, thirdPartyPublicKey, amount, threshold, program, grantId, dryRun } = req.body;
+            const escrow = await createMultiSigEscrow(
+                ngoKey,
+                beneficiaryPublicKey,
+                signers || thirdPartyPublicKey,
+                amount,
+                { threshold, program, grantId, dryRun }
+            );
+            res.json(escrow);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Get an escrow and the status of its requests
+    app.get('/api/escrow/:escrowPublicKey', requireRole(ROLES.PROGRAM_MANAGER, ROLES.APPROVER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(getEscrow(req.params.escrowPublicKey));
+        } catch (error) {
+            sendError(res, error, 404);
+        }
+    });
+
+    // Request a release of escrowed funds to the beneficiary
+    app.post('/api/escrow/:escrowPublicKey/release', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { amount, validFor } = req.body;
+            const request = await requestEscrowTransfer(req.params.escrowPublicKey, 'release', { amount, validFor });
+            res.json(request);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Request a refund of escrowed funds to the NGO
+    app.post('/api/escrow/:escrowPublicKey/refund', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { amount, validFor } = req.body;
+            const request = await requestEscrowTransfer(req.params.escrowPublicKey, 'refund', { amount, validFor });
+            res.json(request);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // See which signers have signed a pending release or refund
+    app.get('/api/escrow/requests/:requestId', requireRole(ROLES.PROGRAM_MANAGER, ROLES.APPROVER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(getEscrowRequest(req.params.requestId));
+        } catch (error) {
+            sendError(res, error, 404);
+        }
+    });
+
+    // Add a signature to a pending release or refund
+    app.post('/api/escrow/requests/:requestId/sign', requireRole(ROLES.APPROVER), async (req, res) => {
+        try {
+            const { signedXdr, signerKey } = req.body;
+            const request = await addEscrowSignature(req.params.requestId, { signedXdr, signerKey });
+            res.json(request);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Create milestone payments
+    app.post('/api/milestone/create', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { ngoKey, milestones, grantId, dryRun } = req.body;
+            const results = await createMilestonePayments(ngoKey, milestones, { grantId, dryRun });
+            res.json(results);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List milestones
+    app.get('/api/milestones', requireRole(ROLES.PROGRAM_MANAGER, ROLES.APPROVER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listMilestones(req.query));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Get a milestone with its evidence and history
+    app.get('/api/milestones/:milestoneId', requireRole(ROLES.PROGRAM_MANAGER, ROLES.APPROVER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(getMilestone(req.params.milestoneId));
+        } catch (error) {
+            sendError(res, error, 404);
+        }
+    });
+
+    // Submit evidence that a milestone was reached
+    app.post('/api/milestones/:milestoneId/evidence', requireRole(ROLES.PROGRAM_MANAGER), (req, res) => {
+        try {
+            const { content, filename, contentType } = req.body;
+            const milestone = submitMilestoneEvidence(req.params.milestoneId, { content, filename, contentType }, req.actor.id);
+            res.json(milestone);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Approve a milestone
+    app.post('/api/milestones/:milestoneId/approve', requireRole(ROLES.APPROVER), (req, res) => {
+        try {
+            res.json(approveMilestone(req.params.milestoneId, req.body.note, req.actor.id));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Reject the evidence of a milestone
+    app.post('/api/milestones/:milestoneId/reject', requireRole(ROLES.APPROVER), (req, res) => {
+        try {
+            res.json(rejectMilestone(req.params.milestoneId, req.body.reason, req.actor.id));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Release an approved milestone
+    app.post('/api/milestones/:milestoneId/release', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const milestone = await releaseMilestone(req.params.milestoneId, req.body.ngoKey, req.actor.id);
+            res.json(milestone);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Create a schedule of recurring disbursements
+    app.post('/api/schedules', requireRole(ROLES.PROGRAM_MANAGER), (req, res) => {
+        try {
+            res.json(createSchedule(req.body));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List schedules
+    app.get('/api/schedules', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listSchedules(req.query.status));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List the past runs and upcoming occurrences of a schedule
+    app.get('/api/schedules/:scheduleId', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(getScheduleRuns(req.params.scheduleId, Number(req.query.upcoming) || undefined));
+        } catch (error) {
+            sendError(res, error, 404);
+        }
+    });
+
+    // Pause a schedule
+    app.post('/api/schedules/:scheduleId/pause', requireRole(ROLES.PROGRAM_MANAGER), (req, res) => {
+        try {
+            res.json(pauseSchedule(req.params.scheduleId));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Resume a paused schedule
+    app.post('/api/schedules/:scheduleId/resume', requireRole(ROLES.PROGRAM_MANAGER), (req, res) => {
+        try {
+            res.json(resumeSchedule(req.params.scheduleId));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Skip an upcoming occurrence of a schedule
+    app.post('/api/schedules/:scheduleId/skip', requireRole(ROLES.PROGRAM_MANAGER), (req, res) => {
+        try {
+            const { occurrence, reason } = req.body;
+            res.json(skipScheduleOccurrence(req.params.scheduleId, occurrence, reason));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Register a webhook
+    app.post('/api/webhooks', requireRole(), (req, res) => {
+        try {
+            const { url, events, description } = req.body;
+            res.json(registerWebhook({ url, events, description }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List webhooks
+    app.get('/api/webhooks', requireRole(ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listWebhooks());
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Stop delivering events to a webhook
+    app.post('/api/webhooks/:webhookId/deactivate', requireRole(), (req, res) => {
+        try {
+            res.json(deactivateWebhook(req.params.webhookId));
+        } catch (error) {
+            sendError(res, error, 404);
+        }
+    });
+
+    // List webhook delivery attempts
+    app.get('/api/webhooks/deliveries', requireRole(ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listWebhookDeliveries(req.query));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Discover an anchor from its stellar.toml
+    app.post('/api/anchors/discover', requireRole(), async (req, res) => {
+        try {
+            const { domain, allowHttp } = req.body;
+            const anchor = await discoverAnchor(domain, { allowHttp });
+            res.json(anchor);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List discovered anchors
+    app.get('/api/anchors', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listAnchors());
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Authenticate a beneficiary account with an anchor
+    app.post('/api/anchors/:domain/auth', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const session = await authenticateWithAnchor(req.params.domain, req.body.accountKey);
+            res.json(session);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Start a cash-out withdrawal with an anchor
+    app.post('/api/anchors/:domain/withdrawals', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const { beneficiaryKey, assetCode, amount, protocol, type } = req.body;
+            const withdrawal = await startAnchorWithdrawal(req.params.domain, beneficiaryKey, { assetCode, amount, protocol, type });
+            res.json(withdrawal);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List withdrawals
+    app.get('/api/anchors/withdrawals', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listAnchorWithdrawals(req.query));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Get the latest status of a withdrawal from its anchor
+    app.get('/api/anchors/withdrawals/:withdrawalId', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), async (req, res) => {
+        try {
+            const withdrawal = await refreshAnchorWithdrawal(req.params.withdrawalId);
+            res.json(withdrawal);
+        } catch (error) {
+            sendError(res, error, 404);
+        }
+    });
+
+    // Send the beneficiary's payment to the anchor
+    app.post('/api/anchors/withdrawals/:withdrawalId/pay', requireRole(ROLES.PROGRAM_MANAGER), async (req, res) => {
+        try {
+            const withdrawal = await sendAnchorWithdrawalPayment(req.params.withdrawalId, { feeSourceKey: req.body.feeSourceKey });
+            res.json(withdrawal);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Record a donor grant and its budget
+    app.post('/api/grants', requireRole(ROLES.PROGRAM_MANAGER), (req, res) => {
+        try {
+            res.json(createGrant(req.body));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List grants
+    app.get('/api/grants', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listGrants(req.query));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Reconcile on-chain outflows with grants and budget lines
+    app.get('/api/grants/reconciliation', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), async (req, res) => {
+        try {
+            const { ngoKey, from, to } = req.query;
+            res.json(await reconcileGrants(ngoKey, { from, to }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Get a grant with its committed and remaining budget
+    app.get('/api/grants/:grantId', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(getGrant(req.params.grantId));
+        } catch (error) {
+            sendError(res, error, 404);
+        }
+    });
+
+    // Issue a signed receipt showing a donor where the money of their grants went
+    app.post('/api/transparency/receipts', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            const { donor, from, to } = req.body;
+            res.json(issueDonorReceipt(donor, { from, to }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Describe the fraud rules distributions are screened with
+    app.get('/api/fraud/rules', requireRole(ROLES.PROGRAM_MANAGER, ROLES.APPROVER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(getFraudRules());
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Enable, disable or tune fraud rules
+    app.post('/api/fraud/rules', requireRole(), (req, res) => {
+        try {
+            res.json(configureFraudRules(req.body));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List the reviews of recipients held by a fraud rule
+    app.get('/api/fraud/reviews', requireRole(ROLES.PROGRAM_MANAGER, ROLES.APPROVER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listReviews({ status: req.query.status, jobId: req.query.jobId }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Get the review of a held recipient
+    app.get('/api/fraud/reviews/:reviewId', requireRole(ROLES.PROGRAM_MANAGER, ROLES.APPROVER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(getReview(req.params.reviewId));
+        } catch (error) {
+            sendError(res, error, 404);
+        }
+    });
+
+    // Release a held recipient, paid when its distribution job is resumed
+    app.post('/api/fraud/reviews/:reviewId/approve', requireRole(ROLES.APPROVER), (req, res) => {
+        try {
+            res.json(approveReview(req.params.reviewId, req.body.note, req.actor.id));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Refuse to pay a held recipient
+    app.post('/api/fraud/reviews/:reviewId/reject', requireRole(ROLES.APPROVER), (req, res) => {
+        try {
+            res.json(rejectReview(req.params.reviewId, req.body.reason, req.actor.id));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List fraud rule hits
+    app.get('/api/fraud/hits', requireRole(ROLES.PROGRAM_MANAGER, ROLES.APPROVER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listRuleHits(req.query));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Generate impact report
+    app.post('/api/analytics/report', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), async (req, res) => {
+        try {
+            const { ngoPublicKey, startDate, endDate } = req.body;
+            const report = await generateImpactReport(
+                ngoPublicKey,
+                new Date(startDate),
+                new Date(endDate)
+            );
+            res.json(report);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Import an existing secret key into the key vault
+    app.post('/api/keys/import', requireRole(), (req, res) => {
+        try {
+            const { secretKey, alias, role, accountId } = req.body;
+            res.json(importKey(secretKey, { alias, role, accountId }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List the keys held in the key vault
+    app.get('/api/keys', requireRole(ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(listKeys(req.query.role));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Get a key by ID or alias
+    app.get('/api/keys/:keyRef', requireRole(ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(getKey(req.params.keyRef));
+        } catch (error) {
+            sendError(res, error, 404);
+        }
+    });
+
+    // Rotate the signing key of a vault account on-chain
+    app.post('/api/keys/:keyRef/rotate', requireRole(), async (req, res) => {
+        try {
+            res.json(await rotateKey(req.params.keyRef));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Export a key for self-custody, removing it from the vault
+    app.post('/api/keys/:keyRef/export', requireRole(), (req, res) => {
+        try {
+            const { confirm } = req.body;
+            res.json(exportKey(req.params.keyRef, { confirm }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List and filter the local transaction ledger
+    app.get('/api/ledger', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(queryLedger(req.query));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Get a single ledger record
+    app.get('/api/ledger/:recordId', requireRole(ROLES.PROGRAM_MANAGER, ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(getLedgerRecord(req.params.recordId));
+        } catch (error) {
+            sendError(res, error, 404);
+        }
+    });
+
+    // Report whether a transaction is pending, succeeded, failed or expired
+    app.get('/api/transaction/:hash', requireRole(ROLES.PROGRAM_MANAGER, ROLES.FIELD_AGENT, ROLES.AUDITOR), async (req, res) => {
+        try {
+            res.json(await getTransactionStatus(req.params.hash));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Issue an API credential
+    app.post('/api/auth/credentials', requireRole(), (req, res) => {
+        try {
+            const { name, role } = req.body;
+            res.json(createApiCredential({ name, role }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // List API credentials
+    app.get('/api/auth/credentials', requireRole(), (req, res) => {
+        try {
+            res.json(listApiCredentials());
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Revoke an API credential
+    app.post('/api/auth/credentials/:credentialId/revoke', requireRole(), (req, res) => {
+        try {
+            res.json(revokeApiCredential(req.params.credentialId));
+        } catch (error) {
+            sendError(res, error, 404);
+        }
+    });
+
+    // List audit log entries
+    app.get('/api/audit', requireRole(ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(queryAuditLog(req.query));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Check that the audit log has not been tampered with
+    app.get('/api/audit/verify', requireRole(ROLES.AUDITOR), (req, res) => {
+        try {
+            res.json(verifyAuditLog());
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // USSD callbacks come from the gateway provider, which authenticates itself
+    app.post('/gateway/ussd', async (req, res) => {
+        try {
+            const response = await answerUssdRequest(req);
+            if (response === null) {
+                return res.status(401).send('Unauthorized');
+            }
+
+            res.type('text/plain').send(response);
+        } catch (error) {
+            res.status(500).send(error.message);
+        }
+    });
+
+    // Public, read-only flows per program for donors, with pseudonymized beneficiaries
+    app.get('/transparency/flows', (req, res) => {
+        try {
+            const { program, from, to, limit } = req.query;
+            res.json(getPublicFlows({ program, from, to, limit }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Check the signature of a donor receipt
+    app.post('/transparency/receipts/verify', (req, res) => {
+        try {
+            res.json(verifyDonorReceipt(req.body));
+        } catch (error) {
+            sendError(res, error, 400);
+        }
+    });
+    
+    return app;
+}
+
+/**
+ * Answer a failed request. Errors translated by the toolkit, such as rejected
+ * transactions, carry their own HTTP status and stable code, and the hash and
+ * failed operations of the transaction.
+ * @param {Object} res - Express response
+ * @param {Error} error - What went wrong
+ * @param {number} status - HTTP status for errors without their own
+ */
+function sendError(res, error, status = 500) {
+    res.status(error.status || status).json({
+        error: error.message,
+        code: error.status ? error.code : (status === 404 ? 'NOT_FOUND' : 'REQUEST_FAILED'),
+        hash: error.hash,
+        failures: error.failures
+    });
+}
+
+/**
+ * Refuse requests that do not match the schema of their route, before they reach the toolkit
+ */
+function checkRequestSchema(req, res, next) {
+    const match = matchRoute(req.method, req.path);
+    if (!match) {
+        return next();
+    }
+
+    const errors = validateRequest(match.route, { params: match.params, query: req.query, body: req.body, headers: req.headers });
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: `Invalid request: ${errors.map(error => `${error.field} ${error.message}`).slice(0, 3).join(', ')}`,
+            code: 'INVALID_REQUEST',
+            fields: errors.slice(0, 20)
+        });
+    }
+    next();
+}
+
+/**
+ * Refuse API requests that carry a raw secret key, routes take key vault IDs or
+ * aliases instead. Importing a key into the vault is the only exception.
+ */
+function rejectSecretKeys(req, res, next) {
+    if (req.method === 'POST' && req.path === '/keys/import') {
+        return next();
+    }
+    
+    const containsSecret = value => {
+        if (typeof value === 'string') {
+            return StellarSdk.StrKey.isValidEd25519SecretSeed(value);
+        }
+        if (value && typeof value === 'object') {
+            return Object.values(value).some(containsSecret);
+        }
+        return false;
+    };
+    
+    if (containsSecret(req.body) || containsSecret(req.query)) {
+        return res.status(400).json({
+            error: 'Secret keys are not accepted by the API, use a key vault ID or alias',
+            code: 'SECRET_KEY_REJECTED'
+        });
+    }
+    next();
+}
+
+// Start the server
+if (require.main === module) {
+    const toolkit = createToolkit();
+    const network = toolkit.getNetworkProfile();
+    const app = mountRoutes(express(), toolkit);
+    
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => {
+        console.log(`Financial Inclusion Toolkit server running on port ${PORT} against the ${network.name} network`);
+        if (network.guarded && !network.confirmed) {
+            console.warn(`Transactions to the ${network.name} network are refused until NGO_CONFIRM_PUBLIC_NETWORK=true`);
+        }
+        
+        // Pay recurring disbursements, catching up on any missed while the server was down
+        toolkit.startScheduler();
+        
+        // Turn account activity into webhook events
+        toolkit.startEventStream();
+        toolkit.startWebhookDelivery();
+    });
+}
+
+module.exports = { mountRoutes };
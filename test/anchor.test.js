@@ -0,0 +1,86 @@
+// Runs the anchor cash-out flow end to end against the bundled mock anchor:
+// discovery, SEP-10 authentication, then SEP-24 and SEP-6 withdrawals.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StellarSdk = require('stellar-sdk');
+
+process.env.NGO_KEYSTORE_PASSPHRASE = process.env.NGO_KEYSTORE_PASSPHRASE || 'test passphrase';
+
+const { createToolkit, createFileStore } = require('../ngo');
+const { createMockAnchor } = require('../mock-anchor');
+const { silentLogger } = require('./helpers');
+
+let dataDirectory;
+let anchor;
+let anchorServer;
+let domain;
+let toolkit;
+let beneficiary;
+
+before(async () => {
+    dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'ngo-anchor-'));
+
+    anchor = createMockAnchor();
+    ({ server: anchorServer, domain } = await anchor.listen());
+
+    toolkit = createToolkit({ network: 'testnet', store: createFileStore(dataDirectory), logger: silentLogger });
+    beneficiary = StellarSdk.Keypair.random();
+    toolkit.importKey(beneficiary.secret(), { alias: 'beneficiary', role: 'beneficiary' });
+});
+
+after(() => {
+    anchorServer.closeAllConnections();
+    anchorServer.close();
+    fs.rmSync(dataDirectory, { recursive: true, force: true });
+});
+
+test('the anchor is discovered and authenticates the beneficiary', async () => {
+    const discovered = await toolkit.discoverAnchor(domain, { allowHttp: true });
+    assert.strictEqual(discovered.signingKey, anchor.signingKey);
+    assert.strictEqual(discovered.transferServer, `http://${domain}/sep6`);
+    assert.strictEqual(discovered.transferServerSep24, `http://${domain}/sep24`);
+
+    const session = await toolkit.authenticateWithAnchor(domain, 'beneficiary');
+    assert.strictEqual(session.account, beneficiary.publicKey());
+    assert.ok(new Date(session.expiresAt) > new Date());
+});
+
+test('a SEP-24 withdrawal starts incomplete and waits for the payment once the details are in', async () => {
+    const withdrawal = await toolkit.startAnchorWithdrawal(domain, 'beneficiary', { assetCode: 'native', amount: '25' });
+    assert.strictEqual(withdrawal.protocol, 'sep24');
+    assert.strictEqual(withdrawal.status, 'incomplete');
+    assert.strictEqual(withdrawal.interactiveUrl, `http://${domain}/sep24/interactive/${withdrawal.anchorTransactionId}`);
+
+    // The beneficiary fills in the interactive form
+    const form = await fetch(withdrawal.interactiveUrl);
+    assert.strictEqual(form.status, 200);
+
+    const refreshed = await toolkit.refreshAnchorWithdrawal(withdrawal.id);
+    assert.strictEqual(refreshed.status, 'pending_user_transfer_start');
+    assert.strictEqual(refreshed.amount, '25');
+    assert.strictEqual(refreshed.instructions.account, anchor.withdrawAccount);
+});
+
+test('a SEP-6 withdrawal returns payment instructions and completes', async () => {
+    const withdrawal = await toolkit.startAnchorWithdrawal(domain, 'beneficiary', { assetCode: 'native', amount: '40', protocol: 'sep6' });
+    assert.strictEqual(withdrawal.status, 'pending_user_transfer_start');
+    assert.deepStrictEqual(withdrawal.instructions, {
+        account: anchor.withdrawAccount,
+        memoType: 'text',
+        memo: anchor.transactions.get(withdrawal.anchorTransactionId).withdraw_memo
+    });
+
+    anchor.completeTransaction(withdrawal.anchorTransactionId);
+    const refreshed = await toolkit.refreshAnchorWithdrawal(withdrawal.id);
+    assert.strictEqual(refreshed.status, 'completed');
+    assert.strictEqual(refreshed.amountOut, '40');
+
+    assert.deepStrictEqual(
+        toolkit.listAnchorWithdrawals({ account: beneficiary.publicKey() }).map(entry => entry.protocol).sort(),
+        ['sep24', 'sep6']
+    );
+});
@@ -0,0 +1,139 @@
+// Runs distribution jobs against the bundled mock Horizon: resuming a job after a
+// crash, and quarantining recipients that cannot be paid, without paying anyone twice.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StellarSdk = require('stellar-sdk');
+
+process.env.NGO_KEYSTORE_PASSPHRASE = process.env.NGO_KEYSTORE_PASSPHRASE || 'test passphrase';
+
+const { createToolkit, createFileStore } = require('../ngo');
+const { createMockHorizon } = require('../mock-horizon');
+const { silentLogger } = require('./helpers');
+
+let dataDirectory;
+let horizon;
+let horizonServer;
+let horizonUrl;
+let ngo;
+
+beforeEach(async () => {
+    dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'ngo-distribution-'));
+    horizon = createMockHorizon();
+    ({ server: horizonServer, url: horizonUrl } = await horizon.listen());
+
+    ngo = StellarSdk.Keypair.random();
+    horizon.fundAccount(ngo.publicKey(), '1000');
+});
+
+afterEach(() => {
+    horizonServer.closeAllConnections();
+    horizonServer.close();
+    fs.rmSync(dataDirectory, { recursive: true, force: true });
+});
+
+function createTestToolkit(store = createFileStore(dataDirectory)) {
+    return createToolkit({
+        horizon: new StellarSdk.Horizon.Server(horizonUrl, { allowHttp: true }),
+        network: 'testnet',
+        store: store,
+        logger: silentLogger
+    });
+}
+
+// A file store that stops writing once crashed() is true, leaving the data
+// directory as a process killed at that moment would
+function createCrashingStore(crashed) {
+    const store = createFileStore(dataDirectory);
+    const guard = method => (...args) => {
+        if (crashed()) {
+            throw new Error('Simulated crash');
+        }
+        return store[method](...args);
+    };
+    return { ...store, write: guard('write'), append: guard('append'), remove: guard('remove') };
+}
+
+function createBeneficiaries(count) {
+    return Array.from({ length: count }, () => {
+        const publicKey = StellarSdk.Keypair.random().publicKey();
+        horizon.fundAccount(publicKey, '1');
+        return publicKey;
+    });
+}
+
+// How many payments each account received on the mock ledger
+function paymentsTo(publicKeys) {
+    const payments = horizon.operations().filter(operation => operation.type === 'payment');
+    return publicKeys.map(publicKey => payments.filter(payment => payment.to === publicKey).length);
+}
+
+test('a job that crashed after a batch landed is resumed without paying anyone twice', async () => {
+    const beneficiaries = createBeneficiaries(4);
+
+    // The process dies as soon as Horizon has applied the first batch
+    const crashing = createTestToolkit(createCrashingStore(() => horizon.transactions.size > 0));
+    crashing.importKey(ngo.secret(), { alias: 'ngo', role: 'ngo' });
+    await assert.rejects(
+        crashing.distributeFunds('ngo', beneficiaries.map(publicKey => ({ publicKey, amount: '10' })), 'XLM', { batchSize: 2 }),
+        /Simulated crash/
+    );
+
+    const toolkit = createTestToolkit();
+    const [{ id: jobId }] = toolkit.listDistributionJobs();
+    const crashed = toolkit.getDistributionJob(jobId);
+
+    // A job left running by a process that is gone is reported as interrupted
+    assert.strictEqual(crashed.status, 'interrupted');
+    assert.deepStrictEqual(crashed.batches.map(batch => batch.status), ['submitted']);
+    assert.deepStrictEqual(crashed.recipients.map(recipient => recipient.status), ['submitted', 'submitted', 'pending', 'pending']);
+
+    const summary = await toolkit.resumeDistributionJob(jobId, 'ngo');
+    assert.strictEqual(summary.status, 'completed');
+    assert.deepStrictEqual(summary.recipients.map(recipient => recipient.status), ['paid', 'paid', 'paid', 'paid']);
+
+    // The landed batch was recognised by its hash instead of being sent again
+    assert.strictEqual(horizon.transactions.size, 2);
+    assert.deepStrictEqual(paymentsTo(beneficiaries), [1, 1, 1, 1]);
+    beneficiaries.forEach(publicKey => assert.strictEqual(horizon.balance(publicKey), '11.0000000'));
+});
+
+test('recipients that cannot be paid are quarantined, and a resume retries only those that may succeed', async () => {
+    const [first, large, last] = createBeneficiaries(3);
+    const missing = StellarSdk.Keypair.random().publicKey();
+    horizon.fundAccount(ngo.publicKey(), '100');
+
+    const toolkit = createTestToolkit();
+    toolkit.importKey(ngo.secret(), { alias: 'ngo', role: 'ngo' });
+    const summary = await toolkit.distributeFunds('ngo', [
+        { publicKey: first, amount: '10' },
+        { publicKey: large, amount: '500' },
+        { publicKey: last, amount: '10' },
+        { publicKey: missing, amount: '10' }
+    ], 'XLM', { maxAttempts: 1 });
+
+    // The rest of the failed batch went out again on its own
+    assert.strictEqual(summary.status, 'completed_with_errors');
+    assert.deepStrictEqual(summary.recipients.map(recipient => [recipient.status, recipient.error]), [
+        ['paid', null],
+        ['quarantined', 'op_underfunded'],
+        ['paid', null],
+        ['quarantined', 'op_no_destination']
+    ]);
+    assert.deepStrictEqual(paymentsTo([first, large, last]), [1, 0, 1]);
+
+    // Once the NGO is topped up, the underfunded payment goes through; the missing account is not retried
+    horizon.fundAccount(ngo.publicKey(), '1000');
+    const resumed = await toolkit.resumeDistributionJob(summary.id, 'ngo');
+    assert.deepStrictEqual(resumed.recipients.map(recipient => recipient.status), ['paid', 'paid', 'paid', 'quarantined']);
+    assert.deepStrictEqual(paymentsTo([first, large, last]), [1, 1, 1]);
+    assert.strictEqual(horizon.balance(large), '501.0000000');
+    assert.strictEqual(horizon.balance(missing), null);
+
+    // Resuming a finished job pays nobody again
+    await toolkit.resumeDistributionJob(summary.id, 'ngo');
+    assert.deepStrictEqual(paymentsTo([first, large, last]), [1, 1, 1]);
+});
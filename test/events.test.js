@@ -0,0 +1,113 @@
+// Drives a payment from a mock Horizon stream through the event system to a
+// mock webhook receiver, which checks each delivery's signature.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StellarSdk = require('stellar-sdk');
+
+process.env.NGO_KEYSTORE_PASSPHRASE = process.env.NGO_KEYSTORE_PASSPHRASE || 'test passphrase';
+
+const { createToolkit, createFileStore } = require('../ngo');
+const { createMockHorizon } = require('../mock-horizon');
+const { createMockWebhookReceiver } = require('../mock-webhook-receiver');
+const { silentLogger, waitFor, withTimeout } = require('./helpers');
+
+let dataDirectory;
+let horizon;
+let horizonServer;
+let receiver;
+let receiverServer;
+let receiverUrl;
+
+before(async () => {
+    dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'ngo-events-'));
+
+    horizon = createMockHorizon();
+    ({ server: horizonServer } = await horizon.listen());
+
+    // The first genuine delivery fails, so the toolkit has to retry it
+    receiver = createMockWebhookReceiver({ failures: 1 });
+    ({ server: receiverServer, url: receiverUrl } = await receiver.listen());
+});
+
+after(() => {
+    for (const httpServer of [horizonServer, receiverServer]) {
+        httpServer.closeAllConnections();
+        httpServer.close();
+    }
+    fs.rmSync(dataDirectory, { recursive: true, force: true });
+});
+
+test('a streamed payment is delivered to a webhook, signed and retried', async () => {
+    const toolkit = createToolkit({
+        horizon: new StellarSdk.Horizon.Server(`http://127.0.0.1:${horizonServer.address().port}`, { allowHttp: true }),
+        network: 'testnet',
+        store: createFileStore(dataDirectory),
+        logger: silentLogger,
+        webhookRetryDelay: 50
+    });
+
+    const beneficiary = StellarSdk.Keypair.random();
+    toolkit.importKey(beneficiary.secret(), { alias: 'beneficiary', role: 'beneficiary' });
+
+    const webhook = toolkit.registerWebhook({ url: receiverUrl, events: ['payment.received'] });
+    receiver.setSecret(webhook.secret);
+
+    const stopStream = toolkit.startEventStream();
+    const stopDelivery = toolkit.startWebhookDelivery(20);
+    try {
+        await withTimeout('the beneficiary stream to open', horizon.waitForStream(beneficiary.publicKey()));
+        const payment = horizon.addPayment({ to: beneficiary.publicKey(), amount: '12.5' });
+
+        const [failed, delivered] = await withTimeout('a failed and a retried delivery', receiver.waitForDeliveries(2));
+
+        // Both attempts carry the same event under a valid signature
+        for (const delivery of [failed, delivered]) {
+            assert.strictEqual(delivery.verified, true);
+            assert.strictEqual(delivery.eventType, 'payment.received');
+            assert.strictEqual(delivery.deliveryId, `${webhook.id}-payment.received-${payment.id}`);
+            assert.deepStrictEqual(delivery.event.data, {
+                account: beneficiary.publicKey(),
+                operationId: payment.id,
+                txHash: payment.transaction_hash,
+                createdAt: payment.created_at,
+                from: payment.from,
+                amount: '12.5000000',
+                asset: 'XLM'
+            });
+        }
+        assert.strictEqual(failed.statusCode, 500);
+        assert.strictEqual(delivered.statusCode, 200);
+
+        // The toolkit logs an attempt once the receiver has answered it
+        const attempts = await waitFor('both attempts in the delivery log', () => {
+            const logged = toolkit.listWebhookDeliveries({ webhookId: webhook.id });
+            return logged.length === 2 && logged;
+        });
+        assert.deepStrictEqual(attempts.map(attempt => [attempt.attempt, attempt.statusCode, attempt.status]), [
+            [1, 500, 'pending'],
+            [2, 200, 'delivered']
+        ]);
+        assert.strictEqual(attempts[0].error, 'Webhook responded with 500');
+    } finally {
+        stopDelivery();
+        stopStream();
+    }
+});
+
+test('the receiver rejects deliveries with a wrong signature', async () => {
+    const body = JSON.stringify({ id: 'forged', type: 'payment.received', data: {} });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const response = await fetch(receiverUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-NGO-Signature': `t=${timestamp},v1=${'0'.repeat(64)}` },
+        body: body
+    });
+
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(receiver.deliveries[receiver.deliveries.length - 1].verified, false);
+});
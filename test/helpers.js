@@ -0,0 +1,43 @@
+// Shared helpers for the tests in this directory
+
+// Logger for toolkits under test, whose expected failures would otherwise fill the output
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+/**
+ * Poll until a check passes, failing the test instead of hanging when it never does
+ * @param {string} description - What is being waited for, named in the timeout error
+ * @param {Function} check - Returns something truthy once the condition holds, may be async
+ * @param {number} timeout - Milliseconds to wait, 5 seconds by default
+ * @returns {Promise} Resolves with what the check returned
+ */
+async function waitFor(description, check, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out after ${timeout} ms waiting for ${description}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Wait for a promise, failing the test instead of hanging when it never settles
+ * @param {string} description - What is being waited for, named in the timeout error
+ * @param {Promise} promise - The promise to wait for
+ * @param {number} timeout - Milliseconds to wait, 5 seconds by default
+ * @returns {Promise} Settles like the promise
+ */
+function withTimeout(description, promise, timeout = 5000) {
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeout} ms waiting for ${description}`)), timeout);
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { silentLogger, waitFor, withTimeout };
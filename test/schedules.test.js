@@ -0,0 +1,132 @@
+// Runs scheduled disbursements against the bundled mock Horizon: catching up on an
+// occurrence whose run was interrupted while its distribution job was being created.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StellarSdk = require('stellar-sdk');
+
+process.env.NGO_KEYSTORE_PASSPHRASE = process.env.NGO_KEYSTORE_PASSPHRASE || 'test passphrase';
+
+const { createToolkit, createFileStore } = require('../ngo');
+const { createMockHorizon } = require('../mock-horizon');
+const { silentLogger } = require('./helpers');
+
+let dataDirectory;
+let horizon;
+let horizonServer;
+let horizonUrl;
+let ngo;
+let beneficiaries;
+
+beforeEach(async () => {
+    dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'ngo-schedules-'));
+    horizon = createMockHorizon();
+    ({ server: horizonServer, url: horizonUrl } = await horizon.listen());
+
+    ngo = StellarSdk.Keypair.random();
+    horizon.fundAccount(ngo.publicKey(), '1000');
+    beneficiaries = Array.from({ length: 2 }, () => {
+        const publicKey = StellarSdk.Keypair.random().publicKey();
+        horizon.fundAccount(publicKey, '1');
+        return publicKey;
+    });
+});
+
+afterEach(() => {
+    horizonServer.closeAllConnections();
+    horizonServer.close();
+    fs.rmSync(dataDirectory, { recursive: true, force: true });
+});
+
+function createTestToolkit(store = createFileStore(dataDirectory)) {
+    return createToolkit({
+        horizon: new StellarSdk.Horizon.Server(horizonUrl, { allowHttp: true }),
+        network: 'testnet',
+        store: store,
+        logger: silentLogger
+    });
+}
+
+// A file store whose writes fail once crashed() is true, leaving the data
+// directory as a process killed at that moment would
+function createCrashingStore(crashed) {
+    const store = createFileStore(dataDirectory);
+    const guard = method => (...args) => {
+        if (crashed(store)) {
+            throw new Error('Simulated crash');
+        }
+        return store[method](...args);
+    };
+    return { ...store, write: guard('write'), append: guard('append'), remove: guard('remove') };
+}
+
+// A monthly schedule whose first occurrence fell due a day ago
+function createDueSchedule(toolkit, details = {}) {
+    const startDate = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    startDate.setUTCSeconds(0, 0);
+
+    toolkit.importKey(ngo.secret(), { alias: 'ngo', role: 'ngo' });
+    return toolkit.createSchedule({
+        ngoKey: 'ngo',
+        frequency: 'monthly',
+        startDate: startDate.toISOString(),
+        recipients: beneficiaries,
+        amount: '10',
+        asset: 'XLM',
+        ...details
+    });
+}
+
+function paymentsTo(publicKeys) {
+    const payments = horizon.operations().filter(operation => operation.type === 'payment');
+    return publicKeys.map(publicKey => payments.filter(payment => payment.to === publicKey).length);
+}
+
+test('catch-up resumes the job of an occurrence that crashed right after creating it', async () => {
+    // The process dies as soon as the occurrence's job is stored
+    const crashing = createTestToolkit(createCrashingStore(store => store.list('jobs').length > 0));
+    const schedule = createDueSchedule(crashing);
+    assert.deepStrictEqual(await crashing.runDueSchedules(), []);
+
+    const toolkit = createTestToolkit();
+    const [run] = toolkit.getScheduleRuns(schedule.id).past;
+    assert.strictEqual(run.status, 'creating');
+
+    const [caughtUp] = await toolkit.runDueSchedules();
+    assert.strictEqual(caughtUp.status, 'completed');
+    assert.strictEqual(caughtUp.jobId, run.jobId);
+    assert.strictEqual(caughtUp.jobStatus, 'completed');
+
+    // One job for the occurrence, paying everyone once
+    assert.deepStrictEqual(toolkit.listDistributionJobs().map(job => job.id), [run.jobId]);
+    assert.deepStrictEqual(paymentsTo(beneficiaries), [1, 1]);
+    assert.deepStrictEqual(await toolkit.runDueSchedules(), []);
+});
+
+test('catch-up starts over when the crash came before the job was stored, without charging the grant twice', async () => {
+    const setup = createTestToolkit();
+    const grant = setup.createGrant({
+        donor: 'Test Foundation',
+        amount: '100',
+        asset: 'XLM',
+        startDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
+        endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
+    });
+
+    // The process dies once the grant is charged, before the job is stored
+    const crashing = createTestToolkit(createCrashingStore(store => store.read(`grants/${grant.id}`).allocations.length > 0));
+    const schedule = createDueSchedule(crashing, { grantId: grant.id });
+    assert.deepStrictEqual(await crashing.runDueSchedules(), []);
+    assert.strictEqual(setup.getGrant(grant.id).committed, '20.0000000');
+
+    const toolkit = createTestToolkit();
+    const [caughtUp] = await toolkit.runDueSchedules();
+    assert.strictEqual(caughtUp.status, 'completed');
+
+    assert.deepStrictEqual(toolkit.listDistributionJobs().map(job => job.id), [caughtUp.jobId]);
+    assert.deepStrictEqual(paymentsTo(beneficiaries), [1, 1]);
+    assert.strictEqual(toolkit.getGrant(grant.id).committed, '20.0000000');
+});